@@ -0,0 +1,120 @@
+/**
+ * @file Banco de pruebas de los efectos de fondo (bench/background.html).
+ * Para cada efecto y tamaño crea el efecto sobre un lienzo fuera de pantalla,
+ * mide un dibujo completo y luego `frames` fotogramas con un reloj simulado a
+ * 60 Hz. Tras cada fotograma se lee un píxel para obligar al navegador a
+ * terminar de rasterizar, de modo que el tiempo incluye el dibujo real y no
+ * solo las llamadas al contexto.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_SIZES = ['1280x720', '1920x1080', '2560x1440', '3840x2160'];
+  const DEFAULT_FRAMES = 300;
+  const FRAME_INTERVAL = 1000 / 60;
+  const COLORS = ['#98c379', '#56b6c2', '#61afef'];
+
+  const params = new URLSearchParams(location.search);
+  const frames = Number(params.get('frames')) || DEFAULT_FRAMES;
+  const sizes = (params.get('sizes')?.split(',') || DEFAULT_SIZES)
+    .map(size => size.split('x').map(Number))
+    .filter(([width, height]) => width > 0 && height > 0);
+  const effectIds = params.get('effects')?.split(',') || Array.from(window.__benchEffects.keys());
+
+  const results = document.getElementById('results');
+  const status = document.getElementById('status');
+  const runButton = document.getElementById('run');
+
+  const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+  const percentile = (values, fraction) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))] || 0;
+  };
+
+  const format = (value) => value.toFixed(2);
+
+  /**
+   * Mide un efecto en un tamaño de rejilla.
+   * @returns {Promise<object>}
+   */
+  async function measure(effect, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const env = window.__backgroundEnv.createEnv(ctx);
+    env.setSize(width, height);
+    env.setColors(COLORS);
+    const sync = () => ctx.getImageData(0, 0, 1, 1);
+
+    const instance = effect.create(env);
+    let start = performance.now();
+    instance.draw();
+    sync();
+    const fullDraw = performance.now() - start;
+
+    const costs = [];
+    let cells = 0;
+    let now = performance.now();
+    for (let frame = 0; frame < frames; frame++) {
+      now += FRAME_INTERVAL;
+      start = performance.now();
+      instance.tick?.(now);
+      sync();
+      costs.push(performance.now() - start);
+      cells += instance.stats?.().cellsDrawn ?? 0;
+      // Cede el hilo de vez en cuando para que la página siga respondiendo.
+      if (frame % 30 === 29) await nextFrame();
+    }
+
+    return {
+      cells: env.columns * env.rows,
+      fullDraw,
+      average: costs.reduce((sum, cost) => sum + cost, 0) / costs.length,
+      p95: percentile(costs, 0.95),
+      max: Math.max(...costs),
+      cellsPerFrame: instance.stats ? cells / frames : null,
+      rate: instance.stats?.().rate ?? null
+    };
+  }
+
+  const addRow = (id, width, height, result) => {
+    const row = document.createElement('tr');
+    [
+      id,
+      `${width}×${height}`,
+      result.cells,
+      format(result.fullDraw),
+      format(result.average),
+      format(result.p95),
+      format(result.max),
+      result.cellsPerFrame === null ? '—' : Math.round(result.cellsPerFrame),
+      result.rate === null ? '—' : format(result.rate)
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    results.appendChild(row);
+  };
+
+  async function run() {
+    runButton.disabled = true;
+    results.innerHTML = '';
+    for (const id of effectIds) {
+      const effect = window.__benchEffects.get(id);
+      if (!effect) continue;
+      for (const [width, height] of sizes) {
+        status.textContent = `${id} ${width}×${height}…`;
+        await nextFrame();
+        addRow(id, width, height, await measure(effect, width, height));
+      }
+    }
+    status.textContent = `${frames} fotogramas por fila.`;
+    runButton.disabled = false;
+  }
+
+  runButton.addEventListener('click', run);
+})();
@@ -0,0 +1,145 @@
+/**
+ * @file Entorno compartido de los efectos de fondo.
+ * Reúne lo que usan todos los efectos: la rejilla de caracteres, los colores
+ * de la paleta y las utilidades de color. Lo crean tanto js/background.js en
+ * la página como js/background-worker.js dentro de un Web Worker, así que no
+ * toca el DOM. Expone `createEnv` en `self.__backgroundEnv`.
+ */
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__backgroundEnv = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const FONT_SIZE = 16;
+  const CHAR_WIDTH = 10;
+  const CHAR_HEIGHT = 20;
+  const lettersAndSymbols = ['A','B','C','D','E','F','G','H','I','J','K','L','M','N','O','P','Q','R','S','T','U','V','W','X','Y','Z','!','@','#','$','&','*','(',')','-','_','+','=','/','[',']','{','}',';',':','<','>',',','0','1','2','3','4','5','6','7','8','9'];
+
+  function hexToRgb(hex) {
+    const shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
+    hex = hex.replace(shorthandRegex, (m, r, g, b) => r + r + g + g + b + b);
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+      r: parseInt(result[1], 16),
+      g: parseInt(result[2], 16),
+      b: parseInt(result[3], 16)
+    } : null;
+  }
+
+  function interpolateColor(start, end, factor) {
+    const r = Math.round(start.r + (end.r - start.r) * factor);
+    const g = Math.round(start.g + (end.g - start.g) * factor);
+    const b = Math.round(start.b + (end.b - start.b) * factor);
+    return `rgb(${r}, ${g}, ${b})`;
+  }
+
+  /**
+   * Crea el entorno de un lienzo. Quien lo crea actualiza el tamaño y los
+   * colores; los efectos solo los leen.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @returns {object}
+   */
+  function createEnv(ctx) {
+    const env = {
+      ctx,
+      fontSize: FONT_SIZE,
+      charWidth: CHAR_WIDTH,
+      charHeight: CHAR_HEIGHT,
+      width: 0,
+      height: 0,
+      columns: 0,
+      rows: 0,
+      colors: [],
+      rgbColors: [],
+      // Color para destacar (el del texto de la paleta) y mensaje que pueden revelar los efectos.
+      accent: null,
+      message: '',
+      hexToRgb,
+      interpolateColor,
+      randomChar: () => lettersAndSymbols[Math.floor(Math.random() * lettersAndSymbols.length)],
+      randomColor: () => env.colors[Math.floor(Math.random() * env.colors.length)],
+      randomRgbColor: () => env.rgbColors[Math.floor(Math.random() * env.rgbColors.length)],
+
+      /**
+       * Ajusta la rejilla a un tamaño en píxeles CSS.
+       * @param {number} width
+       * @param {number} height
+       */
+      setSize(width, height) {
+        env.width = width;
+        env.height = height;
+        env.columns = Math.ceil(width / CHAR_WIDTH);
+        env.rows = Math.ceil(height / CHAR_HEIGHT);
+      },
+
+      /**
+       * Cambia los colores de la paleta.
+       * @param {string[]} colors - Colores en hexadecimal.
+       * @param {string} [accent] - Color para destacar; por defecto, el primero.
+       */
+      setColors(colors, accent = colors[0]) {
+        env.colors = colors;
+        env.rgbColors = colors.map(hexToRgb);
+        env.accent = accent;
+      },
+
+      /**
+       * Rasteriza un texto sobre la rejilla: cada celda es un píxel y vale 1
+       * si cae dentro de una letra. El texto se centra y ocupa como mucho el
+       * 80 % del ancho y el 35 % del alto.
+       * @param {string} text
+       * @returns {Uint8Array|null} Una entrada por celda, o null si no se puede.
+       */
+      createMask(text) {
+        const { columns, rows } = env;
+        if (!text || !columns || !rows) return null;
+        const canvas = typeof OffscreenCanvas === 'function'
+          ? new OffscreenCanvas(columns, rows)
+          : self.document?.createElement('canvas');
+        const maskCtx = canvas?.getContext('2d');
+        if (!maskCtx) return null;
+        canvas.width = columns;
+        canvas.height = rows;
+
+        // Las celdas son el doble de altas que de anchas: el texto se ensancha
+        // en la rejilla para que en pantalla conserve sus proporciones.
+        const stretch = CHAR_HEIGHT / CHAR_WIDTH;
+        maskCtx.font = 'bold 100px monospace';
+        const widthAt100 = maskCtx.measureText(text).width || 60 * text.length;
+        const fontSize = Math.max(4, Math.min(rows * 0.35, (columns * 0.8 * 100) / (widthAt100 * stretch)));
+        maskCtx.font = `bold ${fontSize}px monospace`;
+        maskCtx.textAlign = 'center';
+        maskCtx.textBaseline = 'middle';
+        maskCtx.setTransform(stretch, 0, 0, 1, columns / 2, rows / 2);
+        maskCtx.fillText(text, 0, 0);
+
+        const { data } = maskCtx.getImageData(0, 0, columns, rows);
+        const mask = new Uint8Array(columns * rows);
+        for (let i = 0; i < mask.length; i++) mask[i] = data[i * 4 + 3] > 100 ? 1 : 0;
+        return mask;
+      },
+
+      // Deja el contexto listo para escribir caracteres. Cambiar el tamaño del
+      // lienzo reinicia su estado, así que se llama antes de cada dibujo.
+      prepare() {
+        ctx.font = `${FONT_SIZE}px monospace`;
+        ctx.textBaseline = 'top';
+      },
+
+      // Borra el lienzo y lo deja listo para escribir caracteres.
+      clear() {
+        ctx.clearRect(0, 0, env.width, env.height);
+        env.prepare();
+      }
+    };
+    return env;
+  }
+
+  return { createEnv, hexToRgb, interpolateColor };
+});
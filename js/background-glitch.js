@@ -0,0 +1,376 @@
+/**
+ * @file Efecto de fondo "glitch": una rejilla de caracteres que cambian de
+ * letra y de color poco a poco. Es el fondo de siempre del sitio.
+ * Solo se vuelven a dibujar las celdas que cambian, agrupadas por color para
+ * cambiar `fillStyle` lo menos posible, y la cantidad de cambios se ajusta
+ * para no pasar de `frameBudget` milisegundos por fotograma. El mismo script
+ * se carga en la página y, si el navegador lo permite, en
+ * js/background-worker.js; por eso se registra con `self` y no con `window`.
+ *
+ * También registra "glitch interactivo": las celdas cercanas al puntero se
+ * agitan en ondas y, tras unos segundos de movimiento, la rejilla compone el
+ * mensaje del entorno (`env.message`) en el color de acento antes de volver
+ * a deshacerse en ruido.
+ */
+
+(function() {
+  'use strict';
+
+  const config = {
+    glitchSpeed: 100,
+    smooth: true,
+    updateFraction: 0.05,  // proporción de celdas que cambian en cada glitch
+    transitionStep: 0.05,  // avance del color en cada fotograma
+    frameBudget: 4,        // ms por fotograma que puede gastar el efecto
+    minRate: 0.1,          // fracción mínima de `updateFraction` bajo presión
+    // Modo interactivo
+    rippleRadius: 160,     // px que recorre cada onda
+    rippleDuration: 600,   // ms que tarda en recorrerlos
+    rippleInterval: 50,    // ms mínimos entre dos ondas
+    activityGap: 250,      // ms sin puntero que reinician la actividad acumulada
+    revealAfter: 3000,     // ms de actividad antes de componer el mensaje
+    resolveDuration: 3000,
+    holdDuration: 2500,
+    dissolveDuration: 2000,
+    revealCooldown: 15000  // ms antes de poder repetirlo
+  };
+
+  const SCRIPT_URL = self.document?.currentScript?.src;
+
+  const toRgbString = (rgb) => `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+
+  const shuffle = (items) => {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  };
+
+  /**
+   * Crea el efecto sobre un entorno.
+   * @param {object} env
+   * @param {boolean} interactive - Reacciona al puntero y revela el mensaje.
+   * @returns {object}
+   */
+  function createGlitch(env, interactive) {
+    const { ctx, columns, rows, charWidth, charHeight } = env;
+    const total = columns * rows;
+    let lastGlitchTime = performance.now();
+
+    const letters = Array.from({ length: total }, () => {
+      const rgb = env.randomRgbColor();
+      const targetRgb = env.randomRgbColor();
+      return {
+        char: env.randomChar(),
+        rgb,
+        targetRgb,
+        color: rgb ? toRgbString(rgb) : env.randomColor(),
+        targetColor: targetRgb ? toRgbString(targetRgb) : env.randomColor(),
+        colorProgress: 1
+      };
+    });
+
+    // Celdas pendientes de dibujar y celdas a mitad de transición de color.
+    const isDirty = new Uint8Array(total);
+    let dirty = [];
+    const isTransitioning = new Uint8Array(total);
+    let transitioning = [];
+
+    // Presupuesto: media móvil del coste por fotograma y fracción de cambios aplicada.
+    let frameCost = 0;
+    let rate = 1;
+    let lastDrawn = 0;
+
+    // Modo interactivo: ondas en curso, actividad del puntero y mensaje.
+    // Las celdas del mensaje quedan fijas en el color de acento.
+    const locked = new Uint8Array(total);
+    const ripples = [];
+    let lastRipple = 0;
+    let lastPointer = 0;
+    let activity = 0;
+    let reveal = null;
+    let cooldownUntil = 0;
+    let accentRgb = env.accent ? env.hexToRgb(env.accent) : null;
+
+    const markDirty = (index) => {
+      if (isDirty[index]) return;
+      isDirty[index] = 1;
+      dirty.push(index);
+    };
+
+    /**
+     * Dibuja unas celdas: primero las borra todas y luego las escribe
+     * agrupadas por color.
+     * @param {number[]} indices
+     * @param {boolean} cleared - El lienzo ya está limpio.
+     */
+    function drawCells(indices, cleared) {
+      const byColor = new Map();
+      env.prepare();
+      indices.forEach(index => {
+        const x = (index % columns) * charWidth;
+        const y = Math.floor(index / columns) * charHeight;
+        if (!cleared) ctx.clearRect(x, y, charWidth, charHeight);
+        const color = letters[index].color;
+        if (!byColor.has(color)) byColor.set(color, []);
+        byColor.get(color).push(index);
+      });
+      byColor.forEach((cells, color) => {
+        ctx.fillStyle = color;
+        cells.forEach(index => {
+          ctx.fillText(letters[index].char, (index % columns) * charWidth, Math.floor(index / columns) * charHeight);
+        });
+      });
+      lastDrawn = indices.length;
+    }
+
+    function draw() {
+      env.clear();
+      drawCells(letters.map((letter, index) => index), true);
+      dirty.forEach(index => { isDirty[index] = 0; });
+      dirty = [];
+    }
+
+    function flush() {
+      if (!dirty.length) {
+        lastDrawn = 0;
+        return;
+      }
+      drawCells(dirty, false);
+      dirty.forEach(index => { isDirty[index] = 0; });
+      dirty = [];
+    }
+
+    /**
+     * Da a una celda otra letra y la lleva hacia un color.
+     * @param {number} index
+     * @param {{r: number, g: number, b: number}|null} targetRgb
+     * @param {string} targetColor
+     */
+    function retarget(index, targetRgb, targetColor) {
+      const l = letters[index];
+      l.char = env.randomChar();
+      l.targetRgb = targetRgb;
+      l.targetColor = targetColor;
+      if (!config.smooth || !l.rgb || !l.targetRgb) {
+        l.color = l.targetColor;
+        l.rgb = l.targetRgb;
+        l.colorProgress = 1;
+      } else {
+        l.colorProgress = 0;
+        if (!isTransitioning[index]) {
+          isTransitioning[index] = 1;
+          transitioning.push(index);
+        }
+      }
+      markDirty(index);
+    }
+
+    const retargetRandom = (index) => {
+      const rgb = env.randomRgbColor();
+      retarget(index, rgb, rgb ? toRgbString(rgb) : env.randomColor());
+    };
+
+    function updateLetters() {
+      const updateCount = Math.max(1, Math.floor(total * config.updateFraction * rate));
+      for (let i = 0; i < updateCount; i++) {
+        const index = Math.floor(Math.random() * total);
+        if (!letters[index]) continue;
+        if (locked[index]) {
+          // El mensaje sigue vivo: cambia la letra, no el color.
+          letters[index].char = env.randomChar();
+          markDirty(index);
+          continue;
+        }
+        retargetRandom(index);
+      }
+    }
+
+    // Solo recorre las celdas en transición, no la rejilla entera.
+    function handleSmoothTransitions() {
+      transitioning = transitioning.filter(index => {
+        const l = letters[index];
+        if (locked[index]) {
+          isTransitioning[index] = 0;
+          return false;
+        }
+        l.colorProgress = Math.min(1, l.colorProgress + config.transitionStep);
+        l.color = env.interpolateColor(l.rgb, l.targetRgb, l.colorProgress);
+        markDirty(index);
+        if (l.colorProgress < 1) return true;
+        l.rgb = l.targetRgb;
+        isTransitioning[index] = 0;
+        return false;
+      });
+    }
+
+    // Si el efecto se pasa del presupuesto, cambia menos celdas; si le sobra, recupera.
+    function adapt(cost) {
+      frameCost = frameCost * 0.9 + cost * 0.1;
+      if (frameCost > config.frameBudget) {
+        rate = Math.max(config.minRate, rate * 0.8);
+      } else if (frameCost < config.frameBudget / 2) {
+        rate = Math.min(1, rate * 1.05);
+      }
+    }
+
+    // --- ONDAS ---
+
+    // Las celdas cuyo centro está entre dos radios cambian de letra y se
+    // encienden con el color de acento, que se funde hacia uno de la paleta.
+    function stirRing(x, y, inner, outer) {
+      const minColumn = Math.max(0, Math.floor((x - outer) / charWidth));
+      const maxColumn = Math.min(columns - 1, Math.floor((x + outer) / charWidth));
+      const minRow = Math.max(0, Math.floor((y - outer) / charHeight));
+      const maxRow = Math.min(rows - 1, Math.floor((y + outer) / charHeight));
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let column = minColumn; column <= maxColumn; column++) {
+          const index = row * columns + column;
+          if (locked[index]) continue;
+          const distance = Math.hypot((column + 0.5) * charWidth - x, (row + 0.5) * charHeight - y);
+          if (distance < inner || distance >= outer) continue;
+          retargetRandom(index);
+          if (accentRgb && letters[index].colorProgress < 1) {
+            letters[index].rgb = accentRgb;
+            letters[index].color = env.accent;
+          }
+        }
+      }
+    }
+
+    function advanceRipples(now) {
+      for (let i = ripples.length - 1; i >= 0; i--) {
+        const ripple = ripples[i];
+        const radius = Math.min(1, (now - ripple.start) / config.rippleDuration) * config.rippleRadius;
+        stirRing(ripple.x, ripple.y, ripple.radius, radius);
+        ripple.radius = radius;
+        if (radius >= config.rippleRadius) ripples.splice(i, 1);
+      }
+    }
+
+    // --- MENSAJE ---
+
+    function lockCell(index) {
+      const l = letters[index];
+      locked[index] = 1;
+      l.char = env.randomChar();
+      l.rgb = l.targetRgb = accentRgb;
+      l.color = l.targetColor = env.accent || l.color;
+      l.colorProgress = 1;
+      markDirty(index);
+    }
+
+    function unlockCell(index) {
+      locked[index] = 0;
+      retargetRandom(index);
+    }
+
+    function startReveal(now) {
+      const mask = env.createMask(env.message);
+      const cells = [];
+      mask?.forEach((inside, index) => { if (inside) cells.push(index); });
+      if (!cells.length) {
+        cooldownUntil = now + config.revealCooldown;
+        return;
+      }
+      // Las celdas se fijan y se sueltan en orden aleatorio.
+      reveal = { phase: 'resolve', start: now, cells: shuffle(cells), count: 0 };
+    }
+
+    function advanceReveal(now) {
+      const elapsed = now - reveal.start;
+      const { cells } = reveal;
+      if (reveal.phase === 'resolve') {
+        const target = Math.floor(cells.length * Math.min(1, elapsed / config.resolveDuration));
+        while (reveal.count < target) lockCell(cells[reveal.count++]);
+        if (elapsed >= config.resolveDuration) reveal = { ...reveal, phase: 'hold', start: now };
+      } else if (reveal.phase === 'hold') {
+        if (elapsed >= config.holdDuration) reveal = { ...reveal, phase: 'dissolve', start: now };
+      } else {
+        const target = Math.floor(cells.length * (1 - Math.min(1, elapsed / config.dissolveDuration)));
+        while (reveal.count > target) unlockCell(cells[--reveal.count]);
+        if (reveal.count === 0) {
+          reveal = null;
+          activity = 0;
+          cooldownUntil = now + config.revealCooldown;
+        }
+      }
+    }
+
+    return {
+      draw,
+
+      tick(now) {
+        const start = performance.now();
+        if (now - lastGlitchTime >= config.glitchSpeed) {
+          updateLetters();
+          lastGlitchTime = now;
+        }
+        if (interactive) {
+          advanceRipples(now);
+          if (reveal) advanceReveal(now);
+        }
+        if (config.smooth) {
+          handleSmoothTransitions();
+        }
+        flush();
+        adapt(performance.now() - start);
+      },
+
+      palette() {
+        transitioning.forEach(index => { isTransitioning[index] = 0; });
+        transitioning = [];
+        accentRgb = env.accent ? env.hexToRgb(env.accent) : null;
+        letters.forEach((l, index) => {
+          if (locked[index]) {
+            l.color = l.targetColor = env.accent || l.color;
+            l.rgb = l.targetRgb = accentRgb;
+          } else {
+            l.color = env.randomColor();
+            l.rgb = env.hexToRgb(l.color);
+            l.targetColor = env.randomColor();
+            l.targetRgb = env.hexToRgb(l.targetColor);
+          }
+          l.colorProgress = 1;
+        });
+      },
+
+      /**
+       * Posición del puntero en píxeles CSS. Cada movimiento lanza una onda
+       * y, si dura lo suficiente, empieza a componerse el mensaje.
+       * @param {number} x
+       * @param {number} y
+       */
+      pointer: interactive ? (x, y) => {
+        const now = performance.now();
+        const gap = now - lastPointer;
+        activity = gap < config.activityGap ? activity + gap : 0;
+        lastPointer = now;
+        if (now - lastRipple >= config.rippleInterval) {
+          ripples.push({ x, y, start: now, radius: 0 });
+          lastRipple = now;
+        }
+        if (!reveal && env.message && activity >= config.revealAfter && now >= cooldownUntil) {
+          startReveal(now);
+        }
+      } : undefined,
+
+      // Para bench/background.html.
+      stats: () => ({ cellsDrawn: lastDrawn, frameCost, rate })
+    };
+  }
+
+  self.__background?.register('glitch', {
+    label: 'Glitch',
+    worker: SCRIPT_URL,
+    create: (env) => createGlitch(env, false)
+  });
+
+  self.__background?.register('glitch-interactive', {
+    label: 'Glitch interactivo',
+    worker: SCRIPT_URL,
+    interactive: true,
+    create: (env) => createGlitch(env, true)
+  });
+})();
@@ -0,0 +1,104 @@
+/**
+ * @file Efecto de fondo "vida": el Juego de la vida de Conway sobre la rejilla
+ * de caracteres. Los bordes se tocan (la rejilla es un toro) y, cuando la
+ * población se estanca o se extingue, se siembran células nuevas.
+ */
+
+(function() {
+  'use strict';
+
+  const config = {
+    generationSpeed: 180, // ms entre generaciones
+    seedDensity: 0.22,    // proporción de células vivas al sembrar
+    stallLimit: 12        // generaciones seguidas con la misma población antes de resembrar
+  };
+
+  window.__background?.register('life', {
+    label: 'Life',
+    create(env) {
+      const { ctx, columns, rows } = env;
+      const total = columns * rows;
+      let cells = new Uint8Array(total);
+      let next = new Uint8Array(total);
+      // Carácter y color de cada célula; se conservan mientras sigue viva.
+      const chars = Array.from({ length: total }, () => env.randomChar());
+      const colors = Array.from({ length: total }, () => env.randomColor());
+      let lastGenerationTime = performance.now();
+      let lastPopulation = -1;
+      let stalled = 0;
+
+      const seed = () => {
+        for (let i = 0; i < total; i++) {
+          if (Math.random() < config.seedDensity) {
+            cells[i] = 1;
+            chars[i] = env.randomChar();
+          }
+        }
+      };
+
+      const countNeighbours = (column, row) => {
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (!dx && !dy) continue;
+            const x = (column + dx + columns) % columns;
+            const y = (row + dy + rows) % rows;
+            count += cells[y * columns + x];
+          }
+        }
+        return count;
+      };
+
+      function step() {
+        let population = 0;
+        for (let row = 0; row < rows; row++) {
+          for (let column = 0; column < columns; column++) {
+            const index = row * columns + column;
+            const neighbours = countNeighbours(column, row);
+            const alive = neighbours === 3 || (cells[index] && neighbours === 2) ? 1 : 0;
+            if (alive && !cells[index]) {
+              chars[index] = env.randomChar();
+              colors[index] = env.randomColor();
+            }
+            next[index] = alive;
+            population += alive;
+          }
+        }
+        [cells, next] = [next, cells];
+
+        stalled = population === lastPopulation ? stalled + 1 : 0;
+        lastPopulation = population;
+        if (population < total * 0.02 || stalled >= config.stallLimit) {
+          seed();
+          stalled = 0;
+        }
+      }
+
+      function draw() {
+        env.clear();
+        for (let index = 0; index < total; index++) {
+          if (!cells[index]) continue;
+          ctx.fillStyle = colors[index];
+          ctx.fillText(chars[index], (index % columns) * env.charWidth, Math.floor(index / columns) * env.charHeight);
+        }
+      }
+
+      seed();
+
+      return {
+        draw,
+
+        tick(now) {
+          if (now - lastGenerationTime < config.generationSpeed) return;
+          lastGenerationTime = now;
+          step();
+          draw();
+        },
+
+        palette() {
+          for (let i = 0; i < total; i++) colors[i] = env.randomColor();
+        }
+      };
+    }
+  });
+})();
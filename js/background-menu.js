@@ -0,0 +1,43 @@
+/**
+ * @file Menú "Fondo" de la barra de herramientas.
+ * Lista los efectos registrados en js/background.js y cambia al elegido; la
+ * apertura y el teclado los gestiona menu.js.
+ */
+
+(function() {
+  'use strict';
+
+  const list = document.getElementById('backgroundOptions');
+  const background = window.__background;
+  if (!list || !background) return;
+
+  const getCopy = () => window.__getCopy?.().backgroundMenu || {};
+
+  const renderMenu = () => {
+    const copy = getCopy();
+    const currentEffect = background.getEffect();
+    list.innerHTML = '';
+    background.list().forEach(({ id, label }) => {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'none');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('role', 'menuitemradio');
+      button.setAttribute('aria-checked', String(id === currentEffect));
+      button.dataset.effect = id;
+      button.textContent = copy.effects?.[id] || label;
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+  };
+
+  list.addEventListener('click', (event) => {
+    const id = event.target.closest('[data-effect]')?.dataset.effect;
+    if (id) background.setEffect(id);
+  });
+
+  document.addEventListener('site-background-change', renderMenu);
+  document.addEventListener('site-language-change', renderMenu);
+  // background.js elige el efecto inicial cuando ya están todos registrados.
+  document.addEventListener('DOMContentLoaded', renderMenu);
+})();
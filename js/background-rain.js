@@ -0,0 +1,85 @@
+/**
+ * @file Efecto de fondo "lluvia": columnas de caracteres que caen al estilo de
+ * Matrix. Cada gota deja una estela que se desvanece hasta el fondo.
+ */
+
+(function() {
+  'use strict';
+
+  const config = {
+    stepSpeed: 60,      // ms entre pasos de la lluvia
+    fade: 0.12,         // cuánto se desvanece la estela en cada paso
+    trail: 14,          // longitud de la estela al dibujar un fotograma suelto
+    density: 0.6        // proporción de columnas con gota
+  };
+
+  window.__background?.register('rain', {
+    label: 'Rain',
+    create(env) {
+      const { ctx } = env;
+      let lastStepTime = performance.now();
+
+      const createDrop = (startAbove) => ({
+        active: Math.random() < config.density,
+        y: startAbove ? -Math.floor(Math.random() * env.rows) : Math.floor(Math.random() * env.rows),
+        speed: 0.5 + Math.random() * 0.75,
+        color: env.randomColor()
+      });
+
+      const drops = Array.from({ length: env.columns }, () => createDrop(false));
+
+      const drawGlyph = (column, row, color) => {
+        ctx.fillStyle = color;
+        ctx.fillText(env.randomChar(), column * env.charWidth, row * env.charHeight);
+      };
+
+      // Dibuja cada gota con su estela completa, con transparencia creciente.
+      function draw() {
+        env.clear();
+        drops.forEach((drop, column) => {
+          if (!drop.active) return;
+          const head = Math.floor(drop.y);
+          for (let i = config.trail - 1; i >= 0; i--) {
+            const row = head - i;
+            if (row < 0 || row >= env.rows) continue;
+            ctx.globalAlpha = 1 - i / config.trail;
+            drawGlyph(column, row, drop.color);
+          }
+        });
+        ctx.globalAlpha = 1;
+      }
+
+      // Desvanece lo ya dibujado sin tocar el color de fondo del contenedor.
+      function fade() {
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fillStyle = `rgba(0, 0, 0, ${config.fade})`;
+        ctx.fillRect(0, 0, env.width, env.height);
+        ctx.restore();
+      }
+
+      return {
+        draw,
+
+        tick(now) {
+          if (now - lastStepTime < config.stepSpeed) return;
+          lastStepTime = now;
+          fade();
+          drops.forEach((drop, column) => {
+            const previous = Math.floor(drop.y);
+            drop.y += drop.speed;
+            const row = Math.floor(drop.y);
+            if (drop.active && row !== previous && row >= 0 && row < env.rows) {
+              drawGlyph(column, row, drop.color);
+            }
+            if (row - config.trail > env.rows) drops[column] = createDrop(true);
+          });
+        },
+
+        palette() {
+          drops.forEach(drop => { drop.color = env.randomColor(); });
+        }
+      };
+    }
+  });
+})();
@@ -0,0 +1,112 @@
+/**
+ * @file Web Worker que dibuja un efecto de fondo en un OffscreenCanvas.
+ * js/background.js le pasa el lienzo, la URL del script del efecto y su id:
+ * el script se registra aquí igual que en la página
+ * (`self.__background.register`) y puede registrar más de un efecto. El
+ * entorno es el mismo de js/background-env.js y el bucle de animación, el
+ * mismo que en el hilo principal.
+ *
+ * Mensajes que recibe:
+ *   init     { id, script, canvas, width, height, dpr, colors, accent, animate, message }
+ *   resize   { width, height, dpr, animate }
+ *   palette  { colors, accent }
+ *   animate  { animate }
+ *   pointer  { x, y }     (solo efectos interactivos)
+ *   message  { text }     (texto que puede revelar el efecto)
+ */
+
+importScripts('background-env.js');
+
+(function() {
+  'use strict';
+
+  const effects = new Map();
+  let effect = null;
+  let instance = null;
+  let env = null;
+  let canvas = null;
+  let animating = false;
+  let frameId = null;
+
+  // requestAnimationFrame existe en los workers de los navegadores recientes.
+  const requestFrame = self.requestAnimationFrame
+    ? (callback) => self.requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(performance.now()), 16);
+  const cancelFrame = self.cancelAnimationFrame
+    ? (id) => self.cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+  self.__background = {
+    register: (id, registered) => {
+      effects.set(id, registered);
+    }
+  };
+
+  function loop(now) {
+    if (!animating || !instance?.tick) {
+      frameId = null;
+      return;
+    }
+    instance.tick(now);
+    frameId = requestFrame(loop);
+  }
+
+  function stop() {
+    if (frameId !== null) cancelFrame(frameId);
+    frameId = null;
+  }
+
+  function start() {
+    if (frameId === null && animating && instance?.tick) frameId = requestFrame(loop);
+  }
+
+  function create({ width, height, dpr }) {
+    stop();
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    env.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    env.setSize(width, height);
+    instance = effect.create(env);
+    instance.draw();
+    start();
+  }
+
+  self.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+      case 'init':
+        importScripts(data.script);
+        effect = effects.get(data.id);
+        canvas = data.canvas;
+        env = self.__backgroundEnv.createEnv(canvas.getContext('2d'));
+        env.setColors(data.colors, data.accent);
+        env.message = data.message || '';
+        animating = data.animate;
+        create(data);
+        break;
+      case 'resize':
+        animating = data.animate;
+        create(data);
+        break;
+      case 'palette':
+        env.setColors(data.colors, data.accent);
+        instance?.palette?.();
+        instance?.draw();
+        break;
+      case 'animate':
+        animating = data.animate;
+        if (!animating) {
+          stop();
+          break;
+        }
+        instance?.draw();
+        start();
+        break;
+      case 'pointer':
+        instance?.pointer?.(data.x, data.y);
+        break;
+      case 'message':
+        env.message = data.text;
+        break;
+    }
+  });
+})();
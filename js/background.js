@@ -0,0 +1,378 @@
+/**
+ * @file Fondo animado de la página.
+ * Es el anfitrión de los efectos: crea el lienzo a pantalla completa con sus
+ * viñetas, calcula la rejilla de caracteres y se ocupa del bucle de animación,
+ * del tamaño, de la paleta, de `visibilitychange` y de `prefers-reduced-motion`
+ * (con movimiento reducido se dibuja un único fotograma). Cada efecto se
+ * registra con `window.__background.register` desde su propio archivo
+ * (js/background-*.js) y solo sabe avanzar y dibujar sobre la rejilla del
+ * entorno común (js/background-env.js). Los efectos que lo admiten se dibujan
+ * en un Web Worker con OffscreenCanvas; si no, en el hilo principal. El
+ * efecto elegido se guarda en localStorage.
+ * Los efectos interactivos reciben la posición del puntero. El lienzo sigue
+ * con `pointer-events: none`: se escucha en `window`, sin capturar nada, y
+ * con movimiento reducido no se reenvía.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'site-background';
+  const DEFAULT_EFFECT = 'glitch';
+
+  const config = {
+    centerVignette: true,
+    outerVignette: true
+  };
+
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+
+  const container = document.createElement('div');
+  container.style.position = 'fixed';
+  container.style.top = '0';
+  container.style.left = '0';
+  container.style.width = '100%';
+  container.style.height = '100%';
+  container.style.zIndex = '-1';
+  container.style.pointerEvents = 'none';
+  document.body.prepend(container);
+
+  let canvas = document.createElement('canvas');
+  canvas.style.display = 'block';
+  canvas.style.width = '100%';
+  canvas.style.height = '100%';
+  container.appendChild(canvas);
+
+  if (config.outerVignette) {
+    const v = document.createElement('div');
+    v.style.position = 'absolute';
+    v.style.top = '0';
+    v.style.left = '0';
+    v.style.width = '100%';
+    v.style.height = '100%';
+    v.style.pointerEvents = 'none';
+    // Las viñetas funden las letras con el fondo de la paleta, clara u oscura.
+    v.style.background = 'radial-gradient(circle, transparent 60%, var(--bg) 100%)';
+    container.appendChild(v);
+  }
+
+  if (config.centerVignette) {
+    const v = document.createElement('div');
+    v.style.position = 'absolute';
+    v.style.top = '0';
+    v.style.left = '0';
+    v.style.width = '100%';
+    v.style.height = '100%';
+    v.style.pointerEvents = 'none';
+    v.style.background = 'radial-gradient(circle, color-mix(in srgb, var(--bg) 80%, transparent) 0%, transparent 60%)';
+    container.appendChild(v);
+  }
+
+  const WORKER_URL = new URL('background-worker.js', document.currentScript?.src || location.href).href;
+  const { createEnv } = window.__backgroundEnv;
+
+  const effects = new Map();
+  let current = null;
+  let animationId;
+  let env = createEnv(canvas.getContext('2d'));
+
+  // Dibujo en un Web Worker: el lienzo se transfiere una sola vez, así que al
+  // volver al hilo principal se sustituye por uno nuevo.
+  let worker = null;
+  let workerEffect = null;
+  let workerFailed = false;
+  let canvasTransferred = false;
+  let workerMessage = '';
+
+  // Texto que pueden revelar los efectos: el fijado con `setMessage` o, si no,
+  // el alias de la persona en cv-data.json.
+  let messageOverride = null;
+
+  function getPaletteColors() {
+    const styles = getComputedStyle(document.documentElement);
+    return [
+      styles.getPropertyValue('--green').trim(),
+      styles.getPropertyValue('--cyan').trim(),
+      styles.getPropertyValue('--blue').trim()
+    ];
+  }
+
+  const getAccentColor = () => getComputedStyle(document.documentElement).getPropertyValue('--text').trim();
+
+  const getMessage = () => messageOverride ?? window.__getCvData?.()?.person?.alternateName ?? '';
+
+  function syncMessage() {
+    const text = getMessage();
+    env.message = text;
+    if (worker && text !== workerMessage) {
+      workerMessage = text;
+      worker.postMessage({ type: 'message', text });
+    }
+  }
+
+  const getStoredEffect = () => {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const storeEffect = (id) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+      // Sin almacenamiento, la elección dura hasta recargar.
+    }
+  };
+
+  const shouldAnimate = () => !document.hidden && !prefersReducedMotion.matches;
+
+  const measure = () => {
+    const rect = container.getBoundingClientRect();
+    return { width: rect.width, height: rect.height, dpr: Math.min(window.devicePixelRatio || 1, 1.5) };
+  };
+
+  const updateBackgroundColor = () => {
+    container.style.backgroundColor = getComputedStyle(document.documentElement).getPropertyValue('--bg').trim();
+  };
+
+  function updatePalette() {
+    env.setColors(getPaletteColors(), getAccentColor());
+    updateBackgroundColor();
+    if (worker) {
+      worker.postMessage({ type: 'palette', colors: env.colors, accent: env.accent });
+      return;
+    }
+    if (!current?.instance) return;
+    current.instance.palette?.();
+    current.instance.draw();
+  }
+
+  // --- HILO PRINCIPAL ---
+
+  function replaceCanvas() {
+    const fresh = document.createElement('canvas');
+    fresh.style.display = 'block';
+    fresh.style.width = '100%';
+    fresh.style.height = '100%';
+    canvas.replaceWith(fresh);
+    canvas = fresh;
+    canvasTransferred = false;
+    env = createEnv(canvas.getContext('2d'));
+  }
+
+  function resizeCanvas() {
+    const { width, height, dpr } = measure();
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    env.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    env.setSize(width, height);
+  }
+
+  const canAnimate = () => Boolean(current?.instance?.tick) && shouldAnimate();
+
+  function animate(now) {
+    if (!canAnimate()) {
+      animationId = null;
+      return;
+    }
+    current.instance.tick(now);
+    animationId = requestAnimationFrame(animate);
+  }
+
+  function stopAnimation() {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+  }
+
+  function startAnimation() {
+    if (!animationId && canAnimate()) {
+      animationId = requestAnimationFrame(animate);
+    }
+  }
+
+  // --- WEB WORKER ---
+
+  const canUseWorker = (effect) => Boolean(effect.worker) && !workerFailed &&
+    typeof Worker === 'function' && 'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+
+  function stopWorker() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    workerEffect = null;
+  }
+
+  /**
+   * Pasa el lienzo a un worker que carga el script del efecto. Si el worker
+   * falla, el efecto vuelve a dibujarse en el hilo principal.
+   */
+  function startWorker() {
+    stopWorker();
+    if (canvasTransferred) replaceCanvas();
+    const offscreen = canvas.transferControlToOffscreen();
+    canvasTransferred = true;
+    worker = new Worker(WORKER_URL);
+    workerEffect = current.id;
+    worker.addEventListener('error', (event) => {
+      console.warn('El fondo no pudo dibujarse en un worker; se usa el hilo principal.', event.message);
+      workerFailed = true;
+      stopWorker();
+      init();
+    });
+    env.setColors(getPaletteColors(), getAccentColor());
+    workerMessage = getMessage();
+    worker.postMessage({
+      type: 'init',
+      id: current.id,
+      script: current.effect.worker,
+      canvas: offscreen,
+      colors: env.colors,
+      accent: env.accent,
+      message: workerMessage,
+      animate: shouldAnimate(),
+      ...measure()
+    }, [offscreen]);
+  }
+
+  /**
+   * Crea de nuevo el efecto activo (al elegirlo o al cambiar la rejilla) y
+   * dibuja su primer fotograma, en un worker si el efecto lo admite.
+   */
+  function init() {
+    stopAnimation();
+    if (!current) return;
+    current.instance = null;
+
+    if (canUseWorker(current.effect)) {
+      if (worker && workerEffect === current.id) {
+        worker.postMessage({ type: 'resize', animate: shouldAnimate(), ...measure() });
+      } else {
+        startWorker();
+      }
+      updateBackgroundColor();
+      return;
+    }
+
+    stopWorker();
+    if (canvasTransferred) replaceCanvas();
+    updatePalette();
+    syncMessage();
+    resizeCanvas();
+    current.instance = current.effect.create(env);
+    current.instance.draw();
+    startAnimation();
+  }
+
+  // --- API ---
+
+  /**
+   * Registra un efecto de fondo.
+   * @param {string} id - Identificador, el que se guarda y se muestra en el menú.
+   * @param {{label?: string, worker?: string, interactive?: boolean, create: function(object): {draw: function(), tick?: function(number), palette?: function(), pointer?: function(number, number)}}} effect
+   *   `create` recibe el entorno de js/background-env.js y devuelve el efecto:
+   *   `draw` pinta el estado completo, `tick` avanza la animación en cada
+   *   fotograma (sin él, el efecto es estático) y `palette` reacciona a un
+   *   cambio de colores. Con `worker` (la URL del propio script, que debe
+   *   registrarse con `self.__background`) se dibuja en un OffscreenCanvas
+   *   dentro de js/background-worker.js cuando el navegador lo permite. Con
+   *   `interactive`, `pointer` recibe la posición del puntero en píxeles CSS.
+   */
+  const register = (id, effect) => {
+    effects.set(id, effect);
+  };
+
+  /**
+   * Cambia el efecto de fondo y lo recuerda.
+   * @param {string} id
+   * @returns {boolean} Falso si el efecto no existe.
+   */
+  const setEffect = (id) => {
+    const effect = effects.get(id);
+    if (!effect) return false;
+    storeEffect(id);
+    if (current?.id !== id) {
+      current = { id, effect, instance: null };
+      init();
+    }
+    document.dispatchEvent(new CustomEvent('site-background-change', { detail: { effect: id } }));
+    return true;
+  };
+
+  /**
+   * Fija el texto que pueden revelar los efectos.
+   * @param {string|null} text - null vuelve al alias de cv-data.json.
+   */
+  const setMessage = (text) => {
+    messageOverride = text == null ? null : String(text);
+    syncMessage();
+  };
+
+  // Puntero o toque. Se escucha en `window` de forma pasiva: los clics siguen
+  // llegando a las ventanas de encima.
+  const handlePointer = (event) => {
+    if (!current?.effect.interactive || !shouldAnimate()) return;
+    syncMessage();
+    if (worker) {
+      worker.postMessage({ type: 'pointer', x: event.clientX, y: event.clientY });
+    } else {
+      current.instance?.pointer?.(event.clientX, event.clientY);
+    }
+  };
+  window.addEventListener('pointermove', handlePointer, { passive: true });
+  window.addEventListener('pointerdown', handlePointer, { passive: true });
+
+  // El alias llega con los datos del CV, después de arrancar el fondo.
+  document.addEventListener('cv-rendered', syncMessage);
+
+  let resizeTimeout;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(init, 150);
+  }, { passive: true });
+
+  document.addEventListener('visibilitychange', () => {
+    if (worker) {
+      worker.postMessage({ type: 'animate', animate: shouldAnimate() });
+    } else if (document.hidden) {
+      stopAnimation();
+    } else {
+      current?.instance?.draw();
+      startAnimation();
+    }
+  });
+
+  prefersReducedMotion.addEventListener('change', init);
+
+  const observer = new MutationObserver(mutations => {
+    if (mutations.some(m => m.attributeName === 'data-palette' || m.attributeName === 'data-theme')) {
+      updatePalette();
+    }
+  });
+  observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-palette', 'data-theme'] });
+
+  // Los efectos se registran en scripts posteriores; al terminar de cargar
+  // todos se arranca el guardado o, si ya no existe, el de siempre.
+  document.addEventListener('DOMContentLoaded', () => {
+    // Sin efecto: solo el color de fondo y las viñetas. Va el último en el menú.
+    register('off', {
+      create: (effectEnv) => ({ draw: () => effectEnv.clear() })
+    });
+    const stored = getStoredEffect();
+    const id = [stored, DEFAULT_EFFECT].find(effectId => effects.has(effectId)) || 'off';
+    current = { id, effect: effects.get(id), instance: null };
+    init();
+  });
+
+  window.__background = {
+    register,
+    setEffect,
+    setMessage,
+    getEffect: () => current?.id || null,
+    list: () => Array.from(effects, ([id, { label }]) => ({ id, label: label || id }))
+  };
+})();
@@ -0,0 +1,294 @@
+/**
+ * @file Lectura de BibTeX para publications.bib: entradas, `@string`,
+ * concatenación con `#`, valores entre llaves o comillas y los meses
+ * predefinidos. También convierte los valores con marcas de LaTeX (acentos,
+ * guiones, `\emph{}`) a texto plano, separa la lista de autores y vuelve a
+ * escribir una entrada como BibTeX para copiarla.
+ * Funciona en el navegador (`window.__bibtex`) y en Node (`require`), donde
+ * lo usan scripts/prerender.js y scripts/validate-cv.js.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.__bibtex = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Macros que BibTeX define para los meses.
+  const MONTHS = {
+    jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+  };
+
+  // Orden en que se escriben los campos al copiar una entrada; el resto va después.
+  const FIELD_ORDER = [
+    'author', 'editor', 'title', 'journal', 'booktitle', 'series', 'volume', 'number', 'pages',
+    'edition', 'chapter', 'school', 'institution', 'organization', 'publisher', 'address',
+    'howpublished', 'type', 'month', 'year', 'doi', 'eprint', 'archiveprefix', 'primaryclass', 'url', 'note'
+  ];
+
+  /**
+   * Lee un archivo BibTeX. Los errores no detienen la lectura: la entrada
+   * afectada se descarta y se sigue con la siguiente.
+   * @param {string} text - Contenido del archivo.
+   * @returns {{entries: {type: string, key: string, fields: Object<string, string>, line: number}[],
+   *   errors: {line: number, message: string}[]}}
+   *   Los tipos y los nombres de campo se pasan a minúsculas; los valores
+   *   conservan el LaTeX (ver `toPlainText`).
+   */
+  function parseBibtex(text) {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    // Sin prototipo: `constructor` o `__proto__` no son macros ni campos ya definidos.
+    const strings = Object.assign(Object.create(null), MONTHS);
+    const entries = [];
+    const errors = [];
+    const keys = new Set();
+    let pos = 0;
+
+    const lineAt = (index) => source.slice(0, index).split('\n').length;
+    const fail = (message, index = pos) => {
+      throw Object.assign(new Error(message), { line: lineAt(index) });
+    };
+    const skipSpace = () => {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+    const expect = (char) => {
+      skipSpace();
+      if (source[pos] !== char) fail(`se esperaba "${char}"`);
+      pos++;
+    };
+    const readName = () => {
+      skipSpace();
+      const match = /^[^\s"#%'(),={}]+/.exec(source.slice(pos));
+      if (!match) fail('se esperaba un nombre');
+      pos += match[0].length;
+      return match[0];
+    };
+
+    // Contenido entre llaves equilibradas, sin las llaves exteriores.
+    const readBraced = () => {
+      const start = pos;
+      let depth = 0;
+      for (; pos < source.length; pos++) {
+        if (source[pos] === '\\') {
+          pos++;
+        } else if (source[pos] === '{') {
+          depth++;
+        } else if (source[pos] === '}' && --depth === 0) {
+          pos++;
+          return source.slice(start + 1, pos - 1);
+        }
+      }
+      return fail('llave sin cerrar', start);
+    };
+
+    const readQuoted = () => {
+      const start = pos++;
+      let depth = 0;
+      for (; pos < source.length; pos++) {
+        if (source[pos] === '\\') pos++;
+        else if (source[pos] === '{') depth++;
+        else if (source[pos] === '}') depth--;
+        else if (source[pos] === '"' && depth === 0) return source.slice(start + 1, pos++);
+      }
+      return fail('comillas sin cerrar', start);
+    };
+
+    // Un valor: partes entre llaves, comillas, números o macros unidas con `#`.
+    const readValue = () => {
+      let value = '';
+      for (;;) {
+        skipSpace();
+        const char = source[pos];
+        if (char === '{') {
+          value += readBraced();
+        } else if (char === '"') {
+          value += readQuoted();
+        } else if (/\d/.test(char)) {
+          const digits = /^\d+/.exec(source.slice(pos))[0];
+          pos += digits.length;
+          value += digits;
+        } else {
+          const start = pos;
+          const name = readName().toLowerCase();
+          if (!Object.hasOwn(strings, name)) fail(`macro no definida: ${name}`, start);
+          value += strings[name];
+        }
+        skipSpace();
+        if (source[pos] !== '#') return value;
+        pos++;
+      }
+    };
+
+    const readEntry = (start) => {
+      const type = /^[A-Za-z]+/.exec(source.slice(pos))?.[0].toLowerCase();
+      const open = type && /^\s*([{(])/.exec(source.slice(pos + type.length))?.[1];
+      // Una @ que no abre una entrada (p. ej. en un comentario) es texto.
+      if (!open) return;
+      pos += type.length;
+      skipSpace();
+      const close = open === '{' ? '}' : ')';
+
+      if (type === 'comment') {
+        if (open === '{') readBraced();
+        else pos = source.indexOf(')', pos) + 1 || source.length;
+        return;
+      }
+      pos++;
+      if (type === 'preamble') {
+        readValue();
+        expect(close);
+        return;
+      }
+      if (type === 'string') {
+        const name = readName().toLowerCase();
+        expect('=');
+        strings[name] = readValue();
+        expect(close);
+        return;
+      }
+
+      const key = readName();
+      const fields = Object.create(null);
+      skipSpace();
+      while (source[pos] === ',') {
+        pos++;
+        skipSpace();
+        if (source[pos] === close) break;
+        const nameStart = pos;
+        const name = readName().toLowerCase();
+        expect('=');
+        if (Object.hasOwn(fields, name)) fail(`campo repetido: ${name}`, nameStart);
+        fields[name] = readValue();
+        skipSpace();
+      }
+      expect(close);
+      if (keys.has(key)) fail(`clave repetida: ${key}`, start);
+      keys.add(key);
+      entries.push({ type, key, fields, line: lineAt(start) });
+    };
+
+    // Como en BibTeX, el texto fuera de las entradas es un comentario.
+    for (let at = source.indexOf('@'); at !== -1; at = source.indexOf('@', pos)) {
+      pos = at + 1;
+      try {
+        readEntry(at);
+      } catch (error) {
+        if (error.line === undefined) throw error;
+        errors.push({ line: error.line, message: error.message });
+        pos = Math.max(pos, at + 1);
+      }
+    }
+    return { entries, errors };
+  }
+
+  // --- TEXTO PLANO ---
+
+  // Acentos de LaTeX → marcas diacríticas combinables de Unicode.
+  const ACCENTS = {
+    '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+    '"': '\u0308', 'u': '\u0306', 'v': '\u030C', 'H': '\u030B', 'c': '\u0327', 'k': '\u0328'
+  };
+
+  const SYMBOLS = {
+    ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ'
+  };
+
+  const applyAccent = (accent, letter) =>
+    `${letter === '\\i' ? 'i' : letter === '\\j' ? 'j' : letter}${ACCENTS[accent]}`;
+
+  /**
+   * Convierte un valor de BibTeX en texto legible: resuelve los acentos y
+   * símbolos más comunes, los guiones y las comillas de LaTeX, quita los
+   * comandos de formato (conservando su argumento) y las llaves.
+   * @param {string} value
+   * @returns {string}
+   */
+  function toPlainText(value) {
+    return String(value ?? '')
+      .replace(/\\([`'^~=."])\s*(?:\{\s*(\\[ij]|[A-Za-z])\s*\}|(\\[ij]|[A-Za-z]))/g,
+        (match, accent, braced, bare) => applyAccent(accent, braced || bare))
+      .replace(/\\([uvHck])(?:\s*\{\s*(\\[ij]|[A-Za-z])\s*\}|\s+([A-Za-z]))/g,
+        (match, accent, braced, bare) => applyAccent(accent, braced || bare))
+      .replace(/\\(ss|ae|AE|oe|OE|aa|AA|[oOlLij])(?![A-Za-z])\s*/g, (match, name) => SYMBOLS[name])
+      .replace(/\\([&%$#_{}])/g, '$1')
+      .replace(/\\(?:textit|textbf|emph|textsc|texttt|textrm|mathrm|url|mbox)\s*(?=\{)/g, '')
+      .replace(/\\[A-Za-z]+\s*/g, '')
+      .replace(/[{}$]/g, '')
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/``/g, '“')
+      .replace(/''/g, '”')
+      .replace(/~/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .normalize('NFC');
+  }
+
+  // --- AUTORES ---
+
+  // Divide en la profundidad 0 de llaves, para no partir `{Smith and Sons}`.
+  const splitTopLevel = (value, separator) => {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '{') depth++;
+      else if (value[i] === '}') depth--;
+      else if (depth === 0) {
+        const match = separator.exec(value.slice(i));
+        if (match && match.index === 0) {
+          parts.push(value.slice(start, i));
+          i += match[0].length - 1;
+          start = i + 1;
+        }
+      }
+    }
+    parts.push(value.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+  };
+
+  /**
+   * Separa una lista de nombres de BibTeX (`author`, `editor`). Admite
+   * `Apellido, Nombre`, `Apellido, Jr., Nombre` y `Nombre Apellido`; un
+   * nombre entre llaves (`{Grupo de Trabajo}`) se toma entero como apellido.
+   * @param {string} value
+   * @returns {{first: string, last: string, others?: boolean}[]}
+   *   `others` marca el `and others` final (“et al.”).
+   */
+  function parseNames(value) {
+    return splitTopLevel(String(value ?? ''), /^\s+and\s+/i).map(name => {
+      if (name.toLowerCase() === 'others') return { first: '', last: '', others: true };
+      const parts = splitTopLevel(name, /^,/);
+      if (parts.length > 1) {
+        const [last, ...rest] = parts;
+        return { first: toPlainText(rest.length > 1 ? rest[1] : rest[0]), last: toPlainText(last) };
+      }
+      const words = splitTopLevel(name, /^\s+/);
+      return { first: toPlainText(words.slice(0, -1).join(' ')), last: toPlainText(words[words.length - 1]) };
+    });
+  }
+
+  // --- ESCRITURA ---
+
+  /**
+   * Escribe una entrada como BibTeX, con las macros ya resueltas y los
+   * campos en un orden fijo.
+   * @param {{type: string, key: string, fields: Object<string, string>}} entry
+   * @returns {string}
+   */
+  function formatEntry(entry) {
+    const names = Object.keys(entry.fields).sort((a, b) => {
+      const rank = (name) => (FIELD_ORDER.includes(name) ? FIELD_ORDER.indexOf(name) : FIELD_ORDER.length);
+      return rank(a) - rank(b) || a.localeCompare(b);
+    });
+    const width = Math.max(0, ...names.map(name => name.length));
+    const lines = names.map(name => `  ${name.padEnd(width)} = {${entry.fields[name]}}`);
+    return `@${entry.type}{${entry.key},\n${lines.join(',\n')}\n}`;
+  }
+
+  return { MONTHS, parseBibtex, toPlainText, parseNames, formatEntry };
+});
@@ -0,0 +1,357 @@
+/**
+ * @file Paleta de búsqueda: Ctrl+K (⌘K en Mac) o `/` abren un buscador sobre
+ * todo el CV renderizado (formación, experiencia y sus tareas, habilidades,
+ * proyectos, publicaciones, notas y enlaces) en el idioma activo. La búsqueda
+ * no distingue mayúsculas ni tildes y admite coincidencias aproximadas: las
+ * letras de la consulta deben aparecer en orden, aunque no estén juntas. Al
+ * elegir un resultado se abre su ventana con el enrutador de main.js, el
+ * elemento se resalta y el texto coincidente se marca con la API de resaltado
+ * de CSS. El índice se rehace al cambiar de idioma o al volver a renderizar
+ * el CV o la lista de notas.
+ */
+
+(function() {
+  'use strict';
+
+  const dialog = document.getElementById('commandPalette');
+  const input = document.getElementById('commandPaletteInput');
+  const list = document.getElementById('commandPaletteResults');
+  const status = document.getElementById('commandPaletteStatus');
+  if (!dialog || !input || !list || typeof dialog.showModal !== 'function') return;
+
+  // Ventanas que se indexan, en el orden en que aparecen los resultados.
+  const SECTION_IDS = ['education', 'experience', 'skills', 'projects', 'publications', 'posts', 'links'];
+  const MAX_RESULTS = 50;
+  const HIGHLIGHT_NAME = 'command-palette-match';
+  const HIGHLIGHT_DURATION = 4000;
+
+  const getCopy = () => window.__getCopy?.().commandPalette || {};
+
+  const fillTemplate = (template = '', values = {}) =>
+    String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  // Sin tildes y en minúsculas: «Álgebra» y «algebra» son la misma clave.
+  const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  const isTyping = (target) =>
+    target.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"], [role="menu"], dialog');
+
+  // --- ÍNDICE ---
+
+  // Textos propios de un elemento de lista, sin los de sus listas anidadas ni
+  // los decorativos (como las barras de nivel).
+  const getOwnTextNodes = (item) => {
+    const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      const parent = walker.currentNode.parentElement;
+      if (parent.closest('li') === item && !parent.closest('[aria-hidden="true"]')) nodes.push(walker.currentNode);
+    }
+    return nodes;
+  };
+
+  // Ruta del elemento para el enrutador: su id o su posición en la lista principal.
+  const getItemRoute = (term, item) => {
+    if (item.id) return item.id;
+    const position = Array.from(term.querySelectorAll('.card > ul > li')).indexOf(item);
+    return position === -1 ? null : String(position + 1);
+  };
+
+  /**
+   * Crea la entrada de un elemento. Guarda, además del texto que se muestra
+   * (con los espacios colapsados) y su clave de búsqueda, la correspondencia
+   * de posiciones entre ambos y con los nodos de texto del documento, para
+   * poder marcar la coincidencia en la lista y en la página.
+   * @param {HTMLElement} term - Ventana del elemento.
+   * @param {string} section - Título de la sección.
+   * @param {HTMLLIElement} item
+   * @returns {object|null} null si el elemento no tiene texto propio.
+   */
+  function createEntry(term, section, item) {
+    const nodes = getOwnTextNodes(item);
+    const starts = [];
+    let raw = '';
+    nodes.forEach(node => {
+      starts.push(raw.length);
+      raw += node.data;
+    });
+
+    let text = '';
+    const textToRaw = [];
+    for (let i = 0; i < raw.length; i++) {
+      if (/\s/.test(raw[i])) {
+        if (!text || text.endsWith(' ')) continue;
+        text += ' ';
+      } else {
+        text += raw[i];
+      }
+      textToRaw.push(i);
+    }
+    if (text.endsWith(' ')) {
+      text = text.slice(0, -1);
+      textToRaw.pop();
+    }
+    if (!text) return null;
+
+    let key = '';
+    const keyToText = [];
+    for (let i = 0; i < text.length; i++) {
+      const folded = fold(text[i]);
+      key += folded;
+      for (let j = 0; j < folded.length; j++) keyToText.push(i);
+    }
+
+    return { id: term.id, section, route: getItemRoute(term, item), element: item, text, key, keyToText, textToRaw, nodes, starts };
+  }
+
+  function buildIndex() {
+    return SECTION_IDS.flatMap(id => {
+      const term = document.getElementById(id);
+      if (!term) return [];
+      const section = (term.querySelector('.card h2')?.textContent || id).replace(/^#\s*/, '').trim();
+      return Array.from(term.querySelectorAll('.card li'))
+        .map(item => createEntry(term, section, item))
+        .filter(Boolean);
+    });
+  }
+
+  let index = null;
+  const getIndex = () => index || (index = buildIndex());
+
+  // --- BÚSQUEDA ---
+
+  const isBoundary = (key, position) => position === 0 || !/[a-z0-9]/.test(key[position - 1]);
+
+  /**
+   * Puntúa una clave frente a la consulta. Una subcadena exacta gana a
+   * cualquier coincidencia aproximada, y más si empieza una palabra; en las
+   * aproximadas suman las letras seguidas y las que empiezan palabra.
+   * @param {string} query - Consulta ya normalizada.
+   * @param {string} key - Clave de la entrada.
+   * @returns {{score: number, positions: number[]}|null} null si no coincide.
+   */
+  function scoreMatch(query, key) {
+    const start = key.indexOf(query);
+    if (start !== -1) {
+      return {
+        score: 1000 + (isBoundary(key, start) ? 500 : 0) - start,
+        positions: Array.from(query, (character, offset) => start + offset)
+      };
+    }
+
+    // Se prueba cada aparición de la primera letra y se queda la mejor.
+    const letters = query.replace(/\s+/g, '');
+    let best = null;
+    for (let first = key.indexOf(letters[0]); first !== -1; first = key.indexOf(letters[0], first + 1)) {
+      const positions = [];
+      let score = 0;
+      let from = first;
+      for (const character of letters) {
+        const position = key.indexOf(character, from);
+        if (position === -1) break;
+        score += 1;
+        if (positions.length && position === positions[positions.length - 1] + 1) score += 4;
+        else if (isBoundary(key, position)) score += 3;
+        positions.push(position);
+        from = position + 1;
+      }
+      // Si no caben desde aquí, tampoco desde una aparición posterior.
+      if (positions.length < letters.length) break;
+      // A igualdad de letras, la entrada más corta se parece más.
+      score -= key.length / 100;
+      if (!best || score > best.score) best = { score, positions };
+    }
+    return best;
+  }
+
+  /**
+   * Busca en el índice. Sin consulta devuelve todas las entradas en orden.
+   * @param {string} query
+   * @returns {{entry: object, positions: number[]}[]}
+   */
+  function search(query) {
+    const normalized = fold(query).replace(/\s+/g, ' ').trim();
+    // Solo lo visible: en las ventanas con varias vistas, las demás están ocultas.
+    const entries = getIndex().filter(entry => !entry.element.closest('[hidden]'));
+    if (!normalized) return entries.slice(0, MAX_RESULTS).map(entry => ({ entry, positions: [] }));
+    return entries
+      .map((entry, order) => ({ entry, order, match: scoreMatch(normalized, entry.key) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+      .slice(0, MAX_RESULTS)
+      .map(({ entry, match }) => ({
+        entry,
+        positions: Array.from(new Set(match.positions.map(position => entry.keyToText[position])))
+      }));
+  }
+
+  // Agrupa posiciones consecutivas en intervalos [inicio, fin).
+  const toSpans = (positions) => positions.reduce((spans, position) => {
+    const last = spans[spans.length - 1];
+    if (last && last[1] === position) last[1] = position + 1;
+    else spans.push([position, position + 1]);
+    return spans;
+  }, []);
+
+  // --- RESALTADO EN LA PÁGINA ---
+
+  let highlightTimer = null;
+
+  const clearHighlight = () => {
+    clearTimeout(highlightTimer);
+    window.CSS?.highlights?.delete(HIGHLIGHT_NAME);
+  };
+
+  // Nodo de texto y desplazamiento de una posición del texto crudo de la entrada.
+  const locate = (entry, rawPosition) => {
+    let nodeIndex = entry.starts.length - 1;
+    while (nodeIndex > 0 && entry.starts[nodeIndex] > rawPosition) nodeIndex--;
+    return [entry.nodes[nodeIndex], rawPosition - entry.starts[nodeIndex]];
+  };
+
+  /**
+   * Marca en la página el texto que coincidió. Los navegadores sin la API de
+   * resaltado de CSS solo muestran el resaltado del elemento.
+   * @param {object} entry
+   * @param {number[]} positions - Posiciones en el texto de la entrada.
+   */
+  function highlightMatch(entry, positions) {
+    clearHighlight();
+    if (!positions.length || !window.CSS?.highlights || typeof window.Highlight !== 'function') return;
+    const ranges = toSpans(positions).map(([start, end]) => {
+      const range = document.createRange();
+      range.setStart(...locate(entry, entry.textToRaw[start]));
+      range.setEnd(...locate(entry, entry.textToRaw[end - 1] + 1));
+      return range;
+    });
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(...ranges));
+    highlightTimer = setTimeout(clearHighlight, HIGHLIGHT_DURATION);
+  }
+
+  // --- DIÁLOGO ---
+
+  let results = [];
+  let activeIndex = -1;
+
+  const renderText = (container, text, positions) => {
+    let cursor = 0;
+    toSpans(positions).forEach(([start, end]) => {
+      container.append(text.slice(cursor, start));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      container.appendChild(mark);
+      cursor = end;
+    });
+    container.append(text.slice(cursor));
+  };
+
+  const setActive = (position) => {
+    const options = list.querySelectorAll('[role="option"]');
+    if (!options.length) {
+      activeIndex = -1;
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    activeIndex = (position + options.length) % options.length;
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === activeIndex)));
+    const active = options[activeIndex];
+    input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  };
+
+  function update() {
+    const copy = getCopy();
+    results = search(input.value);
+    list.innerHTML = '';
+    results.forEach(({ entry, positions }, i) => {
+      const option = document.createElement('li');
+      option.id = `commandResult${i}`;
+      option.setAttribute('role', 'option');
+      option.dataset.resultIndex = String(i);
+      const section = document.createElement('span');
+      section.className = 'command-section';
+      section.textContent = entry.section;
+      const text = document.createElement('span');
+      text.className = 'command-text';
+      renderText(text, entry.text, positions);
+      option.append(section, text);
+      list.appendChild(option);
+    });
+    status.textContent = results.length
+      ? fillTemplate(copy.count, { count: results.length })
+      : fillTemplate(copy.empty, { query: input.value.trim() });
+    setActive(0);
+  }
+
+  function choose(position) {
+    const result = results[position];
+    if (!result) return;
+    const { entry, positions } = result;
+    dialog.close();
+    const route = entry.route ? `${entry.id}/${entry.route}` : entry.id;
+    window.__openFocusScroll?.(route, false, { target: entry.element });
+    highlightMatch(entry, positions);
+  }
+
+  function open() {
+    if (dialog.open) {
+      input.select();
+      return;
+    }
+    // No se abre encima de otro diálogo.
+    if (document.querySelector('dialog[open]')) return;
+    clearHighlight();
+    input.value = '';
+    update();
+    dialog.showModal();
+    input.focus();
+  }
+
+  input.addEventListener('input', update);
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      setActive(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+    } else if (event.key === 'Enter') {
+      choose(activeIndex);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  list.addEventListener('pointermove', (event) => {
+    const option = event.target.closest('[role="option"]');
+    if (option && Number(option.dataset.resultIndex) !== activeIndex) setActive(Number(option.dataset.resultIndex));
+  });
+
+  list.addEventListener('click', (event) => {
+    const option = event.target.closest('[role="option"]');
+    if (option) choose(Number(option.dataset.resultIndex));
+  });
+
+  // Un clic en el fondo, fuera del recuadro, cierra el diálogo.
+  dialog.addEventListener('click', (event) => {
+    if (event.target === dialog) dialog.close();
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.defaultPrevented || event.altKey) return;
+    const isShortcut = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k';
+    const isSlash = event.key === '/' && !event.ctrlKey && !event.metaKey && !isTyping(event.target);
+    if (!isShortcut && !isSlash) return;
+    event.preventDefault();
+    open();
+  });
+
+  // El CV se vuelve a renderizar al cambiar de idioma: el índice apunta a
+  // nodos que ya no están.
+  const rebuild = () => {
+    clearHighlight();
+    index = buildIndex();
+    if (dialog.open) update();
+  };
+  document.addEventListener('site-language-change', rebuild);
+  document.addEventListener('cv-rendered', rebuild);
+  document.addEventListener('posts-rendered', rebuild);
+})();
@@ -0,0 +1,482 @@
+/**
+ * @file Exporta el CV de cv-data.json a otros formatos: JSON Resume (y su
+ * importación), Markdown de GitHub, texto plano y LaTeX con moderncv.
+ * Todas las exportaciones reciben el idioma y los textos de interfaz del
+ * idioma activo. Funciona en el navegador (`window.__cvExport`) y en Node.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./cv-render.js'), require('./periods.js'));
+  } else {
+    root.__cvExport = factory(root.__cvRender, root.__periods);
+  }
+})(typeof self !== 'undefined' ? self : this, function(render, periods) {
+  'use strict';
+
+  const { localize, getStack, DEFAULT_LANGUAGE } = render;
+
+  const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+  // Títulos de sección para los CV importados, que no los traen.
+  const IMPORT_TITLES = {
+    es: { education: 'Educación', experience: 'Experiencia', skills: 'Habilidades', projects: 'Proyectos', links: 'Enlaces' },
+    en: { education: 'Education', experience: 'Experience', skills: 'Skills', projects: 'Projects', links: 'Links' }
+  };
+
+  const BABEL_LANGUAGES = { es: 'spanish', en: 'english' };
+
+  // --- UTILIDADES ---
+
+  const getYears = (text = '') => (String(text).match(/\d{4}/g) || []).map(Number);
+
+  /**
+   * Calcula el rango de años de una experiencia a partir de sus tareas.
+   * @param {object[]} tasks - Tareas con `year` opcional.
+   * @returns {{start: number, end: number|null}|null} `end` es null si
+   *   alguna tarea sigue en curso.
+   */
+  const getYearRange = (tasks = []) => {
+    const taskPeriods = tasks.map(task => periods.parsePeriod(task.year)).filter(Boolean);
+    if (!taskPeriods.length) return null;
+    const { start, end } = periods.getBounds(taskPeriods);
+    return { start, end: taskPeriods.some(periods.isOngoing) ? null : end };
+  };
+
+  const formatRange = (range, separator) => {
+    if (!range) return '';
+    if (range.end === null) return `${range.start}${separator}`;
+    return range.start === range.end ? String(range.start) : `${range.start}${separator}${range.end}`;
+  };
+
+  // "Maestría en Ciencias — Matemática Aplicada" → tipo y área de estudio.
+  const splitDegree = (degree) => {
+    const [studyType, ...area] = degree.split(/\s+—\s+/);
+    return { studyType, area: area.join(' — ') };
+  };
+
+  const getUsername = (url = '') => url.replace(/\/+$/, '').split('/').pop().replace(/^@/, '');
+
+  const localizeList = (list = [], language) => list.map(item => localize(item, language));
+
+  // Categorías de habilidades con los nombres de sus habilidades, como en JSON Resume.
+  const getSkillGroups = (data, language) => (data.skills?.categories || []).map(category => ({
+    name: localize(category.name, language),
+    keywords: localizeList(category.skills.map(skill => skill.name), language)
+  }));
+
+  // --- JSON RESUME ---
+
+  /**
+   * Convierte el CV al esquema JSON Resume (v1.0.0).
+   * @param {object} data - cv-data.json.
+   * @param {string} [language] - Idioma de los textos.
+   * @returns {object}
+   */
+  function toJsonResume(data, language = DEFAULT_LANGUAGE) {
+    const { person, about } = data;
+    const [city, ...region] = localize(about.location, language).split(/\s*,\s*/);
+
+    return {
+      $schema: JSON_RESUME_SCHEMA,
+      basics: {
+        name: person.name,
+        label: localize(person.jobTitle, language),
+        email: about.email,
+        url: person.url,
+        summary: localizeList(about.focus, language).join(' · '),
+        location: { city, region: region.join(', ') || undefined },
+        profiles: (data.links?.items || []).map(link => ({
+          network: localize(link.name, language),
+          username: getUsername(link.url),
+          url: link.url
+        }))
+      },
+      work: (data.experience?.items || []).map(item => {
+        const range = getYearRange(item.tasks);
+        return {
+          name: localize(item.institution, language),
+          position: localize(item.rol, language),
+          startDate: range ? String(range.start) : undefined,
+          endDate: range?.end ? String(range.end) : undefined,
+          highlights: item.tasks.map(task => {
+            const name = localize(task.name, language);
+            return task.year ? `${name} (${task.year})` : name;
+          })
+        };
+      }),
+      education: (data.education?.items || []).map(item => {
+        const { studyType, area } = splitDegree(localize(item.degree, language));
+        const period = periods.parsePeriod(localize(item.status, language));
+        return {
+          institution: localize(item.institution, language),
+          studyType,
+          area: area || undefined,
+          startDate: period && period.start !== period.end ? String(period.start) : undefined,
+          endDate: period?.end ? String(period.end) : undefined
+        };
+      }),
+      awards: (data.education?.items || []).filter(item => item.distinction).map(item => ({
+        title: localize(item.distinction, language),
+        date: periods.parsePeriod(localize(item.status, language))?.end?.toString(),
+        awarder: localize(item.institution, language)
+      })),
+      skills: getSkillGroups(data, language),
+      projects: (data.projects?.items || []).map(item => ({
+        name: localize(item.name, language),
+        ...(item.description ? { description: localize(item.description, language) } : {}),
+        ...(item.stack?.length ? { keywords: localizeList(item.stack, language) } : {}),
+        url: item.url
+      })),
+      interests: localizeList(about.interests, language).map(name => ({ name })),
+      meta: { canonical: person.url }
+    };
+  }
+
+  /**
+   * Crea un cv-data.json a partir de un CV en formato JSON Resume.
+   * Los textos se importan como texto plano en el idioma indicado.
+   * @param {object} resume - CV en formato JSON Resume.
+   * @param {string} [language] - Idioma del CV importado.
+   * @returns {object} Datos con la estructura de cv-data.schema.json.
+   */
+  function fromJsonResume(resume, language = DEFAULT_LANGUAGE) {
+    const basics = resume.basics || {};
+    const titles = IMPORT_TITLES[language] || IMPORT_TITLES.en;
+    const location = basics.location || {};
+    const awards = resume.awards || [];
+
+    const data = {
+      person: {
+        name: basics.name || '',
+        alternateName: getUsername(basics.profiles?.[0]?.url) || (basics.name || '').split(/\s+/)[0].toLowerCase(),
+        jobTitle: basics.label || '',
+        url: basics.url || '',
+        sameAs: (basics.profiles || []).map(profile => profile.url).filter(Boolean)
+      },
+      about: {
+        rol: (basics.label || '').split(/\s*·\s*/).filter(Boolean),
+        focus: (basics.summary || '').split(/\s*·\s*/).filter(Boolean),
+        interests: (resume.interests || []).map(interest => interest.name).filter(Boolean),
+        location: [location.city, location.region].filter(Boolean).join(', '),
+        email: basics.email || ''
+      },
+      education: {
+        title: titles.education,
+        items: (resume.education || []).map(item => {
+          const award = awards.find(a => a.awarder === item.institution && a.date === item.endDate);
+          return {
+            degree: item.area ? `${item.studyType} — ${item.area}` : item.studyType || item.area || '',
+            institution: item.institution || '',
+            ...(item.endDate ? { status: getYears(item.endDate)[0]?.toString() || item.endDate } : {}),
+            ...(award ? { distinction: award.title } : {})
+          };
+        })
+      },
+      experience: {
+        title: titles.experience,
+        items: (resume.work || []).map((item, index) => ({
+          id: `exp${index + 1}`,
+          rol: item.position || '',
+          institution: item.name || '',
+          tasks: (item.highlights || []).map(highlight => {
+            const match = highlight.match(/^(.*?)\s*\((\d{4}(?:-(?:\d{4})?)?)\)$/);
+            return match ? { name: match[1], year: match[2] } : { name: highlight };
+          })
+        }))
+      },
+      skills: {
+        title: titles.skills,
+        categories: (resume.skills || []).filter(skill => skill.name).map((skill, index) => ({
+          id: `skill${index + 1}`,
+          name: skill.name,
+          skills: (skill.keywords?.length ? skill.keywords : [skill.name]).map(name => ({ name }))
+        }))
+      },
+      projects: {
+        title: titles.projects,
+        items: (resume.projects || []).filter(project => project.url).map(project => ({
+          name: project.name,
+          url: project.url,
+          ...(project.description ? { description: project.description } : {}),
+          ...(project.keywords?.length ? { stack: project.keywords } : {})
+        }))
+      },
+      links: {
+        title: titles.links,
+        items: (basics.profiles || []).filter(profile => profile.url).map(profile => ({ name: profile.network, url: profile.url }))
+      }
+    };
+    return data;
+  }
+
+  // --- MARKDOWN ---
+
+  const escapeMarkdown = (text = '') => String(text).replace(/([\\`*_[\]|<>])/g, '\\$1');
+
+  /**
+   * Convierte el CV a Markdown con el dialecto de GitHub.
+   * @param {object} data - cv-data.json.
+   * @param {string} [language] - Idioma de los textos.
+   * @param {object} [copy] - Textos de interfaz (translations.js).
+   * @returns {string}
+   */
+  function toMarkdown(data, language = DEFAULT_LANGUAGE, copy = {}) {
+    const labels = copy.about || {};
+    const { person, about } = data;
+    const lines = [
+      `# ${escapeMarkdown(person.name)}`,
+      '',
+      `**${escapeMarkdown(localize(person.jobTitle, language))}**`,
+      '',
+      `- **${escapeMarkdown(labels.focusKey || 'Focus')}:** ${escapeMarkdown(localizeList(about.focus, language).join(' · '))}`,
+      `- **${escapeMarkdown(labels.stackKey || 'Stack')}:** ${escapeMarkdown(getStack(data.skills, language).join(' · '))}`,
+      `- **${escapeMarkdown(labels.locationKey || 'Location')}:** ${escapeMarkdown(localize(about.location, language))}`,
+      `- **${escapeMarkdown(labels.emailKey || 'Email')}:** [${escapeMarkdown(about.email)}](mailto:${about.email})`,
+      `- **Web:** <${person.url}>`,
+      '',
+      `## ${escapeMarkdown(localize(data.education.title, language))}`,
+      '',
+      ...data.education.items.map(item => {
+        const extra = [item.status, item.distinction].filter(Boolean).map(value => escapeMarkdown(localize(value, language)));
+        return `- **${escapeMarkdown(localize(item.degree, language))}** — ${escapeMarkdown(localize(item.institution, language))}${extra.length ? ` · ${extra.join(' · ')}` : ''}`;
+      }),
+      '',
+      `## ${escapeMarkdown(localize(data.experience.title, language))}`
+    ];
+
+    data.experience.items.forEach(item => {
+      lines.push('', `### ${escapeMarkdown(localize(item.rol, language))} — ${escapeMarkdown(localize(item.institution, language))}`, '');
+      item.tasks.forEach(task => {
+        lines.push(`- ${escapeMarkdown(localize(task.name, language))}${task.year ? ` \`${task.year}\`` : ''}`);
+      });
+    });
+
+    lines.push(
+      '',
+      `## ${escapeMarkdown(localize(data.skills.title, language))}`,
+      '',
+      ...getSkillGroups(data, language).map(group => `- **${escapeMarkdown(group.name)}:** ${escapeMarkdown(group.keywords.join(' · '))}`),
+      '',
+      `## ${escapeMarkdown(localize(data.projects.title, language))}`,
+      '',
+      ...data.projects.items.map(item => `- [${escapeMarkdown(localize(item.name, language))}](${item.url})${item.description ? ` — ${escapeMarkdown(localize(item.description, language))}` : ''}`),
+      '',
+      `## ${escapeMarkdown(localize(data.links.title, language))}`,
+      '',
+      ...data.links.items.map(item => `- [${escapeMarkdown(localize(item.name, language))}](${item.url})`)
+    );
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // --- TEXTO PLANO ---
+
+  const heading = (title) => `${title.toUpperCase()}\n${'-'.repeat(title.length)}`;
+
+  /**
+   * Convierte el CV a texto plano, apto para formularios sin formato.
+   * @param {object} data - cv-data.json.
+   * @param {string} [language] - Idioma de los textos.
+   * @param {object} [copy] - Textos de interfaz (translations.js).
+   * @returns {string}
+   */
+  function toText(data, language = DEFAULT_LANGUAGE, copy = {}) {
+    const labels = copy.about || {};
+    const { person, about } = data;
+    const blocks = [
+      [
+        person.name.toUpperCase(),
+        localize(person.jobTitle, language),
+        '',
+        `${labels.focusKey || 'Focus'}: ${localizeList(about.focus, language).join(' · ')}`,
+        `${labels.stackKey || 'Stack'}: ${getStack(data.skills, language).join(' · ')}`,
+        `${labels.locationKey || 'Location'}: ${localize(about.location, language)}`,
+        `${labels.emailKey || 'Email'}: ${about.email}`,
+        `Web: ${person.url}`
+      ].join('\n'),
+      [
+        heading(localize(data.education.title, language)),
+        ...data.education.items.map(item => {
+          const extra = [item.status, item.distinction].filter(Boolean).map(value => localize(value, language));
+          return `* ${localize(item.degree, language)} — ${localize(item.institution, language)}${extra.length ? ` (${extra.join(', ')})` : ''}`;
+        })
+      ].join('\n'),
+      [
+        heading(localize(data.experience.title, language)),
+        ...data.experience.items.map(item => [
+          `* ${localize(item.rol, language)} — ${localize(item.institution, language)}`,
+          ...item.tasks.map(task => `    - ${localize(task.name, language)}${task.year ? ` (${task.year})` : ''}`)
+        ].join('\n'))
+      ].join('\n'),
+      [
+        heading(localize(data.skills.title, language)),
+        ...getSkillGroups(data, language).map(group => `* ${group.name}: ${group.keywords.join(', ')}`)
+      ].join('\n'),
+      [
+        heading(localize(data.projects.title, language)),
+        ...data.projects.items.map(item => [
+          `* ${localize(item.name, language)}: ${item.url}`,
+          ...(item.description ? [`    ${localize(item.description, language)}`] : [])
+        ].join('\n'))
+      ].join('\n'),
+      [
+        heading(localize(data.links.title, language)),
+        ...data.links.items.map(item => `* ${localize(item.name, language)}: ${item.url}`)
+      ].join('\n')
+    ];
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  // --- LATEX (moderncv) ---
+
+  const LATEX_REPLACEMENTS = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '$': '\\$',
+    '&': '\\&',
+    '#': '\\#',
+    '^': '\\textasciicircum{}',
+    '_': '\\_',
+    '%': '\\%',
+    '~': '\\textasciitilde{}'
+  };
+
+  const escapeLatex = (text = '') => String(text).replace(/[\\{}$&#^_%~]/g, char => LATEX_REPLACEMENTS[char]);
+
+  // En el argumento de \href y \url basta con escapar `%` y `#`; la barra
+  // invertida y las llaves, que romperían el argumento, se codifican.
+  const LATEX_URL_REPLACEMENTS = { '\\': '\\%5C', '{': '\\%7B', '}': '\\%7D', '%': '\\%', '#': '\\#' };
+
+  const escapeLatexUrl = (url = '') => String(url).replace(/[\\{}%#]/g, char => LATEX_URL_REPLACEMENTS[char]);
+
+  // moderncv usa las redes conocidas con \social; el resto va como enlace.
+  const SOCIAL_NETWORKS = { 'github.com': 'github', 'linkedin.com': 'linkedin', 'youtube.com': 'youtube' };
+
+  const getSocial = (url) => {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    return SOCIAL_NETWORKS[host] ? { network: SOCIAL_NETWORKS[host], username: getUsername(url) } : null;
+  };
+
+  /**
+   * Convierte el CV a un documento LaTeX con la clase moderncv.
+   * @param {object} data - cv-data.json.
+   * @param {string} [language] - Idioma de los textos.
+   * @param {object} [copy] - Textos de interfaz (translations.js).
+   * @returns {string}
+   */
+  function toLatex(data, language = DEFAULT_LANGUAGE, copy = {}) {
+    const labels = copy.about || {};
+    const { person, about } = data;
+    const words = person.name.split(/\s+/);
+    const split = Math.max(1, Math.floor(words.length / 2));
+    const socials = data.links.items.map(link => getSocial(link.url)).filter(Boolean);
+    const otherLinks = data.links.items.filter(link => !getSocial(link.url));
+
+    const lines = [
+      '\\documentclass[11pt,a4paper,sans]{moderncv}',
+      '\\moderncvstyle{classic}',
+      '\\moderncvcolor{blue}',
+      '\\usepackage[utf8]{inputenc}',
+      '\\usepackage[scale=0.8]{geometry}',
+      `\\usepackage[${BABEL_LANGUAGES[language] || 'english'}]{babel}`,
+      '',
+      `\\name{${escapeLatex(words.slice(0, split).join(' '))}}{${escapeLatex(words.slice(split).join(' '))}}`,
+      `\\title{${escapeLatex(localize(person.jobTitle, language))}}`,
+      `\\address{${escapeLatex(localize(about.location, language))}}{}{}`,
+      `\\email{${escapeLatex(about.email)}}`,
+      `\\homepage{${escapeLatex(person.url.replace(/^https?:\/\//, '').replace(/\/$/, ''))}}`,
+      ...socials.map(social => `\\social[${social.network}]{${escapeLatex(social.username)}}`),
+      '',
+      '\\begin{document}',
+      '\\makecvtitle',
+      '',
+      `\\cvitem{${escapeLatex(labels.focusKey || 'Focus')}}{${escapeLatex(localizeList(about.focus, language).join(' · '))}}`,
+      `\\cvitem{${escapeLatex(labels.stackKey || 'Stack')}}{${escapeLatex(getStack(data.skills, language).join(', '))}}`,
+      '',
+      `\\section{${escapeLatex(localize(data.education.title, language))}}`,
+      ...data.education.items.map(item => {
+        const { studyType, area } = splitDegree(localize(item.degree, language));
+        const distinction = item.distinction ? `\\textit{${escapeLatex(localize(item.distinction, language))}}` : '';
+        return `\\cventry{${escapeLatex(localize(item.status, language))}}{${escapeLatex(studyType)}}{${escapeLatex(localize(item.institution, language))}}{}{${distinction}}{${escapeLatex(area)}}`;
+      }),
+      '',
+      `\\section{${escapeLatex(localize(data.experience.title, language))}}`
+    ];
+
+    data.experience.items.forEach(item => {
+      const tasks = item.tasks.map(task =>
+        `  \\item ${escapeLatex(localize(task.name, language))}${task.year ? ` (${escapeLatex(task.year.replace('-', '--'))})` : ''}`);
+      lines.push(
+        `\\cventry{${formatRange(getYearRange(item.tasks), '--')}}{${escapeLatex(localize(item.rol, language))}}{${escapeLatex(localize(item.institution, language))}}{}{}{%`,
+        '\\begin{itemize}',
+        ...tasks,
+        '\\end{itemize}}'
+      );
+    });
+
+    lines.push(
+      '',
+      `\\section{${escapeLatex(localize(data.skills.title, language))}}`,
+      ...getSkillGroups(data, language).map(group =>
+        `\\cvitem{${escapeLatex(group.name)}}{${escapeLatex(group.keywords.join(', '))}}`),
+      '',
+      `\\section{${escapeLatex(localize(data.projects.title, language))}}`,
+      ...data.projects.items.map(item => `\\cvitem{}{\\href{${escapeLatexUrl(item.url)}}{${escapeLatex(localize(item.name, language))}}${item.description ? ` --- ${escapeLatex(localize(item.description, language))}` : ''}}`)
+    );
+
+    if (otherLinks.length) {
+      lines.push(
+        '',
+        `\\section{${escapeLatex(localize(data.links.title, language))}}`,
+        ...otherLinks.map(link => `\\cvitem{${escapeLatex(localize(link.name, language))}}{\\url{${escapeLatexUrl(link.url)}}}`)
+      );
+    }
+
+    lines.push('', '\\end{document}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // --- REGISTRO DE FORMATOS ---
+
+  const FORMATS = {
+    json: {
+      extension: 'json',
+      mime: 'application/json',
+      render: (data, language) => `${JSON.stringify(toJsonResume(data, language), null, 2)}\n`
+    },
+    md: { extension: 'md', mime: 'text/markdown', render: toMarkdown },
+    txt: { extension: 'txt', mime: 'text/plain', render: toText },
+    tex: { extension: 'tex', mime: 'application/x-tex', render: toLatex }
+  };
+
+  /**
+   * Exporta el CV en uno de los formatos registrados.
+   * @param {object} data - cv-data.json.
+   * @param {string} format - Clave del formato (json, md, txt, tex).
+   * @param {string} [language] - Idioma de los textos.
+   * @param {object} [copy] - Textos de interfaz (translations.js).
+   * @returns {{content: string, filename: string, mime: string}}
+   */
+  function exportCv(data, format, language = DEFAULT_LANGUAGE, copy = {}) {
+    const definition = FORMATS[format];
+    if (!definition) throw new Error(`Formato de exportación desconocido: ${format}`);
+    const slug = data.person.alternateName || 'cv';
+    return {
+      content: definition.render(data, language, copy),
+      filename: `${slug}-cv-${language}.${definition.extension}`,
+      mime: `${definition.mime};charset=utf-8`
+    };
+  }
+
+  return {
+    FORMATS,
+    exportCv,
+    toJsonResume,
+    fromJsonResume,
+    toMarkdown,
+    toText,
+    toLatex
+  };
+});
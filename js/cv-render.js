@@ -0,0 +1,508 @@
+/**
+ * @file Generadores del HTML de cada sección del CV a partir de cv-data.json.
+ * Son funciones puras (sin DOM) para que las compartan data-loader.js en el
+ * navegador y scripts/prerender.js al generar las páginas estáticas.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./cv-validator.js'), require('./languages.js'), require('./periods.js'));
+  } else {
+    root.__cvRender = factory(root.__cvValidator, root.__languages, root.__periods);
+  }
+})(typeof self !== 'undefined' ? self : this, function(validator, languages, periods) {
+  'use strict';
+
+  const { DEFAULT_LANGUAGE, formatPeriod, formatDuration, formatDate } = languages;
+
+  // Claves de cv-data.json de las que depende cada ventana.
+  const SECTION_DATA_KEYS = {
+    about: ['about', 'person'],
+    education: ['education'],
+    experience: ['experience', 'education'],
+    skills: ['skills'],
+    projects: ['projects'],
+    links: ['links']
+  };
+
+  const escapeHtml = (str = '') =>
+    String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+
+  /**
+   * Devuelve la variante de un campo traducible en el idioma pedido o, si
+   * falta, en el primero de su cadena de respaldo (js/languages.js).
+   * Los valores que no son objetos de idioma se devuelven tal cual.
+   * @param {string|object} value - Texto plano o `{ es, en, ... }`.
+   * @param {string} language - Código del idioma activo.
+   * @returns {string}
+   */
+  const localize = (value, language) => languages.localize(value, language);
+
+  const fillTemplate = (template = '', values = {}) =>
+    String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  // Los periodos (`2024`, `2020-2021`, `2024-`) se formatean según el idioma;
+  // el resto de textos se dejan tal cual.
+  const formatYears = (value, language) => {
+    const period = periods.parsePeriod(value);
+    return period ? formatPeriod(period, language) : value ?? '';
+  };
+
+  // Niveles de dominio de una habilidad y ancho de su barra en caracteres.
+  const MAX_LEVEL = 5;
+  const BAR_WIDTH = 10;
+
+  // Caracteres por año en la cronología y relleno de cada tipo de barra.
+  const TIMELINE_CELL = 5;
+  const TIMELINE_FILL = { experience: '#', education: '=' };
+
+  // Estados de un proyecto (cv-data.schema.json), con su texto en `projects.status`.
+  const PROJECT_STATUSES = ['active', 'maintained', 'completed', 'archived'];
+
+  /**
+   * Tecnologías de la fila "Stack" de la ventana about: las habilidades
+   * marcadas con `stack`, en el orden de cv-data.json.
+   * @param {object} skills - Sección `skills` de cv-data.json.
+   * @param {string} language - Idioma activo.
+   * @returns {string[]}
+   */
+  function getStack(skills, language) {
+    return (skills?.categories || [])
+      .flatMap(category => category.skills || [])
+      .filter(skill => skill?.stack)
+      .map(skill => localize(skill.name, language));
+  }
+
+  /**
+   * Experiencias y proyectos a los que pueden apuntar las habilidades, por id.
+   * @param {object} data - cv-data.json.
+   * @param {string} language - Idioma activo.
+   * @returns {Map<string, {route: string, name: string}>}
+   */
+  function getReferences(data, language) {
+    const references = new Map();
+    (data.experience?.items || []).forEach(item => {
+      references.set(item.id, { route: `experience/${item.id}`, name: localize(item.rol, language) });
+    });
+    (data.projects?.items || []).filter(item => item.id).forEach(item => {
+      references.set(item.id, { route: `projects/${item.id}`, name: localize(item.name, language) });
+    });
+    return references;
+  }
+
+  /**
+   * Genera el HTML de todas las secciones en el idioma indicado.
+   * Una sección con datos no válidos se sustituye por una tarjeta de error
+   * sin impedir que el resto del CV se muestre.
+   * @param {object} data - El objeto con todos los datos del CV.
+   * @param {string} language - Idioma en el que se renderiza el contenido.
+   * @param {object} copy - Textos de interfaz del idioma (translations.js).
+   * @param {{path: string, message: string}[]} [errors] - Errores de validación.
+   * @param {{projectsMeta?: object|null}} [context] - Datos que no están en
+   *   cv-data.json: `projectsMeta` es projects-meta.json, si existe.
+   * @returns {Object<string, string>} HTML por sección (about, education, ...).
+   */
+  function renderSections(data, language = DEFAULT_LANGUAGE, copy = {}, errors = [], { projectsMeta = null } = {}) {
+    // Un texto que falte se avisa una vez y se deja vacío, nunca `undefined`.
+    const text = (key) => languages.lookup(copy, key, language) ?? '';
+    const generators = {
+      about: () => generateAboutHtml(data.about, data.person, getStack(data.skills, language), language, key => text(`about.${key}`)),
+      education: () => generateEducationHtml(data.education, language),
+      experience: () => generateExperienceHtml(data.experience, data.education, language, key => text(`experience.${key}`)),
+      skills: () => generateSkillsHtml(data.skills, language, getReferences(data, language), key => text(`skills.${key}`)),
+      projects: () => generateProjectsHtml(data.projects, language, projectsMeta?.repositories || {}, key => text(`projects.${key}`)),
+      links: () => generateLinksHtml(data.links, language)
+    };
+
+    const errorsByKey = validator?.groupBySection(errors) || {};
+    const rootErrors = errorsByKey['(raíz)'] || [];
+    const htmlContents = {};
+    for (const key in generators) {
+      const sectionErrors = rootErrors.concat(...SECTION_DATA_KEYS[key].map(dataKey => errorsByKey[dataKey] || []));
+      if (sectionErrors.length) {
+        htmlContents[key] = generateErrorHtml(key, sectionErrors, errorKey => text(`sectionError.${errorKey}`));
+        continue;
+      }
+      try {
+        htmlContents[key] = generators[key]();
+      } catch (error) {
+        console.error(`No se pudo renderizar la sección "${key}":`, error);
+        htmlContents[key] = generateErrorHtml(key, [{ path: key, message: error.message }], errorKey => text(`sectionError.${errorKey}`));
+      }
+    }
+    return htmlContents;
+  }
+
+  /**
+   * Indica si los metadatos de la persona se pueden usar sin riesgo.
+   * @param {{path: string}[]} errors - Errores de validación.
+   * @returns {boolean}
+   */
+  function hasValidPerson(errors = []) {
+    return !errors.some(({ path }) => path === '(raíz)' || /^person\b/.test(path));
+  }
+
+  /**
+   * Genera la tarjeta de error que sustituye a una sección con datos no válidos.
+   * @param {string} section - Clave de la sección.
+   * @param {{path: string, message: string}[]} errors - Violaciones encontradas.
+   * @param {function(string): string} label - Texto de interfaz por clave de `sectionError`.
+   * @returns {string} El HTML generado.
+   */
+  function generateErrorHtml(section, errors, label) {
+    const itemsHtml = errors.map(({ path, message }) =>
+      `<li><code>${escapeHtml(path)}</code>: ${escapeHtml(message)}</li>`).join('');
+    return `
+      <div class="section-error" role="alert">
+        <h2># ${escapeHtml(fillTemplate(label('title') || 'Error: {section}', { section }))}</h2>
+        <p class="muted">${escapeHtml(label('message'))}</p>
+        <ul>${itemsHtml}</ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Genera el HTML para la sección "About" (vista fastfetch y vista de código).
+   * @param {object} about - Datos de la sección.
+   * @param {object} person - Datos de la persona.
+   * @param {string[]} stack - Tecnologías, derivadas de las habilidades (`getStack`).
+   * @param {string} language - Idioma activo.
+   * @param {function(string): string} label - Etiqueta de interfaz por clave de `about`.
+   * @returns {string} El HTML generado.
+   */
+  function generateAboutHtml(about, person, stack, language, label) {
+    if (!about || !person) return '';
+    const role = about.rol.map(r => localize(r, language)).join(' · ');
+    const focus = about.focus.map(f => localize(f, language)).join(' · ');
+    const interests = about.interests.map(i => `&quot;${escapeHtml(localize(i, language))}&quot;`).join(', ');
+    const email = escapeHtml(about.email);
+    const mailto = `mailto:${email}?subject=${encodeURIComponent(label('emailSubject'))}`;
+    return `
+      <h2 id="h-name" class="sr-only">${escapeHtml(fillTemplate(label('heading'), { name: person.name }))}</h2>
+      <div class="fetch-info">
+        <div class="fetch-title"><span class="user">${escapeHtml(person.alternateName)}</span><span class="muted">@</span><span class="host">cv</span></div>
+        <div class="fetch-rule" aria-hidden="true"></div>
+        <div class="fetch-row"><span class="fetch-key">${escapeHtml(label('nameKey'))}</span><span class="fetch-value">${escapeHtml(person.name)}</span></div>
+        <div class="fetch-row"><span class="fetch-key">${escapeHtml(label('roleKey'))}</span><span class="fetch-value">${escapeHtml(role)}</span></div>
+        <div class="fetch-row"><span class="fetch-key">${escapeHtml(label('focusKey'))}</span><span class="fetch-value">${escapeHtml(focus)}</span></div>
+        <div class="fetch-row"><span class="fetch-key">${escapeHtml(label('stackKey'))}</span><span class="fetch-value">${escapeHtml(stack.join(' · '))}</span></div>
+        <div class="fetch-row"><span class="fetch-key">${escapeHtml(label('locationKey'))}</span><span class="fetch-value">${escapeHtml(localize(about.location, language))}</span></div>
+        <div class="fetch-row"><span class="fetch-key">${escapeHtml(label('emailKey'))}</span><span class="fetch-value"><a href="${mailto}">${email}</a></span></div>
+        <div class="fetch-palette" aria-hidden="true">
+          <span class="swatch red"></span><span class="swatch orange"></span><span class="swatch yellow"></span><span class="swatch green"></span><span class="swatch cyan"></span><span class="swatch blue"></span><span class="swatch magenta"></span>
+        </div>
+      </div>
+      <div class="about-code">
+        <div class="line"><span class="hdr"># ${escapeHtml(person.name)}</span></div>
+        <div class="line"><span class="id">${escapeHtml(person.alternateName)}</span> <span class="k">=</span> <span class="v">{</span></div>
+        <div class="indent">
+          <div class="line"><span class="k">${escapeHtml(label('codeRoleKey'))}</span>: <span class="v">&quot;${escapeHtml(role)}&quot;</span>,</div>
+          <div class="line"><span class="k">${escapeHtml(label('interestsKey'))}</span>: <span class="v">[${interests}]</span>,</div>
+          <div class="line"><span class="k">${escapeHtml(label('codeLocationKey'))}</span>: <span class="v">&quot;${escapeHtml(localize(about.location, language))}&quot;</span>,</div>
+          <div class="line"><span class="k">${escapeHtml(label('codeEmailKey'))}</span>: <a href="${mailto}">${email}</a></div>
+        </div>
+        <div class="line"><span class="v">}</span></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Genera el HTML para la sección "Education".
+   * @param {object} education - Datos de la sección.
+   * @param {string} language - Idioma activo.
+   * @returns {string} El HTML generado.
+   */
+  function generateEducationHtml(education, language) {
+    if (!education) return '';
+    const itemsHtml = education.items.map(item => {
+      const badges = [item.status, item.distinction]
+        .filter(Boolean)
+        .map(badge => ` <span class="badge">${escapeHtml(formatYears(localize(badge, language), language))}</span>`)
+        .join('');
+
+      return `  <li><strong>${escapeHtml(localize(item.degree, language))}</strong> — ${escapeHtml(localize(item.institution, language))}${badges}</li>`;
+    }).join('\n');
+    return `<h2 id="h-edu"># ${escapeHtml(localize(education.title, language))}</h2>\n<ul>\n${itemsHtml}\n</ul>`;
+  }
+
+  /**
+   * Genera los botones que alternan entre las vistas de una ventana. Salen
+   * ocultos: js/section-views.js los muestra y cambia de panel
+   * (`data-view-panel`), así que sin JavaScript solo se ve la primera vista.
+   * @param {string[]} views - Claves de las vistas; la primera es la inicial.
+   * @param {function(string): string} label - Texto de interfaz por clave.
+   * @returns {string}
+   */
+  function generateViewsHtml(views, label) {
+    return [
+      `<div class="section-views" role="group" aria-label="${escapeHtml(label('viewLabel'))}" hidden>`,
+      ...views.map((view, index) =>
+        `  <button class="btn" type="button" data-view="${view}" aria-pressed="${index === 0}">${escapeHtml(label(view))}</button>`),
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Genera la cronología de educación y experiencia en una sola escala de
+   * años, con una barra ASCII por elemento, de lo más reciente a lo más
+   * antiguo y agrupada por año de inicio.
+   * @param {object} experience - Datos de la sección.
+   * @param {object} [education] - Datos de la sección de educación.
+   * @param {string} language - Idioma activo.
+   * @param {function(string): string} label - Texto de interfaz por clave de `experience`.
+   * @returns {string} El HTML generado, o `''` si nada tiene fecha.
+   */
+  function generateTimelineHtml(experience, education, language, label) {
+    const entries = [
+      ...(education?.items || []).map(item => ({
+        kind: 'education',
+        name: localize(item.degree, language),
+        context: localize(item.institution, language),
+        period: periods.parsePeriod(localize(item.status, language))
+      })),
+      ...experience.items.flatMap(item => item.tasks.map(task => ({
+        kind: 'experience',
+        name: localize(task.name, language),
+        context: localize(item.rol, language),
+        period: periods.parsePeriod(task.year)
+      })))
+    ].filter(entry => entry.period);
+    if (!entries.length) return '';
+
+    const bounds = periods.getBounds(entries.map(entry => entry.period));
+    const years = Array.from({ length: bounds.end - bounds.start + 1 }, (_, index) => bounds.start + index);
+    const bar = ({ kind, period }) => years.map(year => {
+      if (year < period.start || year > periods.getEnd(period, bounds.end)) return '.'.padEnd(TIMELINE_CELL);
+      const cell = TIMELINE_FILL[kind].repeat(TIMELINE_CELL);
+      // Lo que sigue en curso se sale de la escala.
+      return periods.isOngoing(period) && year === bounds.end ? `${cell.slice(1)}>` : cell;
+    }).join('');
+
+    const groupsHtml = periods.groupByYear(entries, entry => entry.period).map(group => [
+      `  <h3 class="timeline-year">${escapeHtml(formatPeriod({ start: group.year, end: group.year }, language))}</h3>`,
+      '  <ul class="timeline-items">',
+      ...group.items.map(entry => {
+        const ongoing = periods.isOngoing(entry.period) ? ` <span class="badge">${escapeHtml(label('ongoing'))}</span>` : '';
+        return `    <li class="timeline-item timeline-${entry.kind}"><span class="timeline-bar" aria-hidden="true">${bar(entry)}</span><span class="timeline-name">${escapeHtml(entry.name)}</span><span class="timeline-meta">${escapeHtml(entry.context)} · ${escapeHtml(formatPeriod(entry.period, language))}${ongoing}</span></li>`;
+      }),
+      '  </ul>'
+    ].join('\n')).join('\n');
+
+    const legend = Object.keys(TIMELINE_FILL)
+      .map(kind => `<span class="timeline-${kind}"><span class="timeline-bar" aria-hidden="true">${TIMELINE_FILL[kind].repeat(3)}</span> ${escapeHtml(localize((kind === 'education' ? education : experience)?.title, language))}</span>`)
+      .join(' ');
+    return [
+      '<div class="timeline" data-view-panel="timeline" hidden>',
+      `  <p class="timeline-legend">${legend}</p>`,
+      `  <div class="timeline-axis" aria-hidden="true">${years.map(year => String(year).padEnd(TIMELINE_CELL)).join('')}</div>`,
+      groupsHtml,
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Genera el HTML para la sección "Experience": la lista de experiencias y,
+   * oculta, la cronología que la combina con la educación.
+   * @param {object} experience - Datos de la sección.
+   * @param {object} [education] - Datos de la sección de educación, para la cronología.
+   * @param {string} language - Idioma activo.
+   * @param {function(string): string} label - Texto de interfaz por clave de `experience`.
+   * @returns {string} El HTML generado.
+   */
+  function generateExperienceHtml(experience, education, language, label) {
+    if (!experience) return '';
+    const itemsHtml = experience.items.map(item => {
+      const tasksHtml = item.tasks.map(task =>
+        `      <li>${escapeHtml(localize(task.name, language))}${task.year ? ` <span class="badge">${escapeHtml(formatYears(task.year, language))}</span>` : ''}</li>`
+      ).join('\n');
+      return [
+        `  <li id="${escapeHtml(item.id)}">`,
+        `    <strong>${escapeHtml(localize(item.rol, language))}</strong> — ${escapeHtml(localize(item.institution, language))}<br/>`,
+        '    <ul>',
+        tasksHtml,
+        '    </ul>',
+        '  </li>'
+      ].join('\n');
+    }).join('\n');
+    const timelineHtml = generateTimelineHtml(experience, education, language, label);
+    return [
+      `<h2 id="h-exp"># ${escapeHtml(localize(experience.title, language))}</h2>`,
+      ...(timelineHtml ? [generateViewsHtml(['list', 'timeline'], label)] : []),
+      '<ul data-view-panel="list">',
+      itemsHtml,
+      '</ul>',
+      ...(timelineHtml ? [timelineHtml] : [])
+    ].join('\n');
+  }
+
+  /**
+   * Genera la fila de una habilidad: nombre, barra de nivel en ASCII, nivel,
+   * años de uso y enlaces a las experiencias o proyectos donde se aplicó.
+   * @param {object} skill
+   * @param {string} language - Idioma activo.
+   * @param {Map<string, {route: string, name: string}>} references - De `getReferences`.
+   * @param {function(string): string} label - Texto de interfaz por clave de `skills`.
+   * @returns {string}
+   */
+  function generateSkillHtml(skill, language, references, label) {
+    const cells = [`<span class="skill-name">${escapeHtml(localize(skill.name, language))}</span>`];
+    if (skill.level) {
+      const filled = Math.round(skill.level / MAX_LEVEL * BAR_WIDTH);
+      cells.push(
+        `<span class="skill-bar" aria-hidden="true">[<span class="skill-fill">${'#'.repeat(filled)}</span>${'-'.repeat(BAR_WIDTH - filled)}]</span>`,
+        `<span class="skill-level">${escapeHtml(label(`levels.${skill.level}`))}</span>`
+      );
+    }
+    if (skill.years !== undefined) {
+      cells.push(`<span class="skill-years">${escapeHtml(formatDuration(skill.years, language))}</span>`);
+    }
+    const links = (skill.usedIn || [])
+      .filter(id => references.has(id))
+      .map(id => `<a href="#${escapeHtml(references.get(id).route)}">${escapeHtml(references.get(id).name)}</a>`);
+    if (links.length) {
+      cells.push(`<span class="skill-used"><span aria-hidden="true">→ </span>${escapeHtml(label('usedIn'))} ${links.join(', ')}</span>`);
+    }
+    return `<li class="skill">${cells.join('')}</li>`;
+  }
+
+  /**
+   * Genera el HTML para la sección "Skills", la vista de `skills.json`: todas
+   * las habilidades de mayor a menor nivel y, oculta, la vista por categorías.
+   * js/section-views.js muestra los botones para alternar entre ambas. Si
+   * ninguna habilidad indica su nivel, solo queda la vista por categorías.
+   * @param {object} skills - Datos de la sección.
+   * @param {string} language - Idioma activo.
+   * @param {Map<string, {route: string, name: string}>} references - De `getReferences`.
+   * @param {function(string): string} label - Texto de interfaz por clave de `skills`.
+   * @returns {string} El HTML generado.
+   */
+  function generateSkillsHtml(skills, language, references, label) {
+    if (!skills) return '';
+    const skillHtml = skill => generateSkillHtml(skill, language, references, label);
+    const all = skills.categories.flatMap(category => category.skills);
+    const groupsHtml = skills.categories.map(category => [
+      `  <h3 class="skill-group">${escapeHtml(localize(category.name, language))}</h3>`,
+      '  <ul class="skill-list">',
+      ...category.skills.map(skill => `    ${skillHtml(skill)}`),
+      '  </ul>'
+    ].join('\n')).join('\n');
+    const title = `<h2 id="h-skills"># ${escapeHtml(localize(skills.title, language))}</h2>`;
+    if (!all.some(skill => skill.level)) {
+      return [title, '<div class="skill-groups">', groupsHtml, '</div>'].join('\n');
+    }
+    const ranked = all
+      .map((skill, order) => ({ skill, order }))
+      .sort((a, b) => (b.skill.level || 0) - (a.skill.level || 0) || (b.skill.years || 0) - (a.skill.years || 0) || a.order - b.order)
+      .map(({ skill }) => `  ${skillHtml(skill)}`);
+    return [
+      title,
+      generateViewsHtml(['list', 'grouped'], label),
+      '<ul class="skill-list" data-view-panel="list">',
+      ...ranked,
+      '</ul>',
+      '<div class="skill-groups" data-view-panel="grouped" hidden>',
+      groupsHtml,
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Genera la tarjeta de un proyecto: nombre, estado, captura, descripción,
+   * tecnologías, etiquetas y, si están en projects-meta.json, los datos de
+   * su repositorio.
+   * @param {object} item - Proyecto de cv-data.json.
+   * @param {string} language - Idioma activo.
+   * @param {object} [repository] - Sus datos en projects-meta.json.
+   * @param {function(string): string} label - Texto de interfaz por clave de `projects`.
+   * @returns {string}
+   */
+  function generateProjectHtml(item, language, repository, label) {
+    const name = localize(item.name, language);
+    const status = PROJECT_STATUSES.includes(item.status)
+      ? ` <span class="badge project-status project-status-${item.status}">${escapeHtml(label(`status.${item.status}`))}</span>`
+      : '';
+    const lines = [`    <a class="project-name" href="${escapeHtml(item.url)}" target="_blank" rel="noopener">${escapeHtml(name)}</a>${status}`];
+    if (item.screenshot) {
+      lines.push(`    <img class="project-screenshot" src="${escapeHtml(item.screenshot.src)}" alt="${escapeHtml(localize(item.screenshot.alt, language))}" loading="lazy" />`);
+    }
+    if (item.description) {
+      lines.push(`    <p class="project-description">${escapeHtml(localize(item.description, language))}</p>`);
+    }
+    if (item.stack?.length) {
+      const stack = item.stack.map(tech => escapeHtml(localize(tech, language))).join(' · ');
+      lines.push(`    <p class="project-stack"><span class="project-label">${escapeHtml(label('stack'))}:</span> ${stack}</p>`);
+    }
+    if (item.tags?.length) {
+      lines.push(`    <p class="project-tags">${item.tags.map(tag => `<span class="project-tag">${escapeHtml(localize(tag, language))}</span>`).join(' ')}</p>`);
+    }
+
+    const facts = [];
+    if (repository?.language) facts.push(['language', escapeHtml(repository.language)]);
+    if (Number.isInteger(repository?.stars)) facts.push(['stars', escapeHtml(repository.stars.toLocaleString(language))]);
+    if (repository?.license) facts.push(['license', escapeHtml(repository.license)]);
+    if (repository?.lastCommit) {
+      facts.push(['lastCommit', `<time datetime="${escapeHtml(repository.lastCommit)}">${escapeHtml(formatDate(repository.lastCommit, language))}</time>`]);
+    }
+    if (facts.length) {
+      lines.push(`    <dl class="project-facts">${facts.map(([key, value]) => `<div><dt>${escapeHtml(label(key))}</dt><dd>${value}</dd></div>`).join('')}</dl>`);
+    }
+    return [`  <li${item.id ? ` id="${escapeHtml(item.id)}"` : ''} class="project-card">`, ...lines, '  </li>'].join('\n');
+  }
+
+  /**
+   * Genera el HTML para la sección "Projects": una tarjeta por proyecto y,
+   * ocultos, los botones para filtrarlas por etiqueta, que muestra
+   * js/project-filter.js. Sin projects-meta.json las tarjetas salen sin los
+   * datos de los repositorios.
+   * @param {object} projects - Datos de la sección.
+   * @param {string} language - Idioma activo.
+   * @param {Object<string, object>} repositories - Datos de projects-meta.json por repositorio.
+   * @param {function(string): string} label - Texto de interfaz por clave de `projects`.
+   * @returns {string} El HTML generado.
+   */
+  function generateProjectsHtml(projects, language, repositories, label) {
+    if (!projects) return '';
+    const tags = [...new Set(projects.items.flatMap(item => (item.tags || []).map(tag => localize(tag, language))))];
+    const filters = tags.length > 1 ? [
+      `<div class="project-filters" role="group" aria-label="${escapeHtml(label('filterLabel'))}" hidden>`,
+      `  <button class="btn" type="button" data-tag="" aria-pressed="true">${escapeHtml(label('all'))}</button>`,
+      ...tags.map(tag => `  <button class="btn" type="button" data-tag="${escapeHtml(tag)}" aria-pressed="false">${escapeHtml(tag)}</button>`),
+      '</div>'
+    ] : [];
+    return [
+      `<h2 id="h-proj"># ${escapeHtml(localize(projects.title, language))}</h2>`,
+      ...filters,
+      '<ul class="project-cards">',
+      ...projects.items.map(item => generateProjectHtml(item, language, repositories[item.repository], label)),
+      '</ul>'
+    ].join('\n');
+  }
+
+  /**
+   * Genera el HTML para la sección "Links".
+   * @param {object} links - Datos de la sección.
+   * @param {string} language - Idioma activo.
+   * @returns {string} El HTML generado.
+   */
+  function generateLinksHtml(links, language) {
+    if (!links) return '';
+    const itemsHtml = links.items.map(link => `  <li><a href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${escapeHtml(localize(link.name, language))}</a></li>`).join('\n');
+    return `<h2 id="h-links"># ${escapeHtml(localize(links.title, language))}</h2>\n<ul>\n${itemsHtml}\n</ul>`;
+  }
+
+  return {
+    DEFAULT_LANGUAGE,
+    SECTION_DATA_KEYS,
+    escapeHtml,
+    localize,
+    fillTemplate,
+    getStack,
+    renderSections,
+    hasValidPerson
+  };
+});
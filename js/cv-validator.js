@@ -0,0 +1,246 @@
+/**
+ * @file Validador de cv-data.json contra cv-data.schema.json.
+ * Implementa el subconjunto de JSON Schema que usa el esquema del CV y
+ * devuelve todas las violaciones con su ruta (p. ej. `experience.items[1].tasks[2].year`).
+ * `validateCv` añade las comprobaciones que el esquema no puede expresar: que
+ * los ids no se repitan y que las referencias entre secciones existan.
+ * Funciona en el navegador (`window.__cvValidator`) y en Node (`require`).
+ */
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__cvValidator = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const TYPE_NAMES = {
+    string: 'un texto',
+    number: 'un número',
+    integer: 'un entero',
+    boolean: 'un booleano',
+    object: 'un objeto',
+    array: 'una lista',
+    null: 'null'
+  };
+
+  const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  };
+
+  const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+  };
+
+  const describeTypes = (types) => types.map(type => TYPE_NAMES[type] || type).join(' o ');
+
+  /**
+   * Une una ruta con una clave u otro índice.
+   * @param {string} path - Ruta actual.
+   * @param {string|number} key - Propiedad o índice.
+   * @returns {string}
+   */
+  const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+    return path ? `${path}.${key}` : key;
+  };
+
+  const resolveRef = (ref, rootSchema) => {
+    if (!ref.startsWith('#/')) throw new Error(`Referencia no soportada: ${ref}`);
+    return ref.slice(2).split('/').reduce((node, part) => node?.[part], rootSchema);
+  };
+
+  function validateNode(value, schema, path, rootSchema, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      errors.push({ path, message: 'no está permitido' });
+      return;
+    }
+    if (schema.$ref) {
+      validateNode(value, resolveRef(schema.$ref, rootSchema), path, rootSchema, errors);
+      return;
+    }
+
+    if (schema.anyOf) {
+      validateAnyOf(value, schema.anyOf, path, rootSchema, errors);
+      return;
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        const found = value === undefined ? 'nada' : TYPE_NAMES[typeOf(value)];
+        errors.push({ path, message: `debe ser ${describeTypes(types)}, pero es ${found}` });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `debe ser uno de: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: schema.minLength === 1 ? 'no puede estar vacío' : `debe tener al menos ${schema.minLength} caracteres` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push({ path, message: `${JSON.stringify(value)} no cumple el formato ${schema.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `debe ser mayor o igual que ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `debe ser menor o igual que ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `debe tener al menos ${schema.minItems} elementos` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), rootSchema, errors));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      validateObject(value, schema, path, rootSchema, errors);
+    }
+  }
+
+  function validateObject(value, schema, path, rootSchema, errors) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: joinPath(path, key), message: 'es obligatorio' });
+    });
+    Object.keys(value).forEach(key => {
+      const keyPath = joinPath(path, key);
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        validateNode(key, schema.propertyNames, keyPath, rootSchema, nameErrors);
+        if (nameErrors.length) errors.push({ path: keyPath, message: `clave no válida ${JSON.stringify(key)}` });
+      }
+      if (key in properties) {
+        validateNode(value[key], properties[key], keyPath, rootSchema, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, message: 'propiedad no permitida' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(value[key], schema.additionalProperties, keyPath, rootSchema, errors);
+      }
+    });
+  }
+
+  /**
+   * Con `anyOf` se informa de los errores de la alternativa cuyo tipo coincide
+   * con el valor; si ninguna coincide, se indica qué tipos se esperaban.
+   */
+  function validateAnyOf(value, branches, path, rootSchema, errors) {
+    const resolved = branches.map(branch => (branch.$ref ? resolveRef(branch.$ref, rootSchema) : branch));
+    const results = resolved.map(branch => {
+      const branchErrors = [];
+      validateNode(value, branch, path, rootSchema, branchErrors);
+      return branchErrors;
+    });
+    if (results.some(result => result.length === 0)) return;
+
+    const sameType = resolved.findIndex(branch => branch.type && [].concat(branch.type).some(type => matchesType(value, type)));
+    if (sameType !== -1) {
+      errors.push(...results[sameType]);
+      return;
+    }
+    const types = resolved.flatMap(branch => [].concat(branch.type || []));
+    const found = value === undefined ? 'nada' : TYPE_NAMES[typeOf(value)];
+    errors.push({ path, message: `debe ser ${describeTypes(types)}, pero es ${found}` });
+  }
+
+  /**
+   * Valida un valor contra un esquema y devuelve todas las violaciones.
+   * @param {*} data - Datos a validar (normalmente el contenido de cv-data.json).
+   * @param {object} schema - Esquema JSON (cv-data.schema.json).
+   * @returns {{path: string, message: string}[]} Lista de errores; vacía si es válido.
+   */
+  function validate(data, schema) {
+    const errors = [];
+    validateNode(data, schema, '', schema, errors);
+    return errors.map(error => ({ path: error.path || '(raíz)', message: error.message }));
+  }
+
+  /**
+   * Comprueba los ids de experiencias y proyectos y las referencias a ellos
+   * desde las habilidades (`usedIn`). Las secciones de `skipped` (las que no
+   * cumplen el esquema) no se comprueban, pero sus ids válidos sí cuentan
+   * como destinos de `usedIn`.
+   * @param {object} data - cv-data.json.
+   * @param {Set<string>} [skipped] - Claves de primer nivel que se omiten.
+   * @returns {{path: string, message: string}[]}
+   */
+  function checkReferences(data, skipped = new Set()) {
+    const errors = [];
+    const ids = new Set();
+    const itemsOf = (section) => (Array.isArray(data?.[section]?.items) ? data[section].items : []);
+    ['experience', 'projects'].forEach(section => {
+      itemsOf(section).forEach((item, index) => {
+        if (typeof item?.id !== 'string') return;
+        if (ids.has(item.id) && !skipped.has(section)) {
+          errors.push({ path: `${section}.items[${index}].id`, message: `el id ${JSON.stringify(item.id)} está repetido` });
+        }
+        ids.add(item.id);
+      });
+    });
+    if (skipped.has('skills')) return errors;
+    (data?.skills?.categories || []).forEach((category, categoryIndex) => {
+      category.skills.forEach((skill, skillIndex) => {
+        (skill.usedIn || []).forEach((id, index) => {
+          if (ids.has(id)) return;
+          errors.push({
+            path: `skills.categories[${categoryIndex}].skills[${skillIndex}].usedIn[${index}]`,
+            message: `no hay ninguna experiencia ni proyecto con id ${JSON.stringify(id)}`
+          });
+        });
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Valida cv-data.json: el esquema y las referencias entre secciones. Las
+   * referencias se comprueban en todas las secciones que cumplen el esquema,
+   * para informar de todos los errores a la vez.
+   * @param {*} data - Contenido de cv-data.json.
+   * @param {object} schema - cv-data.schema.json.
+   * @returns {{path: string, message: string}[]} Lista de errores; vacía si es válido.
+   */
+  function validateCv(data, schema) {
+    const errors = validate(data, schema);
+    if (!data || typeof data !== 'object') return errors;
+    // Un error en la raíz (p. ej. falta una sección) no invalida las demás.
+    const skipped = new Set(Object.keys(groupBySection(errors)).filter(section => section !== '(raíz)'));
+    return [...errors, ...checkReferences(data, skipped)];
+  }
+
+  /**
+   * Agrupa los errores por la clave de primer nivel de su ruta.
+   * @param {{path: string}[]} errors - Errores devueltos por `validate`.
+   * @returns {Object<string, {path: string, message: string}[]>}
+   */
+  function groupBySection(errors) {
+    return errors.reduce((groups, error) => {
+      const section = error.path.split(/[.[]/)[0];
+      (groups[section] = groups[section] || []).push(error);
+      return groups;
+    }, {});
+  }
+
+  return { validate, validateCv, groupBySection };
+});
@@ -1,33 +1,152 @@
 /**
  * @file Carga y muestra los datos del CV desde un archivo JSON.
  * Versión optimizada para minimizar la manipulación del DOM.
+ * cv-data.json es la única fuente del contenido: los textos traducibles se
+ * guardan como `{ "es": "...", "en": "..." }` y se resuelven según el idioma
+ * que aplica i18n.js. El HTML de cada sección lo genera cv-render.js.
+ * Los datos de los repositorios de los proyectos (projects-meta.json) los
+ * incrusta scripts/prerender.js en `<script id="projects-meta">`; si faltan,
+ * las tarjetas se muestran sin ellos. Las publicaciones salen de
+ * publications.bib (ver bibtex.js y publications-render.js), y los metadatos
+ * de la página, de metadata.js.
  */
 
 (function() {
   'use strict';
 
-  const escapeHtml = (str = '') =>
-    String(str)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
+  const render = window.__cvRender;
+  const bibtex = window.__bibtex;
+  const publicationsRender = window.__publicationsRender;
+  const metadata = window.__metadata;
+  const DEFAULT_LANGUAGE = render.DEFAULT_LANGUAGE;
+
+  // Se resuelven respecto al script para que funcione desde cualquier ruta.
+  const SCRIPT_URL = document.currentScript?.src || location.href;
+  const DATA_URL = new URL('../cv-data.json', SCRIPT_URL).href;
+  const SCHEMA_URL = new URL('../cv-data.schema.json', SCRIPT_URL).href;
+  const PUBLICATIONS_URL = new URL('../publications.bib', SCRIPT_URL).href;
+
+  // Contenedor de cada sección dentro de su ventana.
+  const SECTION_SELECTORS = {
+    about: '#about .about-info',
+    education: '#education .card',
+    experience: '#experience .card',
+    skills: '#skills .card',
+    projects: '#projects .card',
+    publications: '#publications .card',
+    links: '#links .card'
+  };
+
+  let cvData = null;
+  let validationErrors = [];
+  let publications = [];
+
+  /**
+   * Lee los datos de los repositorios incrustados en la página.
+   * @returns {object|null} null si la página no los trae.
+   */
+  function readProjectsMeta() {
+    try {
+      const meta = JSON.parse(document.getElementById('projects-meta')?.textContent || 'null');
+      return meta && typeof meta.repositories === 'object' ? meta : null;
+    } catch (error) {
+      console.warn('No se pudieron leer los datos de los proyectos; se muestran sin ellos.', error);
+      return null;
+    }
+  }
+
+  const projectsMeta = readProjectsMeta();
+
+  const getCurrentLanguage = () => document.documentElement.getAttribute('data-language') || DEFAULT_LANGUAGE;
+
+  // scripts/prerender.js marca las páginas generadas con su idioma; si coincide
+  // con el activo y los datos son válidos, el HTML ya es el definitivo.
+  const isPrerendered = (language, errors) =>
+    document.documentElement.getAttribute('data-prerendered') === language && !errors.length;
+
+  /**
+   * Carga el esquema de cv-data.json. Si no está disponible, el CV se
+   * muestra igualmente, solo que sin validar.
+   * @returns {Promise<object|null>}
+   */
+  async function loadSchema() {
+    try {
+      const response = await fetch(SCHEMA_URL, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(response.statusText);
+      return await response.json();
+    } catch (error) {
+      console.warn('No se pudo cargar el esquema del CV; se omite la validación.', error);
+      return null;
+    }
+  }
+
+  /**
+   * Carga publications.bib. Las entradas con errores se descartan y se
+   * avisa en la consola; sin archivo, la ventana queda vacía.
+   * @returns {Promise<object[]>}
+   */
+  async function loadPublications() {
+    if (!bibtex || !publicationsRender) return [];
+    try {
+      const response = await fetch(PUBLICATIONS_URL, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(response.statusText);
+      const { entries, errors } = bibtex.parseBibtex(await response.text());
+      if (errors.length) {
+        console.error(`publications.bib tiene ${errors.length} error(es):\n` +
+          errors.map(({ line, message }) => `  línea ${line}: ${message}`).join('\n'));
+      }
+      return entries;
+    } catch (error) {
+      console.warn('No se pudieron cargar las publicaciones.', error);
+      return [];
+    }
+  }
+
+  /**
+   * Valida los datos y deja constancia en la consola de cada violación.
+   * @param {object} data - Datos del CV.
+   * @param {object|null} schema - Esquema JSON.
+   * @returns {{path: string, message: string}[]}
+   */
+  function validateCvData(data, schema) {
+    const validator = window.__cvValidator;
+    if (!schema || !validator) return [];
+    const errors = validator.validateCv(data, schema);
+    if (errors.length) {
+      console.error(`cv-data.json tiene ${errors.length} error(es):\n` +
+        errors.map(({ path, message }) => `  ${path}: ${message}`).join('\n'));
+    }
+    return errors;
+  }
 
   /**
    * Carga los datos del CV desde un archivo JSON y los muestra en la página.
+   * Con el service worker (sw.js), la respuesta llega al momento desde su
+   * caché y, si en la red hay una versión distinta, se vuelve a cargar con
+   * `refresh` (ver el evento `cv-data-updated` más abajo).
    * @param {string} url - La ruta al archivo JSON de datos.
+   * @param {{refresh?: boolean}} [options] - `refresh` vuelve a renderizar
+   *   aunque la página esté prerenderizada y, si falla, conserva lo que ya
+   *   se muestra.
    */
-  async function loadCvData(url = 'cv-data.json') {
+  async function loadCvData(url = DATA_URL, { refresh = false } = {}) {
     try {
-      const response = await fetch(url, { cache: 'force-cache' });
+      const schemaPromise = loadSchema();
+      const publicationsPromise = loadPublications();
+      const response = await fetch(url, { cache: 'no-cache' });
       if (!response.ok) {
         throw new Error(`Error al cargar el archivo: ${response.statusText}`);
       }
-      const data = await response.json();
-      populateCv(data);
+      cvData = await response.json();
+      validationErrors = validateCvData(cvData, await schemaPromise);
+      publications = await publicationsPromise;
+      const language = getCurrentLanguage();
+      if (refresh || !isPrerendered(language, validationErrors)) {
+        populateCv(cvData, language, validationErrors);
+      }
     } catch (error) {
       console.error('No se pudieron cargar los datos del CV:', error);
+      if (refresh) return;
       const desk = document.getElementById('desk');
       if (desk) {
         desk.innerHTML = '<div class="terminal"><div class="screen" style="padding: 1em;"><h1>Error</h1><p>No se pudieron cargar los datos del CV. Revisa la consola para más detalles.</p></div></div>';
@@ -38,29 +157,27 @@
   /**
    * Rellena el HTML con los datos del CV de forma optimizada.
    * @param {object} data - El objeto con todos los datos del CV.
+   * @param {string} language - Idioma en el que se renderiza el contenido.
+   * @param {{path: string, message: string}[]} [errors] - Errores de validación.
    */
-  function populateCv(data) {
+  function populateCv(data, language = DEFAULT_LANGUAGE, errors = []) {
+    updateMetadata(data, language, errors);
     if (!data) return;
 
+    const copy = window.__getCopy?.(language) || {};
+
     // --- 1. Query all DOM elements at once ---
-    const elements = {
-      about: document.querySelector('#about .card'),
-      education: document.querySelector('#education .card'),
-      experience: document.querySelector('#experience .card'),
-      skills: document.querySelector('#skills .card'),
-      projects: document.querySelector('#projects .card'),
-      links: document.querySelector('#links .card')
-    };
+    const elements = {};
+    for (const key in SECTION_SELECTORS) {
+      elements[key] = document.querySelector(SECTION_SELECTORS[key]);
+    }
 
     // --- 2. Generate all HTML strings ---
-    const htmlContents = {
-      about: generateAboutHtml(data.about, data.person),
-      education: generateEducationHtml(data.education),
-      experience: generateExperienceHtml(data.experience),
-      skills: generateSkillsHtml(data.skills),
-      projects: generateProjectsHtml(data.projects),
-      links: generateLinksHtml(data.links)
-    };
+    const htmlContents = render.renderSections(data, language, copy, errors, { projectsMeta });
+    if (publicationsRender) {
+      htmlContents.publications = publicationsRender.generatePublicationsHtml(publications,
+        key => window.__languages.lookup(copy, `publications.${key}`, language) ?? '');
+    }
 
     // --- 3. Batch update the DOM ---
     for (const key in elements) {
@@ -69,138 +186,56 @@
       }
     }
 
-    // --- Metadatos (pueden seguir actualizándose directamente, es menos crítico) ---
-    updateMetadata(data.person);
+    // El enrutador de main.js vuelve a resaltar el elemento enlazado, si lo hay.
+    document.dispatchEvent(new CustomEvent('cv-rendered', { detail: { language } }));
   }
 
   /**
-   * Actualiza los metadatos de la página (título y JSON-LD).
-   * @param {object} person - Datos de la persona.
+   * Actualiza los metadatos de la página con metadata.js: título,
+   * descripción (también la de Open Graph) y JSON-LD. Sin datos (o con una
+   * persona no válida) solo cambia la descripción, que es texto de interfaz.
+   * Los enlaces entre idiomas y `og:locale` los mantiene i18n.js.
+   * @param {object|null} data - Datos del CV.
+   * @param {string} language - Idioma activo.
+   * @param {{path: string, message: string}[]} [errors] - Errores de validación.
    */
-  function updateMetadata(person) {
-    if (!person) return;
-    document.title = `${person.name} — CV`;
-    const metaDesc = `Currículum de ${person.name} (${person.alternateName}): experiencia, educación y enlaces.`;
-    document.querySelector('meta[name="description"]')?.setAttribute('content', metaDesc);
-    document.querySelector('meta[property="og:title"]')?.setAttribute('content', `${person.name} — CV`);
-    document.querySelector('meta[property="og:description"]')?.setAttribute('content', metaDesc);
-
+  function updateMetadata(data, language, errors = []) {
+    if (!metadata) return;
+    const setContent = (selector, value) => document.querySelector(selector)?.setAttribute('content', value);
+    const hasPerson = Boolean(data) && render.hasValidPerson(errors);
+    const { title, description } = metadata.getPageMetadata(hasPerson ? data : null, window.__getCopy?.(language) || {});
+    setContent('meta[name="description"]', description);
+    setContent('meta[property="og:description"]', description);
+    if (!hasPerson) return;
+
+    document.title = title;
+    setContent('meta[property="og:title"]', title);
     const schemaEl = document.querySelector('script[type="application/ld+json"]');
     if (schemaEl) {
-      try {
-        const schema = JSON.parse(schemaEl.textContent);
-        schema.name = person.name;
-        schema.alternateName = person.alternateName;
-        schema.jobTitle = person.jobTitle;
-        schema.url = person.url;
-        schema.sameAs = person.sameAs;
-        schemaEl.textContent = JSON.stringify(schema, null, 2);
-      } catch (e) {
-        console.error("Error al actualizar el schema JSON-LD:", e);
-      }
+      const schema = metadata.buildPersonSchema(data, language, { description, publications, errors });
+      schemaEl.textContent = JSON.stringify(schema, null, 2);
     }
   }
 
-  /**
-   * Genera el HTML para la sección "About".
-   * @param {object} about - Datos de la sección.
-   * @param {object} person - Datos de la persona.
-   * @returns {string} El HTML generado.
-   */
-  function generateAboutHtml(about, person) {
-    if (!about || !person) return '';
-    return `
-      <div class="line"><span class="hdr"># ${escapeHtml(about.title)}</span></div>
-      <div class="line"><span class="id">${escapeHtml(person.alternateName)}</span> <span class="k">=</span> <span class="v">{</span></div>
-      <div class="indent">
-        <div class="line"><span class="k">rol</span>: <span class="v">[${about.rol.map(r => `&quot;${escapeHtml(r)}&quot;`).join(', ')}]</span>,</div>
-        <div class="line"><span class="k">intereses</span>: <span class="v">[${about.interests.map(i => `&quot;${escapeHtml(i)}&quot;`).join(', ')}]</span>,</div>
-        <div class="line"><span class="k">ubicación</span>: <span class="v">&quot;${escapeHtml(about.location)}&quot;</span>,</div>
-        <div class="line"><span class="k">email</span>: <a href="mailto:${escapeHtml(about.email)}?subject=Contacto%20desde%20CV">${escapeHtml(about.email)}</a></div>
-      </div>
-      <div class="line"><span class="v">}</span></div>
-    `;
-  }
-
-  /**
-   * Genera el HTML para la sección "Education".
-   * @param {object} education - Datos de la sección.
-   * @returns {string} El HTML generado.
-   */
-  function generateEducationHtml(education) {
-    if (!education) return '';
-    const itemsHtml = education.items.map(item => {
-      const badges = [item.status, item.distinction]
-        .filter(Boolean)
-        .map(badge => ` <span class="badge">${escapeHtml(badge)}</span>`)
-        .join('');
-
-      return `
-        <li>
-          <strong>${escapeHtml(item.degree)}</strong> — ${escapeHtml(item.institution)}
-          ${badges}
-        </li>
-      `;
-    }).join('');
-    return `<h2 id="h-edu"># ${escapeHtml(education.title)}</h2><ul>${itemsHtml}</ul>`;
-  }
-
-  /**
-   * Genera el HTML para la sección "Experience".
-   * @param {object} experience - Datos de la sección.
-   * @returns {string} El HTML generado.
-   */
-  function generateExperienceHtml(experience) {
-    if (!experience) return '';
-    const itemsHtml = experience.items.map(item => `
-        <li id="${escapeHtml(item.id)}">
-            <strong>${escapeHtml(item.rol)}</strong> — ${escapeHtml(item.institution)}<br/>
-            <ul>
-                ${item.tasks.map(task => `<li>${escapeHtml(task.name)}${task.year ? ` <span class="badge">${escapeHtml(task.year)}</span>` : ''}</li>`).join('')}
-            </ul>
-        </li>
-    `).join('');
-    return `<h2 id="h-exp"># ${escapeHtml(experience.title)}</h2><ul>${itemsHtml}</ul>`;
-  }
-
-  /**
-   * Genera el HTML para la sección "Skills".
-   * @param {object} skills - Datos de la sección.
-   * @returns {string} El HTML generado.
-   */
-  function generateSkillsHtml(skills) {
-    if (!skills) return '';
-    const columnsHtml = skills.columns.map(column => `
-      <ul>
-        ${column.map(skill => `<li>${escapeHtml(skill)}</li>`).join('')}
-      </ul>
-    `).join('');
-    return `<h2 id="h-skills"># ${escapeHtml(skills.title)}</h2><div class="grid">${columnsHtml}</div>`;
-  }
-
-  /**
-   * Genera el HTML para la sección "Projects".
-   * @param {object} projects - Datos de la sección.
-   * @returns {string} El HTML generado.
-   */
-  function generateProjectsHtml(projects) {
-    if (!projects) return '';
-    const itemsHtml = projects.items.map(item => `<li><a href="${escapeHtml(item.url)}" target="_blank" rel="noopener">${escapeHtml(item.name)}</a></li>`).join('');
-    return `<h2 id="h-proj"># ${escapeHtml(projects.title)}</h2><ul>${itemsHtml}</ul>`;
-  }
-
-  /**
-   * Genera el HTML para la sección "Links".
-   * @param {object} links - Datos de la sección.
-   * @returns {string} El HTML generado.
-   */
-  function generateLinksHtml(links) {
-    if (!links) return '';
-    const itemsHtml = links.items.map(link => `
-      <li><a href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${escapeHtml(link.name)}</a></li>
-    `).join('');
-    return `<h2 id="h-links"># ${escapeHtml(links.title)}</h2><ul>${itemsHtml}</ul>`;
-  }
+  // Datos ya cargados, para los módulos que los reutilizan (p. ej. export-menu.js).
+  window.__getCvData = () => cvData;
+  window.__getPublications = () => publications;
+
+  // Vuelve a renderizar el contenido cada vez que i18n.js cambia de idioma.
+  document.addEventListener('site-language-change', (event) => {
+    populateCv(cvData, event.detail.language, validationErrors);
+  });
+
+  // El service worker avisa (vía js/offline.js) de cada archivo que cambió;
+  // los avisos de una misma visita se agrupan en una sola recarga.
+  const DATA_FILES = new Set([DATA_URL, SCHEMA_URL, PUBLICATIONS_URL]);
+  const REFRESH_DELAY = 100;
+  let refreshTimer = null;
+  document.addEventListener('cv-data-updated', (event) => {
+    if (!DATA_FILES.has(event.detail.url)) return;
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => loadCvData(DATA_URL, { refresh: true }), REFRESH_DELAY);
+  });
 
   // --- INICIAR LA CARGA DE DATOS ---
   loadCvData();
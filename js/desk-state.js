@@ -0,0 +1,215 @@
+/**
+ * @file Guarda y comparte el estado del escritorio.
+ * El estado de cada ventana (cerrada, minimizada o maximizada) y la disposición
+ * del modo escritorio se guardan en localStorage y pueden codificarse en una
+ * URL para compartir la vista junto con la paleta y el idioma, que ya guardan
+ * js/palettes.js e i18n.js. Al restaurar se usan las mismas rutas
+ * que los botones: `__toggleWindow` (main.js), `__setPalette` y el gestor de
+ * ventanas. La paleta de una URL compartida se aplica sin guardarla, para
+ * no cambiar la preferencia de quien abre el enlace.
+ *
+ * Parámetros de la URL:
+ *   ?windows=about:max,education:min,links:closed  estado de las ventanas
+ *   &desk=about:0,0,760;skills:40,620,520,300      modo escritorio (x,y,ancho[,alto])
+ *   &palette=nord&lang=en
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'site-desk';
+  const LAYOUT_PARAMS = ['windows', 'desk', 'palette'];
+
+  // Estado de ventana → acción de __toggleWindow que lo produce.
+  const STATE_ACTIONS = { closed: 'close', min: 'minimize', max: 'maximize' };
+  const STATE_CLASSES = { closed: 'closed', min: 'minimized', max: 'maxwide' };
+
+  const getWindows = () => Array.from(document.querySelectorAll('#desk > .terminal'));
+
+  const getWindowState = (term) =>
+    Object.keys(STATE_CLASSES).find(state => term.classList.contains(STATE_CLASSES[state])) || '';
+
+  const readWindows = () => getWindows().reduce((states, term) => {
+    const state = getWindowState(term);
+    if (state) states[term.id] = state;
+    return states;
+  }, {});
+
+  // Estado de partida del HTML, al que vuelve `reset`.
+  const DEFAULT_WINDOWS = readWindows();
+
+  const storage = {
+    get(key) {
+      try {
+        return localStorage.getItem(key);
+      } catch (error) {
+        return null;
+      }
+    },
+    set(key, value) {
+      try {
+        localStorage.setItem(key, value);
+      } catch (error) {
+        // Sin almacenamiento, el estado solo dura hasta recargar.
+      }
+    },
+    remove(key) {
+      try {
+        localStorage.removeItem(key);
+      } catch (error) {
+        // Nada que borrar.
+      }
+    }
+  };
+
+  // --- CODIFICACIÓN ---
+
+  const encodeWindows = (windows) =>
+    Object.entries(windows).map(([id, state]) => `${id}:${state}`).join(',');
+
+  const decodeWindows = (value) => value.split(',').reduce((windows, entry) => {
+    const [id, state] = entry.split(':');
+    if (id && STATE_ACTIONS[state]) windows[id] = state;
+    return windows;
+  }, {});
+
+  const encodeBoxes = (boxes) => boxes.map(({ id, x, y, width, height }) =>
+    `${id}:${[x, y, width, height].filter(value => value !== undefined).map(Math.round).join(',')}`).join(';');
+
+  const decodeBoxes = (value) => value.split(';').map(entry => {
+    const [id, numbers = ''] = entry.split(':');
+    const [x, y, width, height] = numbers.split(',').map(Number);
+    if (!id || ![x, y, width].every(Number.isFinite)) return null;
+    return Number.isFinite(height) ? { id, x, y, width, height } : { id, x, y, width };
+  }).filter(Boolean);
+
+  // --- LECTURA Y ESCRITURA ---
+
+  /**
+   * Reúne el estado actual del escritorio.
+   * @returns {{windows: Object<string, string>, desktop: boolean, boxes: object[], palette: string}}
+   */
+  const getState = () => {
+    const layout = window.__windowManager?.getLayout() || { desktop: false, boxes: [] };
+    return {
+      windows: readWindows(),
+      desktop: layout.desktop,
+      boxes: layout.boxes,
+      palette: document.documentElement.getAttribute('data-palette')
+    };
+  };
+
+  let restoring = false;
+  const observers = [];
+
+  const save = () => {
+    if (restoring) return;
+    const { windows, desktop, boxes } = getState();
+    storage.set(STORAGE_KEY, JSON.stringify({ windows, desktop, boxes }));
+  };
+
+  /**
+   * Aplica un estado guardado. Las ventanas sin estado vuelven a la normalidad
+   * y la maximizada se aplica al final, porque maximizar quita `maxwide` a las demás.
+   * @param {{windows?: object, desktop?: boolean, boxes?: object[], palette?: string}} state
+   */
+  const applyState = ({ windows, desktop, boxes, palette }) => {
+    restoring = true;
+    try {
+      if (windows) {
+        const terms = getWindows();
+        terms.filter(term => !windows[term.id]).forEach(term => {
+          if (getWindowState(term)) window.__toggleWindow?.(term.id, 'close', false, { announce: false });
+        });
+        ['closed', 'min', 'max'].forEach(state => {
+          terms.filter(term => windows[term.id] === state && getWindowState(term) !== state)
+            .forEach(term => window.__toggleWindow?.(term.id, STATE_ACTIONS[state], true, { scroll: false, announce: false }));
+        });
+      }
+      if (desktop !== undefined) window.__windowManager?.setLayout({ desktop, boxes });
+      // La paleta de un enlace compartido es solo para esta visita.
+      if (palette) window.__setPalette?.(palette, { persist: false });
+    } finally {
+      // Los cambios de clase del propio restablecimiento no cuentan como cambios nuevos.
+      observers.forEach(observer => observer.takeRecords());
+      restoring = false;
+    }
+    save();
+  };
+
+  const readStoredState = () => {
+    try {
+      const state = JSON.parse(storage.get(STORAGE_KEY) || 'null');
+      return state && typeof state === 'object' ? state : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Lo que trae la URL tiene prioridad sobre lo guardado.
+  const readUrlState = () => {
+    const params = new URLSearchParams(location.search);
+    if (!LAYOUT_PARAMS.some(param => params.has(param))) return null;
+    const state = {};
+    if (params.has('windows')) state.windows = decodeWindows(params.get('windows'));
+    if (params.has('desk')) {
+      state.desktop = true;
+      state.boxes = decodeBoxes(params.get('desk'));
+    }
+    if (params.has('palette')) state.palette = params.get('palette');
+    return state;
+  };
+
+  /**
+   * Construye una URL que reproduce la vista actual.
+   * @returns {string}
+   */
+  const getShareUrl = () => {
+    const { windows, desktop, boxes, palette } = getState();
+    const url = new URL(location.href);
+    LAYOUT_PARAMS.forEach(param => url.searchParams.delete(param));
+    url.searchParams.set('lang', document.documentElement.getAttribute('data-language') || window.__languages.DEFAULT);
+    if (palette) url.searchParams.set('palette', palette);
+    url.searchParams.set('windows', encodeWindows(windows));
+    if (desktop) url.searchParams.set('desk', encodeBoxes(boxes));
+    // ':', ',' y ';' son válidos en la consulta; sin escapar, el enlace se lee mejor.
+    url.search = url.search.replace(/%3A/gi, ':').replace(/%2C/gi, ',').replace(/%3B/gi, ';');
+    return url.href;
+  };
+
+  /**
+   * Olvida el estado guardado y devuelve las ventanas a su estado inicial.
+   * La paleta y el idioma en pantalla no cambian.
+   */
+  const reset = () => {
+    applyState({ windows: DEFAULT_WINDOWS, desktop: false, boxes: [] });
+    storage.remove(STORAGE_KEY);
+  };
+
+  // --- INICIO ---
+
+  const urlState = readUrlState();
+  const initialState = urlState || readStoredState();
+  // La paleta guardada la aplica antes el script de <head>, para evitar un parpadeo.
+  if (initialState) applyState(initialState);
+
+  if (urlState) {
+    // El estado queda guardado; se limpia la URL para que no se imponga al recargar.
+    const url = new URL(location.href);
+    LAYOUT_PARAMS.forEach(param => url.searchParams.delete(param));
+    try {
+      history.replaceState(history.state, '', url.href);
+    } catch (error) {
+      // Si el navegador no lo permite, la URL se queda como estaba.
+    }
+  }
+
+  getWindows().forEach(term => {
+    const observer = new MutationObserver(save);
+    observer.observe(term, { attributes: true, attributeFilter: ['class'] });
+    observers.push(observer);
+  });
+  document.addEventListener('desk-layout-change', save);
+
+  window.__deskState = { getState, getShareUrl, reset };
+})();
@@ -0,0 +1,47 @@
+/**
+ * @file Menú "Exportar" de la barra de herramientas.
+ * Genera con cv-export.js el CV en el idioma activo y lo descarga como
+ * archivo; los formatos son los mismos que ofrece scripts/export-cv.js.
+ */
+
+(function() {
+  'use strict';
+
+  const list = document.getElementById('exportOptions');
+  const exporter = window.__cvExport;
+  if (!list || !exporter) return;
+
+  const getCurrentLanguage = () => document.documentElement.getAttribute('data-language') || window.__languages.DEFAULT;
+
+  /**
+   * Descarga un texto como archivo.
+   * @param {string} content - Contenido del archivo.
+   * @param {string} filename - Nombre sugerido.
+   * @param {string} mime - Tipo MIME.
+   */
+  const download = (content, filename, mime) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  list.addEventListener('click', (event) => {
+    const format = event.target.closest('[data-format]')?.getAttribute('data-format');
+    const data = window.__getCvData?.();
+    if (!format || !data) return;
+
+    const language = getCurrentLanguage();
+    try {
+      const { content, filename, mime } = exporter.exportCv(data, format, language, window.__getCopy?.(language) || {});
+      download(content, filename, mime);
+    } catch (error) {
+      console.error(`No se pudo exportar el CV en formato ${format}:`, error);
+    }
+  });
+})();
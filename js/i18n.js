@@ -1,338 +1,183 @@
 /**
- * Detecta el idioma del navegador y permite alternar manualmente entre
- * las versiones en español e inglés sin depender de la ubicación o la IP.
+ * Aplica el idioma de la interfaz y permite cambiarlo a mano sin depender de
+ * la ubicación o la IP. El idioma inicial lo elige el script de <head> con el
+ * registro de js/languages.js (URL, página, preferencia guardada o
+ * `navigator.languages`). Los textos de la interfaz están en translations.js;
+ * el contenido del CV vive en cv-data.json y lo renderiza data-loader.js al
+ * recibir `site-language-change`, junto con los metadatos de la página
+ * (título, descripción y JSON-LD; ver metadata.js). Los enlaces entre
+ * idiomas (canónica, `hreflang`, `og:url` y `og:locale`) se actualizan aquí.
+ * Con dos idiomas, `#toggleLanguage` alterna entre ellos; con más, abre un
+ * menú (menu.js se ocupa de abrirlo y del teclado).
  */
 (function() {
   'use strict';
 
-  const translations = {
-    es: {
-      metaDescription: 'Juan Camilo Osorio Oviedo: experiencia, educación y enlaces.',
-      jobTitle: 'Docente · Ingeniero civil · M. Sc. en Matemática Aplicada',
-      skip: 'Saltar al contenido',
-      backToIndex: 'Volver al índice',
-      paletteTitle: 'Cambiar paleta de colores',
-      languageButton: 'EN',
-      languageTitle: 'Ver en inglés',
-      windowControls: {
-        close: 'Cerrar',
-        minimize: 'Minimizar',
-        maximize: 'Maximizar ancho'
-      },
-      about: {
-        heading: 'Sobre Juan Camilo Osorio Oviedo',
-        nameKey: 'Nombre',
-        roleKey: 'Rol',
-        role: 'Docente · Ing. civil · M. Sc. Matemática aplicada.',
-        focusKey: 'Enfoque',
-        focus: 'IA · Aprendizaje automático · Confiabilidad estructural',
-        stackKey: 'Tecnologías',
-        locationKey: 'Ubicación',
-        location: 'Manizales, Caldas, Colombia',
-        emailKey: 'Correo',
-        codeRoleKey: 'rol',
-        interestsKey: 'intereses',
-        interests: '["Inteligencia artificial", "Aprendizaje automático", "Confiabilidad estructural", "Ciencias de la computación"]',
-        codeLocationKey: 'ubicación',
-        codeEmailKey: 'correo',
-        emailSubject: 'Contacto desde CV'
-      },
-      education: {
-        title: 'Educación',
-        master: 'Maestría en Ciencias — Matemática Aplicada',
-        university: 'Universidad Nacional de Colombia',
-        distinction: 'Mención meritoria',
-        civilEngineering: 'Ingeniería Civil'
-      },
-      experience: {
-        title: 'Experiencia',
-        teacher: 'Docente ocasional',
-        university: 'Universidad Nacional de Colombia',
-        statistics: 'Estadística I',
-        differentialEquations: 'Ecuaciones diferenciales',
-        differentialCalculus: 'Cálculo diferencial',
-        basicMath: 'Matemáticas básicas',
-        assistantships: 'Monitorías académicas',
-        programming: 'Programación de computadores',
-        solidMechanics: 'Mecánica de sólidos',
-        integralCalculus: 'Cálculo integral',
-        linearAlgebra: 'Álgebra lineal'
-      },
-      skills: {
-        title: 'Habilidades',
-        programming: 'Programación: Python y MATLAB/Octave',
-        ml: 'ML: SVM, Regresión y Clasificación',
-        tools: 'Herramientas: Git, LaTeX, Linux',
-        languages: 'Idiomas: Español (nativo) e Inglés (C1)',
-        teaching: 'Docencia y divulgación científica'
-      },
-      projects: {
-        title: 'Proyectos',
-        siteCode: 'Código de este sitio web',
-        algebra: 'Laboratorio interactivo de álgebra lineal',
-        absvr: 'Adaptive Bayesian Support Vector Regression'
-      },
-      linksTitle: 'Enlaces',
-      footer: 'Hecho con HTML, CSS y JavaScript.'
-    },
-    en: {
-      metaDescription: 'Juan Camilo Osorio Oviedo: experience, education, projects, and links.',
-      jobTitle: 'Lecturer · Civil Engineer · M. Sc. in Applied Mathematics',
-      skip: 'Skip to content',
-      backToIndex: 'Back to index',
-      paletteTitle: 'Change color palette',
-      languageButton: 'ES',
-      languageTitle: 'View in Spanish',
-      windowControls: {
-        close: 'Close',
-        minimize: 'Minimize',
-        maximize: 'Maximize width'
-      },
-      about: {
-        heading: 'About Juan Camilo Osorio Oviedo',
-        nameKey: 'Name',
-        roleKey: 'Role',
-        role: 'Lecturer · Civil Engineer · M. Sc. Applied Mathematics',
-        focusKey: 'Focus',
-        focus: 'AI · Machine Learning · Structural Reliability',
-        stackKey: 'Stack',
-        locationKey: 'Location',
-        location: 'Manizales, Caldas, Colombia',
-        emailKey: 'Email',
-        codeRoleKey: 'role',
-        interestsKey: 'interests',
-        interests: '["Artificial intelligence", "Machine Learning", "Structural reliability", "Computer science"]',
-        codeLocationKey: 'location',
-        codeEmailKey: 'email',
-        emailSubject: 'Contact from CV'
-      },
-      education: {
-        title: 'Education',
-        master: 'Master of Science — Applied Mathematics',
-        university: 'National University of Colombia',
-        distinction: 'Meritorious distinction',
-        civilEngineering: 'Civil Engineering'
-      },
-      experience: {
-        title: 'Experience',
-        teacher: 'Lecturer',
-        university: 'National University of Colombia',
-        statistics: 'Statistics I',
-        differentialEquations: 'Differential Equations',
-        differentialCalculus: 'Differential Calculus',
-        basicMath: 'Basic Mathematics',
-        assistantships: 'Academic assistantships',
-        programming: 'Computer Programming',
-        solidMechanics: 'Mechanics of Solids',
-        integralCalculus: 'Integral Calculus',
-        linearAlgebra: 'Linear Algebra'
-      },
-      skills: {
-        title: 'Skills',
-        programming: 'Programming: Python and MATLAB/Octave',
-        ml: 'ML: SVM, Regression, and Classification',
-        tools: 'Tools: Git, LaTeX, Linux',
-        languages: 'Languages: Spanish (native) and English (C1)',
-        teaching: 'Teaching and science communication'
-      },
-      projects: {
-        title: 'Projects',
-        siteCode: 'Source code for this website',
-        algebra: 'Interactive linear algebra laboratory',
-        absvr: 'Adaptive Bayesian Support Vector Regression'
-      },
-      linksTitle: 'Links',
-      footer: 'Built with HTML, CSS, and JavaScript.'
-    }
-  };
+  const translations = window.__translations;
+  const languages = window.__languages;
 
-  const getInitialLanguage = () => {
-    const current = document.documentElement.getAttribute('data-language');
-    return current === 'en' ? 'en' : 'es';
-  };
+  // Raíz del sitio, respecto al script (js/i18n.js) para que valga en en/.
+  const SITE_URL = new URL('../', document.currentScript?.src || location.href).href;
 
-  const setHtml = (selector, html) => {
-    const element = document.querySelector(selector);
-    if (element) element.innerHTML = html;
-  };
+  const normalize = (language) => languages.resolve(language) || languages.DEFAULT;
 
-  const setText = (selector, text) => {
-    const element = document.querySelector(selector);
-    if (element) element.textContent = text;
-  };
+  const getInitialLanguage = () => normalize(document.documentElement.getAttribute('data-language'));
 
-  const persistLanguage = language => {
-    try {
-      localStorage.setItem('site-language', language);
-    } catch (error) {
-      // El cambio sigue funcionando aunque el navegador bloquee localStorage.
-    }
+  // Textos de cada idioma ya completados con su cadena de respaldo.
+  const copies = new Map();
+  const getCopy = (language) => {
+    if (!copies.has(language)) copies.set(language, languages.mergeCopy(translations, language));
+    return copies.get(language);
   };
 
-  const renderAbout = (copy) => {
-    const subject = encodeURIComponent(copy.emailSubject);
-
-    setText('#about #h-name', copy.heading);
-    setHtml('#about .fetch-info', `
-      <div class="fetch-title"><span class="user">osvo</span><span class="muted">@</span><span class="host">cv</span></div>
-      <div class="fetch-rule" aria-hidden="true"></div>
-      <div class="fetch-row"><span class="fetch-key">${copy.nameKey}</span><span class="fetch-value">Juan Camilo Osorio Oviedo</span></div>
-      <div class="fetch-row"><span class="fetch-key">${copy.roleKey}</span><span class="fetch-value">${copy.role}</span></div>
-      <div class="fetch-row"><span class="fetch-key">${copy.focusKey}</span><span class="fetch-value">${copy.focus}</span></div>
-      <div class="fetch-row"><span class="fetch-key">${copy.stackKey}</span><span class="fetch-value">Python · MATLAB/Octave · LaTeX · Linux</span></div>
-      <div class="fetch-row"><span class="fetch-key">${copy.locationKey}</span><span class="fetch-value">${copy.location}</span></div>
-      <div class="fetch-row"><span class="fetch-key">${copy.emailKey}</span><span class="fetch-value"><a href="mailto:jucosorioov@unal.edu.co?subject=${subject}">jucosorioov@unal.edu.co</a></span></div>
-      <div class="fetch-palette" aria-hidden="true">
-        <span class="swatch red"></span><span class="swatch orange"></span><span class="swatch yellow"></span><span class="swatch green"></span><span class="swatch cyan"></span><span class="swatch blue"></span><span class="swatch magenta"></span>
-      </div>
-    `);
-
-    setHtml('#about .about-code', `
-      <div class="line"><span class="hdr"># Juan Camilo Osorio Oviedo</span></div>
-      <div class="line"><span class="id">osvo</span> <span class="k">=</span> <span class="v">{</span></div>
-      <div class="indent">
-        <div class="line"><span class="k">${copy.codeRoleKey}</span>: <span class="v">"${copy.role}"</span>,</div>
-        <div class="line"><span class="k">${copy.interestsKey}</span>: <span class="v">${copy.interests}</span>,</div>
-        <div class="line"><span class="k">${copy.codeLocationKey}</span>: <span class="v">"${copy.location}"</span>,</div>
-        <div class="line"><span class="k">${copy.codeEmailKey}</span>: <a href="mailto:jucosorioov@unal.edu.co?subject=${subject}">jucosorioov@unal.edu.co</a></div>
-      </div>
-      <div class="line"><span class="v">}</span></div>
-    `);
+  /**
+   * Traduce los elementos marcados en el HTML: `data-i18n="clave"` reemplaza
+   * el texto y `data-i18n-attr="atributo:clave;..."` los atributos indicados.
+   * scripts/prerender.js aplica las mismas marcas al generar las páginas.
+   * @param {object} copy - Textos del idioma activo.
+   * @param {ParentNode} [root] - Parte del documento a traducir.
+   */
+  const translateElements = (copy, root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      const text = languages.lookup(copy, element.getAttribute('data-i18n'), currentLanguage);
+      if (typeof text === 'string') element.textContent = text;
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.getAttribute('data-i18n-attr').split(';').forEach(binding => {
+        const [attribute, key] = binding.split(':').map(part => part.trim());
+        const text = languages.lookup(copy, key, currentLanguage);
+        if (attribute && typeof text === 'string') element.setAttribute(attribute, text);
+      });
+    });
   };
 
-  const renderSections = (copy) => {
-    setHtml('#education .card', `
-      <h2 id="h-edu"># ${copy.education.title}</h2>
-      <ul>
-        <li><strong>${copy.education.master}</strong> — ${copy.education.university} <span class="badge">2026</span> <span class="badge">${copy.education.distinction}</span></li>
-        <li><strong>${copy.education.civilEngineering}</strong> — ${copy.education.university} <span class="badge">2022</span></li>
-      </ul>
-    `);
-
-    setHtml('#experience .card', `
-      <h2 id="h-exp"># ${copy.experience.title}</h2>
-      <ul>
-        <li id="expTeaching">
-          <strong>${copy.experience.teacher}</strong> — ${copy.experience.university}<br/>
-          <ul>
-            <li>${copy.experience.statistics} <span class="badge">2024</span></li>
-            <li>${copy.experience.differentialEquations} <span class="badge">2024</span></li>
-            <li>${copy.experience.differentialCalculus} <span class="badge">2022</span></li>
-            <li>${copy.experience.basicMath} <span class="badge">2022</span></li>
-          </ul>
-        </li>
-        <li id="expMonitors">
-          <strong>${copy.experience.assistantships}</strong> — ${copy.experience.university}<br/>
-          <ul>
-            <li>${copy.experience.programming} <span class="badge">2019</span></li>
-            <li>${copy.experience.solidMechanics} <span class="badge">2020-2021</span></li>
-            <li>${copy.experience.integralCalculus} <span class="badge">2023</span></li>
-            <li>${copy.experience.linearAlgebra} <span class="badge">2025</span></li>
-          </ul>
-        </li>
-      </ul>
-    `);
-
-    setHtml('#skills .card', `
-      <h2 id="h-skills"># ${copy.skills.title}</h2>
-      <div class="grid">
-        <ul>
-          <li>${copy.skills.programming}</li>
-          <li>${copy.skills.ml}</li>
-          <li>${copy.skills.tools}</li>
-        </ul>
-        <ul>
-          <li>${copy.skills.languages}</li>
-          <li>${copy.skills.teaching}</li>
-        </ul>
-      </div>
-    `);
-
-    setHtml('#projects .card', `
-      <h2 id="h-proj"># ${copy.projects.title}</h2>
-      <ul>
-        <li><a href="https://github.com/osvo/osvo.github.io/" target="_blank" rel="noopener">${copy.projects.siteCode}</a></li>
-        <li><a href="https://osvo.github.io/algebra-lineal/" target="_blank" rel="noopener">${copy.projects.algebra}</a></li>
-        <li><a href="https://github.com/osvo/ABSVR" target="_blank" rel="noopener">${copy.projects.absvr}</a></li>
-      </ul>
-    `);
-
-    setHtml('#links .card', `
-      <h2 id="h-links"># ${copy.linksTitle}</h2>
-      <ul>
-        <li><a href="https://github.com/osvo" target="_blank" rel="noopener">GitHub</a></li>
-        <li><a href="https://www.linkedin.com/in/osvo/" target="_blank" rel="noopener">LinkedIn</a></li>
-        <li><a href="https://www.youtube.com/@caosvo" target="_blank" rel="noopener">YouTube</a></li>
-        <li><a href="https://goodreads.com/osvo" target="_blank" rel="noopener">Goodreads</a></li>
-      </ul>
-    `);
+  const createElement = (tag, attributes) => {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
   };
 
-  const updateMetadata = (copy) => {
-    document.title = 'Juan Camilo Osorio Oviedo';
-    document.querySelector('meta[name="description"]')?.setAttribute('content', copy.metaDescription);
-    document.querySelector('meta[property="og:description"]')?.setAttribute('content', copy.metaDescription);
-
-    const schemaElement = document.querySelector('script[type="application/ld+json"]');
-    if (!schemaElement) return;
+  /**
+   * Mantiene en <head> los enlaces entre idiomas: la URL canónica y `og:url`
+   * (la página del idioma activo, aunque se haya elegido con `?lang=` desde
+   * otra), las alternativas `hreflang` de cada idioma registrado y
+   * `og:locale`. scripts/prerender.js escribe los mismos en cada página.
+   * @param {string} language - Idioma activo.
+   */
+  const updateLanguageLinks = (language) => {
+    const { canonical, locale, alternates, localeAlternates } = languages.getLanguageLinks(language, SITE_URL);
+    const head = document.head;
+    const canonicalLink = head.querySelector('link[rel="canonical"]') ||
+      head.appendChild(createElement('link', { rel: 'canonical' }));
+    const ogLocale = head.querySelector('meta[property="og:locale"]');
+    canonicalLink.setAttribute('href', canonical);
+    head.querySelector('meta[property="og:url"]')?.setAttribute('content', canonical);
+    ogLocale?.setAttribute('content', locale);
+
+    head.querySelectorAll('link[rel="alternate"][hreflang], meta[property="og:locale:alternate"]').forEach(element => element.remove());
+    canonicalLink.after(...alternates.map(({ hreflang, href }) => createElement('link', { rel: 'alternate', hreflang, href })));
+    ogLocale?.after(...localeAlternates.map(content => createElement('meta', { property: 'og:locale:alternate', content })));
+  };
 
-    try {
-      const schema = JSON.parse(schemaElement.textContent);
-      schema.jobTitle = copy.jobTitle;
-      schemaElement.textContent = JSON.stringify(schema, null, 2);
-    } catch (error) {
-      console.error('Could not update JSON-LD metadata:', error);
-    }
+  // --- SELECTOR DE IDIOMA ---
+
+  const toggle = document.getElementById('toggleLanguage');
+  const useMenu = languages.list().length > 2;
+  let menuList = null;
+
+  // El HTML trae el botón de alternar; con más de dos idiomas se convierte
+  // en el botón de un menú y deja de traducirse con `data-i18n`.
+  if (toggle && useMenu) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'menu';
+    toggle.replaceWith(wrapper);
+    menuList = document.createElement('ul');
+    menuList.className = 'menu-list';
+    menuList.id = 'languageOptions';
+    menuList.setAttribute('role', 'menu');
+    menuList.setAttribute('aria-labelledby', 'toggleLanguage');
+    menuList.hidden = true;
+    wrapper.append(toggle, menuList);
+
+    ['data-i18n', 'data-i18n-attr', 'aria-live'].forEach(name => toggle.removeAttribute(name));
+    toggle.setAttribute('aria-haspopup', 'menu');
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', menuList.id);
+
+    menuList.addEventListener('click', (event) => {
+      const option = event.target.closest('[data-language-option]');
+      if (option) applyLanguage(option.dataset.languageOption, true);
+    });
+  }
+
+  /**
+   * Pone al día el menú de idiomas: el código activo en el botón y una opción
+   * por idioma con su nombre en ese mismo idioma.
+   * @param {object} copy - Textos del idioma activo.
+   */
+  const renderLanguageMenu = (copy) => {
+    if (!menuList) return;
+    toggle.textContent = currentLanguage.toUpperCase();
+    toggle.title = copy.languageMenuTitle;
+    toggle.setAttribute('aria-label', copy.languageMenuTitle);
+    menuList.innerHTML = '';
+    languages.list().forEach(({ code, name }) => {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'none');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('role', 'menuitemradio');
+      button.setAttribute('aria-checked', String(code === currentLanguage));
+      button.setAttribute('lang', code);
+      button.dataset.languageOption = code;
+      button.textContent = name;
+      item.appendChild(button);
+      menuList.appendChild(item);
+    });
   };
 
+  let currentLanguage = getInitialLanguage();
+
   const applyLanguage = (language, persist = false) => {
-    const normalizedLanguage = language === 'en' ? 'en' : 'es';
-    const copy = translations[normalizedLanguage];
+    currentLanguage = normalize(language);
+    const copy = getCopy(currentLanguage);
     const root = document.documentElement;
 
-    root.lang = normalizedLanguage;
-    root.setAttribute('data-language', normalizedLanguage);
-    if (persist) persistLanguage(normalizedLanguage);
-
-    setText('a[href="#sections"].sr-only', copy.skip);
-    document.querySelector('.site-mark')?.setAttribute('aria-label', copy.backToIndex);
-
-    const paletteButton = document.getElementById('togglePalette');
-    paletteButton?.setAttribute('title', copy.paletteTitle);
+    root.lang = currentLanguage;
+    root.setAttribute('data-language', currentLanguage);
+    if (persist) languages.setPreference(currentLanguage);
 
-    const languageButton = document.getElementById('toggleLanguage');
-    if (languageButton) {
-      languageButton.textContent = copy.languageButton;
-      languageButton.setAttribute('title', copy.languageTitle);
-      languageButton.setAttribute('aria-label', copy.languageTitle);
-    }
-
-    document.querySelectorAll('.dot.red').forEach(button => button.setAttribute('aria-label', copy.windowControls.close));
-    document.querySelectorAll('.dot.yellow').forEach(button => button.setAttribute('aria-label', copy.windowControls.minimize));
-    document.querySelectorAll('.dot.green').forEach(button => button.setAttribute('aria-label', copy.windowControls.maximize));
-
-    renderAbout(copy.about);
-    renderSections(copy);
-    const renderedYear = document.getElementById('yearRoman')?.textContent || '';
-    setHtml('.footer', `© <span id="yearRoman"></span> — Juan Camilo Osorio Oviedo — ${copy.footer}`);
-    if (renderedYear) setText('#yearRoman', renderedYear);
-    updateMetadata(copy);
+    translateElements(copy);
+    updateLanguageLinks(currentLanguage);
+    renderLanguageMenu(copy);
 
     document.dispatchEvent(new CustomEvent('site-language-change', {
-      detail: { language: normalizedLanguage }
+      detail: { language: currentLanguage }
     }));
   };
 
-  let currentLanguage = getInitialLanguage();
-  applyLanguage(currentLanguage);
+  // Una página prerenderizada en el idioma activo ya trae todos los textos.
+  if (document.documentElement.getAttribute('data-prerendered') !== currentLanguage) {
+    applyLanguage(currentLanguage);
+  } else {
+    renderLanguageMenu(getCopy(currentLanguage));
+  }
+
+  // data-loader.js usa estas cadenas como etiquetas al renderizar el CV.
+  window.__getCopy = (language = currentLanguage) => getCopy(language);
+
+  // Con dos idiomas el botón pasa al siguiente de la lista.
+  if (!useMenu) {
+    toggle?.addEventListener('click', () => {
+      const codes = languages.list().map(({ code }) => code);
+      applyLanguage(codes[(codes.indexOf(currentLanguage) + 1) % codes.length], true);
+    });
+  }
 
-  document.getElementById('toggleLanguage')?.addEventListener('click', () => {
-    currentLanguage = currentLanguage === 'es' ? 'en' : 'es';
-    applyLanguage(currentLanguage, true);
-  });
+  // Las ventanas que se crean después (js/posts.js) se traducen al añadirlas.
+  window.__translate = (root) => translateElements(getCopy(currentLanguage), root);
 
   window.__setLanguage = language => {
-    currentLanguage = language === 'en' ? 'en' : 'es';
-    applyLanguage(currentLanguage, true);
+    applyLanguage(language, true);
   };
 })();
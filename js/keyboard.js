@@ -0,0 +1,82 @@
+/**
+ * @file Atajos de teclado globales para las ventanas.
+ *   ] / [    siguiente / anterior ventana
+ *   1–9      abre la sección n-ésima del índice (0 abre el índice)
+ *   x m f    cierra, minimiza o maximiza la ventana activa
+ *   Esc      quita la maximización
+ *   Ctrl+K /  abre la búsqueda en el CV (ver command-palette.js)
+ * La ventana activa es la que contiene el foco o, si no hay ninguna, la
+ * maximizada. Los atajos se ignoran al escribir en un campo de texto.
+ */
+
+(function() {
+  'use strict';
+
+  const desk = document.getElementById('desk');
+  if (!desk) return;
+
+  const ACTION_KEYS = { x: 'close', m: 'minimize', f: 'maximize' };
+  const DOT_KEYS = { red: 'x', yellow: 'm', green: 'f' };
+
+  const getWindows = () => Array.from(desk.querySelectorAll(':scope > .terminal'))
+    // En modo escritorio las minimizadas solo están en la barra de tareas.
+    .filter(term => !(desk.classList.contains('desktop') && term.classList.contains('minimized')));
+
+  const getSectionIds = () => Array.from(document.querySelectorAll('#sections .card a[href^="#"]'))
+    .map(anchor => anchor.getAttribute('href').slice(1));
+
+  const getActiveWindow = () =>
+    document.activeElement?.closest?.('#desk > .terminal') || desk.querySelector(':scope > .terminal.maxwide');
+
+  const isTyping = (target) =>
+    target.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"], [role="menu"], dialog');
+
+  const focusWindow = (term) => {
+    window.__windowManager?.raise(term.id);
+    term.focus({ preventScroll: true });
+    term.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  const cycle = (step) => {
+    const windows = getWindows();
+    if (!windows.length) return;
+    const index = windows.indexOf(getActiveWindow());
+    const next = index === -1 ? (step > 0 ? 0 : windows.length - 1) : (index + step + windows.length) % windows.length;
+    focusWindow(windows[next]);
+  };
+
+  // Los controles anuncian su atajo a las tecnologías de asistencia.
+  const describeDots = (root) => root.querySelectorAll('.terminal .dot').forEach(dot => {
+    const color = Object.keys(DOT_KEYS).find(c => dot.classList.contains(c));
+    if (color) dot.setAttribute('aria-keyshortcuts', DOT_KEYS[color]);
+  });
+  describeDots(document);
+  document.addEventListener('terminal-added', (event) => describeDots(event.detail.element));
+  document.querySelectorAll('#sections .card a[href^="#"]').forEach((anchor, index) => {
+    if (index < 9) anchor.setAttribute('aria-keyshortcuts', String(index + 1));
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return;
+
+    const { key } = event;
+    const active = getActiveWindow();
+
+    if (key === ']' || key === '[') {
+      cycle(key === ']' ? 1 : -1);
+    } else if (/^[0-9]$/.test(key)) {
+      const id = key === '0' ? 'sections' : getSectionIds()[Number(key) - 1];
+      if (!id) return;
+      window.__openFocusScroll?.(id, true);
+    } else if (ACTION_KEYS[key] && active) {
+      window.__toggleWindow?.(active.id, ACTION_KEYS[key]);
+    } else if (key === 'Escape') {
+      const maximized = desk.querySelector(':scope > .terminal.maxwide');
+      if (!maximized) return;
+      window.__toggleWindow?.(maximized.id, 'maximize', false);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+})();
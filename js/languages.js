@@ -0,0 +1,376 @@
+/**
+ * @file Registro de idiomas.
+ * Cada diccionario de translations.js es un idioma; scripts/prerender.js
+ * incrusta la lista (código, nombre, locale y ruta de su página) en
+ * `<script id="language-data">` para que la página elija el idioma antes de
+ * cargar los textos. Los códigos son etiquetas BCP-47: el idioma inicial se
+ * negocia contra `navigator.languages` y las claves o campos que falten en un
+ * idioma se buscan en su cadena de respaldo (pt-BR → pt → en → es) y se
+ * avisan una sola vez en la consola. scripts/check-translations.js compara
+ * los diccionarios antes de publicar.
+ * En el navegador se carga sin `defer` en <head> y expone el registro en
+ * `window.__languages`; en Node exporta las funciones puras.
+ */
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__languages = api.createRegistry(root.document);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Idioma de la raíz del sitio y último respaldo: el CV está completo en él.
+  const DEFAULT_LANGUAGE = 'es';
+  // Respaldo previo para los idiomas sin traducción propia.
+  const FALLBACK_LANGUAGE = 'en';
+  const STORAGE_KEY = 'site-language';
+
+  /**
+   * Normaliza una etiqueta BCP-47 (`pt-br` → `pt-BR`).
+   * @param {string} tag
+   * @returns {string|null} null si no es una etiqueta válida.
+   */
+  const canonicalize = (tag) => {
+    if (typeof tag !== 'string' || !tag) return null;
+    try {
+      return Intl.getCanonicalLocales(tag)[0] || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // La etiqueta y sus prefijos: `pt-BR` → `['pt-BR', 'pt']`.
+  const getOwnTags = (tag) => {
+    const parts = (canonicalize(tag) || '').split('-').filter(Boolean);
+    return parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+  };
+
+  /**
+   * Cadena de respaldo de un idioma: la etiqueta, sus prefijos y los
+   * idiomas de respaldo del sitio, sin repetir.
+   * @param {string} tag - p. ej. `pt-BR`.
+   * @returns {string[]} p. ej. `['pt-BR', 'pt', 'en', 'es']`.
+   */
+  function getFallbackChain(tag) {
+    const chain = getOwnTags(tag);
+    [FALLBACK_LANGUAGE, DEFAULT_LANGUAGE].forEach(language => {
+      if (!chain.includes(language)) chain.push(language);
+    });
+    return chain;
+  }
+
+  /**
+   * Busca el idioma disponible que corresponde a una etiqueta: el mismo o
+   * uno de sus prefijos (`pt-BR` → `pt`).
+   * @param {string} tag
+   * @param {string[]} available - Códigos disponibles.
+   * @returns {string|null}
+   */
+  function match(tag, available) {
+    const canonical = canonicalize(tag);
+    if (!canonical) return null;
+    const byLowerCase = new Map(available.map(code => [code.toLowerCase(), code]));
+    const parts = canonical.toLowerCase().split('-');
+    for (let length = parts.length; length > 0; length--) {
+      const code = byLowerCase.get(parts.slice(0, length).join('-'));
+      if (code) return code;
+    }
+    return null;
+  }
+
+  /**
+   * Elige el idioma disponible que mejor sirve a la lista de preferencias
+   * del navegador, en su orden. Si ninguna coincide de forma exacta o por
+   * prefijo, vale un disponible más específico del mismo idioma base
+   * (`pt` → `pt-BR`).
+   * @param {string[]} requested - p. ej. `navigator.languages`.
+   * @param {string[]} available
+   * @returns {string|null}
+   */
+  function negotiate(requested, available) {
+    const tags = (requested || []).filter(Boolean);
+    for (const tag of tags) {
+      const code = match(tag, available);
+      if (code) return code;
+    }
+    for (const tag of tags) {
+      const base = canonicalize(tag)?.split('-')[0].toLowerCase();
+      const code = available.find(candidate => candidate.toLowerCase().split('-')[0] === base);
+      if (code) return code;
+    }
+    return null;
+  }
+
+  const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  const deepMerge = (base, override) => {
+    const result = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+      result[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+    });
+    return result;
+  };
+
+  const lookupPath = (copy, key) => key.split('.').reduce((node, part) => node?.[part], copy);
+
+  // Textos que ya se avisaron, por idioma y clave.
+  const reported = new Set();
+
+  const reportMissing = (language, key, detail) => {
+    const id = `${language}:${key}`;
+    if (reported.has(id)) return;
+    reported.add(id);
+    console.warn(`Falta la traducción de "${key}" al idioma ${language}; ${detail}.`);
+  };
+
+  // Rutas de todos los textos de un diccionario.
+  const getKeys = (dictionary, prefix = '') => Object.entries(dictionary).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) ? getKeys(value, keyPath) : [keyPath];
+  });
+
+  /**
+   * Textos de un idioma completados con los de su cadena de respaldo. Avisa
+   * de los textos del idioma por defecto que el idioma no traduce.
+   * @param {Object<string, object>} translations - Diccionarios por código.
+   * @param {string} language
+   * @returns {object}
+   */
+  function mergeCopy(translations, language) {
+    const own = getOwnTags(language).filter(code => translations[code]);
+    if (translations[DEFAULT_LANGUAGE] && !own.includes(DEFAULT_LANGUAGE)) {
+      getKeys(translations[DEFAULT_LANGUAGE])
+        .filter(key => own.every(code => lookupPath(translations[code], key) === undefined))
+        .forEach(key => reportMissing(language, key, 'se usa la de su cadena de respaldo'));
+    }
+    return getFallbackChain(language)
+      .filter(code => translations[code])
+      .reverse()
+      .reduce((copy, code) => deepMerge(copy, translations[code]), {});
+  }
+
+  /**
+   * Busca un texto por su ruta (`windowControls.close`) en los textos de un
+   * idioma ya completados con `mergeCopy`. Si no está en ninguno, lo avisa
+   * una vez y devuelve null, nunca `undefined`.
+   * @param {object} copy
+   * @param {string} key
+   * @param {string} [language] - Solo para el aviso.
+   * @returns {string|null}
+   */
+  function lookup(copy, key, language = DEFAULT_LANGUAGE) {
+    const text = lookupPath(copy, key);
+    if (typeof text === 'string') return text;
+    reportMissing(language, key, 'tampoco existe en el idioma por defecto');
+    return null;
+  }
+
+  /**
+   * Devuelve la variante de un campo traducible (`{ es, en, ... }`) en el
+   * idioma pedido o, si falta, en el primero de su cadena de respaldo.
+   * @param {string|object} value
+   * @param {string} language
+   * @returns {string}
+   */
+  function localize(value, language) {
+    if (!isPlainObject(value)) return value ?? '';
+    const code = getFallbackChain(language).find(candidate => value[candidate] != null);
+    return code ? value[code] : '';
+  }
+
+  /**
+   * Formatea un periodo de js/periods.js según el idioma: un año, un
+   * intervalo (`2020–2021`) o uno abierto (`2024–`).
+   * @param {{start: number, end: number|null}} period
+   * @param {string} language
+   * @returns {string}
+   */
+  function formatPeriod({ start, end }, language) {
+    const toDate = (year) => new Date(Date.UTC(year, 6, 1));
+    try {
+      const format = new Intl.DateTimeFormat(canonicalize(language) || DEFAULT_LANGUAGE, { year: 'numeric', timeZone: 'UTC' });
+      if (end === null) return `${format.format(toDate(start))}–`;
+      if (end === start) return format.format(toDate(start));
+      if (typeof format.formatRange === 'function') return format.formatRange(toDate(start), toDate(end));
+      return `${format.format(toDate(start))}–${format.format(toDate(end))}`;
+    } catch (error) {
+      return end === start ? String(start) : `${start}–${end ?? ''}`;
+    }
+  }
+
+  /**
+   * Formatea una cantidad de años según el idioma (`7 años`, `1 year`).
+   * @param {number} years
+   * @param {string} language
+   * @returns {string}
+   */
+  function formatDuration(years, language) {
+    try {
+      return new Intl.NumberFormat(canonicalize(language) || DEFAULT_LANGUAGE, { style: 'unit', unit: 'year', unitDisplay: 'long' }).format(years);
+    } catch (error) {
+      return String(years);
+    }
+  }
+
+  /**
+   * Formatea una fecha `AAAA-MM-DD` según el idioma (`20 jun 2022`).
+   * @param {string} value
+   * @param {string} language
+   * @returns {string} El mismo texto si no es una fecha válida.
+   */
+  function formatDate(value, language) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return value;
+    try {
+      return new Intl.DateTimeFormat(canonicalize(language) || DEFAULT_LANGUAGE, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }).format(date);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Ruta de la página de un idioma respecto a la raíz del sitio.
+   * @param {string} code
+   * @returns {string} `''` para el idioma por defecto, `'en/'` para el resto.
+   */
+  const getPagePath = (code) => (code === DEFAULT_LANGUAGE ? '' : `${code.toLowerCase()}/`);
+
+  /**
+   * Lista de idiomas que se incrusta en la página, a partir de los diccionarios.
+   * @param {Object<string, object>} translations
+   * @returns {{default: string, languages: {code: string, name: string, locale: string, path: string}[]}}
+   */
+  function describe(translations) {
+    const codes = Object.keys(translations).sort((a, b) =>
+      (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : 0));
+    return {
+      default: DEFAULT_LANGUAGE,
+      languages: codes.map(code => ({
+        code,
+        name: translations[code].languageName || code,
+        locale: (translations[code].ogLocale || code).replace('_', '-'),
+        path: getPagePath(code)
+      }))
+    };
+  }
+
+  /**
+   * Enlaces entre las páginas de los idiomas: la canónica del idioma, las
+   * alternativas `hreflang` de todos (más `x-default`, la del idioma por
+   * defecto) y los locales de Open Graph.
+   * @param {{default: string, languages: {code: string, locale: string, path: string}[]}} definition - Lista de `describe`.
+   * @param {string} language - Idioma de la página.
+   * @param {string} site - URL de la raíz del sitio.
+   * @param {string} [hash] - Ruta de una ventana (`#experience`), la misma en todos los idiomas.
+   * @returns {{canonical: string, locale: string, alternates: {hreflang: string, href: string}[], localeAlternates: string[]}}
+   *   `locale` y `localeAlternates` van con guion bajo, como los pide Open Graph (`es_CO`).
+   */
+  function getLanguageLinks(definition, language, site, hash = '') {
+    const toUrl = (entry) => new URL(`${entry.path}${hash}`, site).href;
+    const toOgLocale = (entry) => entry.locale.replace('-', '_');
+    const current = definition.languages.find(entry => entry.code === language) || definition.languages[0];
+    const fallback = definition.languages.find(entry => entry.code === definition.default) || current;
+    return {
+      canonical: toUrl(current),
+      locale: toOgLocale(current),
+      alternates: [
+        ...definition.languages.map(entry => ({ hreflang: entry.code, href: toUrl(entry) })),
+        { hreflang: 'x-default', href: toUrl(fallback) }
+      ],
+      localeAlternates: definition.languages.filter(entry => entry !== current).map(toOgLocale)
+    };
+  }
+
+  const readStorage = () => {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const writeStorage = (value) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, value);
+    } catch (error) {
+      // El cambio sigue funcionando aunque el navegador bloquee localStorage.
+    }
+  };
+
+  /**
+   * Crea el registro del navegador a partir de los datos incrustados en la página.
+   * @param {Document} doc
+   * @returns {object}
+   */
+  function createRegistry(doc) {
+    let definition = { default: DEFAULT_LANGUAGE, languages: [{ code: DEFAULT_LANGUAGE, name: DEFAULT_LANGUAGE, locale: DEFAULT_LANGUAGE, path: '' }] };
+    try {
+      definition = JSON.parse(doc.getElementById('language-data').textContent);
+    } catch (error) {
+      console.error('No se pudieron leer los idiomas de la página:', error);
+    }
+    const codes = definition.languages.map(language => language.code);
+
+    return {
+      DEFAULT: definition.default,
+      DEFAULT_LANGUAGE,
+      list: () => definition.languages.slice(),
+      get: (code) => definition.languages.find(language => language.code === code) || null,
+
+      /**
+       * Idioma disponible para una etiqueta, o null.
+       * @param {string|null} tag
+       * @returns {string|null}
+       */
+      resolve: (tag) => match(tag, codes),
+
+      /**
+       * Idioma disponible que prefiere el navegador, o el del sitio.
+       * @param {string[]} [requested]
+       * @returns {string}
+       */
+      negotiate: (requested) => negotiate(requested, codes) || definition.default,
+
+      getPreference: readStorage,
+      setPreference: writeStorage,
+      getFallbackChain,
+      mergeCopy,
+      lookup,
+      localize,
+      formatPeriod,
+      formatDuration,
+      formatDate,
+      getPagePath,
+
+      /**
+       * Enlaces entre los idiomas de la página (ver `getLanguageLinks`).
+       * @param {string} language
+       * @param {string} site - URL de la raíz del sitio.
+       * @param {string} [hash]
+       */
+      getLanguageLinks: (language, site, hash) => getLanguageLinks(definition, language, site, hash)
+    };
+  }
+
+  return {
+    DEFAULT_LANGUAGE,
+    FALLBACK_LANGUAGE,
+    canonicalize,
+    getFallbackChain,
+    match,
+    negotiate,
+    mergeCopy,
+    lookup,
+    localize,
+    formatPeriod,
+    formatDuration,
+    formatDate,
+    getPagePath,
+    getLanguageLinks,
+    describe,
+    createRegistry
+  };
+});
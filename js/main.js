@@ -1,7 +1,7 @@
 /**
  * @file Script principal para la funcionalidad del CV interactivo.
  * Incluye:
- * - Lógica para manejar temas (paletas de colores).
+ * - Aplicación de la paleta y del esquema (claro u oscuro) elegidos.
  * - Controles de ventana (cerrar, minimizar, maximizar).
  * - Navegación y scroll suave entre secciones.
  * - Funciones de utilidad (conversor a números romanos).
@@ -36,69 +36,201 @@
     el.textContent = toRoman(new Date().getFullYear());
   });
 
-  // --- LÓGICA DEL INTERRUPTOR DE PALETA DE COLORES ---
-  const PALETTES = ['one-dark', 'dracula', 'nord', 'tokyonight', 'catppuccin', 'night-owl'];
-  const PALETTE_NAMES = {
-    'one-dark': 'One Dark', 'dracula': 'Dracula', 'nord': 'Nord', 'tokyonight': 'Tokyo Night',
-    'catppuccin': 'Catppuccin', 'night-owl': 'Night Owl'
-  };
-
-  const paletteBtn = document.getElementById('togglePalette');
+  // --- PALETA Y ESQUEMA DE COLORES ---
+  // Las paletas las define palettes.json y las registra js/palettes.js; el
+  // selector de la barra de herramientas está en js/palette-picker.js.
+  // `data-theme` guarda el esquema (claro u oscuro) y `data-palette`, la paleta.
+  const palettes = window.__palettes;
+  const root = document.documentElement;
   const paletteNameSpan = document.getElementById('paletteName');
+  const themeColorMeta = document.querySelector('meta[name="theme-color"]');
 
-  const getCurrentPalette = () => document.documentElement.getAttribute('data-palette') || PALETTES[0];
+  const getCurrentScheme = () => root.getAttribute('data-theme') || 'dark';
+  const getCurrentPalette = () => root.getAttribute('data-palette') || palettes?.getDefault(getCurrentScheme());
 
   const setPalette = (palette) => {
-    document.documentElement.setAttribute('data-palette', palette);
+    root.setAttribute('data-palette', palette);
     if (paletteNameSpan) {
-      paletteNameSpan.textContent = PALETTE_NAMES[palette] || palette;
+      paletteNameSpan.textContent = palettes?.get(palette)?.name || palette;
+    }
+    // La barra del navegador toma el fondo de la paleta.
+    const background = palettes?.get(palette)?.colors.bg;
+    if (themeColorMeta && background) themeColorMeta.setAttribute('content', background);
+    document.dispatchEvent(new CustomEvent('site-palette-change', { detail: { palette } }));
+  };
+
+  /**
+   * Muestra un esquema con la paleta elegida para él. El evento se emite
+   * aunque el esquema no cambie, porque puede haber cambiado la preferencia.
+   * @param {'dark'|'light'} scheme
+   */
+  const applyScheme = (scheme) => {
+    if (scheme !== getCurrentScheme()) {
+      root.setAttribute('data-theme', scheme);
+      setPalette(palettes.resolve(palettes.getPreference(scheme), scheme));
     }
+    document.dispatchEvent(new CustomEvent('site-theme-change', { detail: { theme: scheme } }));
   };
 
   setPalette(getCurrentPalette());
 
-  paletteBtn?.addEventListener('click', () => {
-    const current = getCurrentPalette();
-    const nextIndex = (PALETTES.indexOf(current) + 1) % PALETTES.length;
-    const nextPalette = PALETTES[nextIndex];
-    setPalette(nextPalette);
+  /**
+   * Aplica y recuerda una paleta. Una paleta del otro esquema cambia también
+   * el esquema, que queda elegido a mano.
+   * @param {string} preference - Id de una paleta o "random".
+   * @param {{persist?: boolean}} [options] - Con `persist: false` (la paleta
+   *   de una URL compartida) se aplica solo en esta visita, paleta y esquema,
+   *   sin tocar las preferencias guardadas.
+   * @returns {boolean} Falso si la paleta no existe.
+   */
+  window.__setPalette = (preference, { persist = true } = {}) => {
+    if (!palettes) return false;
+    if (!persist) {
+      const palette = palettes.get(preference);
+      if (!palette) return false;
+      if (palette.scheme !== getCurrentScheme()) {
+        root.setAttribute('data-theme', palette.scheme);
+        document.dispatchEvent(new CustomEvent('site-theme-change', { detail: { theme: palette.scheme } }));
+      }
+      setPalette(palette.id);
+      return true;
+    }
+    if (preference === palettes.RANDOM) {
+      palettes.setPreference(preference, getCurrentScheme());
+      setPalette(palettes.resolve(preference, getCurrentScheme()));
+      return true;
+    }
+    const palette = palettes.get(preference);
+    if (!palette) return false;
+    palettes.setPreference(palette.id, palette.scheme);
+    if (palette.scheme === getCurrentScheme()) {
+      setPalette(palette.id);
+    } else {
+      // applyScheme aplica la paleta recién guardada para ese esquema.
+      palettes.setSchemePreference(palette.scheme);
+      applyScheme(palette.scheme);
+    }
+    return true;
+  };
+
+  /**
+   * Elige el esquema de colores.
+   * @param {'auto'|'dark'|'light'} preference - "auto" sigue a `prefers-color-scheme`.
+   * @returns {boolean} Falso si el valor no es válido.
+   */
+  window.__setTheme = (preference) => {
+    if (!palettes || (preference !== 'auto' && !palettes.SCHEMES.includes(preference))) return false;
+    palettes.setSchemePreference(preference);
+    applyScheme(palettes.resolveScheme(palettes.getSchemePreference()));
+    return true;
+  };
+
+  window.__getTheme = () => ({
+    preference: palettes?.getSchemePreference() || 'auto',
+    theme: getCurrentScheme()
+  });
+
+  window.__getPalettes = () =>
+    (palettes ? palettes.list().map(({ id, name, scheme }) => ({ id, name, scheme })) : []);
+
+  palettes?.onSystemSchemeChange(() => {
+    if (!palettes.getSchemePreference()) applyScheme(palettes.resolveScheme(null));
   });
 
 
   // --- LÓGICA DE CONTROLES DE VENTANA (TERMINAL) ---
+  const WINDOW_STATES = ['closed', 'minimized', 'maxwide'];
+
+  const getCopy = () => window.__getCopy?.() || {};
+
+  const fillTemplate = (template = '', values = {}) =>
+    String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  const getWindowState = (term) => WINDOW_STATES.find(state => term.classList.contains(state)) || null;
+
+  /**
+   * Sincroniza el estado de una ventana con su título (`data-state`, en el
+   * idioma activo) y con los atributos ARIA de sus controles: cerrar y
+   * minimizar indican con `aria-expanded` si el contenido está visible, y
+   * maximizar es un interruptor con `aria-pressed`.
+   * @param {HTMLElement} term - La ventana.
+   */
   const refreshTitleState = (term) => {
+    const screen = term.querySelector('.screen');
+    const collapsed = term.classList.contains('closed') || term.classList.contains('minimized');
+    term.querySelectorAll('.dot.red, .dot.yellow').forEach(dot => dot.setAttribute('aria-expanded', String(!collapsed)));
+    term.querySelector('.dot.green')?.setAttribute('aria-pressed', String(term.classList.contains('maxwide')));
+    if (screen?.id) term.querySelectorAll('.dot').forEach(dot => dot.setAttribute('aria-controls', screen.id));
+
     const title = term.querySelector('.title');
     if (!title) return;
-    const states = [];
-    if (term.classList.contains('closed')) states.push('cerrada');
-    if (term.classList.contains('minimized')) states.push('minimizada');
-    if (term.classList.contains('maxwide')) states.push('max');
+    const labels = getCopy().windowStates || {};
+    const states = WINDOW_STATES.filter(state => term.classList.contains(state)).map(state => labels[state] || state);
     title.setAttribute('data-state', states.join(' '));
   };
 
-  document.querySelectorAll('.terminal').forEach(term => {
+  // Región viva que anuncia los cambios de estado en el idioma activo.
+  const announcer = document.createElement('div');
+  announcer.className = 'sr-only';
+  announcer.setAttribute('role', 'status');
+  announcer.setAttribute('aria-live', 'polite');
+  document.body.appendChild(announcer);
+
+  const announce = (term) => {
+    const messages = getCopy().windowAnnouncements || {};
+    const name = term.getAttribute('aria-label') || term.id;
+    announcer.textContent = fillTemplate(messages[getWindowState(term) || 'restored'], { name });
+  };
+
+  /**
+   * Prepara una ventana: id de su pantalla, foco y título con su estado.
+   * @param {HTMLElement} term - La ventana.
+   */
+  const registerTerminal = (term) => {
+    const screen = term.querySelector('.screen');
+    if (screen && !screen.id) screen.id = `${term.id}-screen`;
+    // Las ventanas reciben el foco al abrirse con un enlace o un atajo.
+    if (!term.hasAttribute('tabindex')) term.setAttribute('tabindex', '-1');
     new MutationObserver(() => refreshTitleState(term)).observe(term, { attributes: true, attributeFilter: ['class'] });
     refreshTitleState(term);
-  });
+  };
 
-  document.addEventListener('click', (e) => {
-    const btn = e.target.closest('.dot');
-    if (!btn) return;
-    const term = btn.closest('.terminal');
-    if (!term) return;
+  document.querySelectorAll('.terminal').forEach(registerTerminal);
+
+  // Las ventanas creadas después de cargar (p. ej. las notas de js/posts.js)
+  // avisan con `terminal-added` al entrar en el escritorio.
+  document.addEventListener('terminal-added', (event) => registerTerminal(event.detail.element));
 
-    if (btn.classList.contains('red')) {
-      term.classList.toggle('closed');
+  document.addEventListener('site-language-change', () => {
+    document.querySelectorAll('.terminal').forEach(refreshTitleState);
+  });
+
+  /**
+   * Aplica una acción de ventana con la misma semántica que `classList.toggle`:
+   * sin `force` alterna el estado; con `force` lo fija.
+   * @param {HTMLElement} term - La ventana (terminal).
+   * @param {'close'|'minimize'|'maximize'} action - Acción a aplicar.
+   * @param {boolean} [force] - Estado deseado; si se omite, se alterna.
+   * @param {{scroll?: boolean, announce?: boolean}} [options] - `scroll: false`
+   *   evita desplazarse hasta la ventana maximizada y `announce: false` no lo
+   *   anuncia a los lectores de pantalla (p. ej. al restaurar un estado guardado).
+   */
+  const toggleWindow = (term, action, force, { scroll = true, announce: shouldAnnounce = true } = {}) => {
+    const previousState = getWindowState(term);
+    if (action === 'close') {
+      term.classList.toggle('closed', force);
       term.classList.remove('minimized', 'maxwide');
-    } else if (btn.classList.contains('yellow')) {
-      term.classList.toggle('minimized');
+    } else if (action === 'minimize') {
+      term.classList.toggle('minimized', force);
       term.classList.remove('closed', 'maxwide');
-    } else if (btn.classList.contains('green')) {
-      const wasMaximized = term.classList.contains('maxwide');
+    } else if (action === 'maximize') {
+      const shouldMaximize = force ?? !term.classList.contains('maxwide');
       document.querySelectorAll('.terminal.maxwide').forEach(t => t.classList.remove('maxwide'));
       term.classList.remove('closed', 'minimized');
-      if (!wasMaximized) {
+      if (shouldMaximize) {
         term.classList.add('maxwide');
+      }
+      if (shouldMaximize && scroll) {
         if (window.__scrollAdjusted) {
           window.__scrollAdjusted(term, true);
         } else {
@@ -107,7 +239,27 @@
       }
     }
     refreshTitleState(term);
+    if (shouldAnnounce && getWindowState(term) !== previousState) announce(term);
+  };
+
+  const DOT_ACTIONS = { red: 'close', yellow: 'minimize', green: 'maximize' };
+
+  document.addEventListener('click', (e) => {
+    const btn = e.target.closest('.dot');
+    if (!btn) return;
+    const term = btn.closest('.terminal');
+    if (!term) return;
+
+    const color = Object.keys(DOT_ACTIONS).find(c => btn.classList.contains(c));
+    if (color) toggleWindow(term, DOT_ACTIONS[color]);
   });
+
+  window.__toggleWindow = (id, action, force, options) => {
+    const term = document.getElementById(id);
+    if (!term || !term.classList.contains('terminal')) return false;
+    toggleWindow(term, action, force, options);
+    return true;
+  };
 })();
 
 
@@ -159,41 +311,163 @@
     }, 450); // 450ms es una duración razonable para un scroll 'smooth'
   };
 
-  function openFocusScroll(id, forceAdjust = false) {
+  // --- ENRUTADOR ---
+  // Las rutas son `#ventana` o `#ventana/elemento`, donde el elemento es el id
+  // de un nodo dentro de la ventana (p. ej. `#experience/expTeaching`) o la
+  // posición, desde 1, de un elemento de su lista (`#projects/2`).
+
+  const HIGHLIGHT_DURATION = 2000;
+  const highlightTimers = new WeakMap();
+  let currentRoute = null;
+
+  /**
+   * Separa una ruta en ventana y elemento.
+   * @param {string} route - Ruta con o sin `#`.
+   * @returns {{id: string, item: string|null}}
+   */
+  const parseRoute = (route = '') => {
+    let path = route.replace(/^#/, '');
+    try {
+      path = decodeURIComponent(path);
+    } catch (e) {
+      // Se usa tal cual si no es una secuencia válida.
+    }
+    const [id, ...rest] = path.split('/');
+    return { id, item: rest.join('/') || null };
+  };
+
+  /**
+   * Busca la ventana de una ruta. Si no existe, emite `terminal-request` para
+   * que el script que la conoce la cree en ese momento (js/posts.js crea así
+   * la ventana de cada nota).
+   * @param {string} id - Id de la ventana.
+   * @returns {HTMLElement|null}
+   */
+  const getTerminal = (id) => {
+    if (!id) return null;
+    if (!document.getElementById(id)) {
+      document.dispatchEvent(new CustomEvent('terminal-request', { detail: { id } }));
+    }
     const term = document.getElementById(id);
-    if (!term) return;
+    return term && term.classList.contains('terminal') ? term : null;
+  };
+
+  const findItem = (term, item) => {
+    const byId = document.getElementById(item);
+    if (byId && term.contains(byId)) return byId;
+    if (/^\d+$/.test(item)) return term.querySelectorAll('.card > ul > li')[Number(item) - 1] || null;
+    return null;
+  };
+
+  const highlightItem = (element) => {
+    element.classList.remove('route-highlight');
+    void element.offsetWidth; // Reinicia la animación si ya estaba resaltado.
+    element.classList.add('route-highlight');
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    clearTimeout(highlightTimers.get(element));
+    highlightTimers.set(element, setTimeout(() => element.classList.remove('route-highlight'), HIGHLIGHT_DURATION));
+  };
+
+  /**
+   * Muestra una ruta sin tocar el historial: abre y enfoca la ventana y, si la
+   * ruta apunta a un elemento, lo desplaza a la vista y lo resalta.
+   * @param {string} route - Ruta a mostrar.
+   * @param {boolean} [forceAdjust] - Fuerza el ajuste del scroll.
+   * @param {{focus?: boolean, target?: Element}} [options] - `focus: false` deja
+   *   el foco donde está; `target` resalta un elemento de la ventana que no
+   *   tiene ruta propia (p. ej. una tarea dentro de una experiencia).
+   * @returns {boolean} `false` si la ruta no corresponde a ninguna ventana.
+   */
+  function showRoute(route, forceAdjust = false, { focus = true, target = null } = {}) {
+    const { id, item } = parseRoute(route);
+    const term = getTerminal(id);
+    if (!term) return false;
 
     focusTerminal(term);
+    currentRoute = item ? `${id}/${item}` : id;
+    // El foco pasa a la ventana; el scroll lo controla el enrutador.
+    if (focus) term.focus({ preventScroll: true });
 
-    const shouldAdjust = forceAdjust || IDs_TO_ADJUST_SCROLL.has(id);
-    if (shouldAdjust) {
-        scrollAdjusted(term, forceAdjust);
+    const element = (item && findItem(term, item)) || (target && term.contains(target) ? target : null);
+    if (element) {
+      // El elemento puede estar en una vista oculta (js/section-views.js) o
+      // fuera del filtro de proyectos (js/project-filter.js): que lo muestren.
+      document.dispatchEvent(new CustomEvent('route-reveal', { detail: { element } }));
+      highlightItem(element);
+    } else if (forceAdjust || IDs_TO_ADJUST_SCROLL.has(id)) {
+      scrollAdjusted(term, forceAdjust);
     }
+    return true;
+  }
 
+  /**
+   * Navega a una ruta y la añade al historial, de modo que Atrás vuelve a la
+   * ventana anterior.
+   * @param {string} route - Ruta de destino.
+   * @param {boolean} [forceAdjust] - Fuerza el ajuste del scroll.
+   * @param {{focus?: boolean}} [options] - Opciones de `showRoute`.
+   */
+  function navigate(route, forceAdjust = false, options = {}) {
+    const { id, item } = parseRoute(route);
+    if (!getTerminal(id)) return;
+    const hash = `#${item ? `${id}/${item}` : id}`;
     try {
-      history.replaceState(null, '', '#' + id);
+      if (location.hash !== hash) history.pushState({ route: hash.slice(1) }, '', hash);
     } catch (e) {
-      // Ignorar errores en entornos donde history.replaceState no esté permitido.
+      // Ignorar errores en entornos donde la History API no esté permitida.
       console.error("History API not supported or blocked.", e);
     }
+    showRoute(hash, forceAdjust, options);
+  }
+
+  function openFocusScroll(id, forceAdjust = false, options = {}) {
+    navigate(id, forceAdjust, options);
   }
 
   // Exponer funciones globalmente para que puedan ser llamadas desde otros scripts si es necesario.
   window.__scrollAdjusted = scrollAdjusted;
   window.__openFocusScroll = openFocusScroll;
+  window.__navigate = navigate;
 
   // --- MANEJADORES DE EVENTOS ---
 
-  // Clicks en los enlaces del índice
-  const indexEl = document.getElementById('sections');
-  if (indexEl) {
-    indexEl.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', (event) => {
-        event.preventDefault();
-        const targetId = anchor.getAttribute('href').slice(1);
-        openFocusScroll(targetId, true);
-      });
-    });
-  }
+  // Cualquier enlace interno a una ventana (índice, terminal, logotipo) usa el enrutador.
+  document.addEventListener('click', (event) => {
+    const anchor = event.target.closest('a[href^="#"]');
+    if (!anchor || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    const route = anchor.getAttribute('href');
+    if (!getTerminal(parseRoute(route).id)) return;
+    event.preventDefault();
+    navigate(route, true);
+  });
+
+  // Atrás/Adelante y los cambios manuales del hash. Las entradas sin hash
+  // guardan en su estado la ventana que estaba enfocada.
+  window.addEventListener('popstate', (event) => {
+    const route = location.hash ? location.hash.slice(1) : event.state?.route;
+    if (!route || route === currentRoute) return;
+    showRoute(route, true);
+  });
+
+  // La ruta inicial se aplica cuando ya corrieron todos los scripts diferidos,
+  // para que prevalezca sobre el estado que restaura desk-state.js.
+  document.addEventListener('DOMContentLoaded', () => {
+    if (location.hash && showRoute(location.hash, true)) {
+      const { item } = parseRoute(location.hash);
+      const root = document.documentElement;
+      // Si data-loader.js vuelve a renderizar el contenido en otro idioma, se resalta de nuevo.
+      if (item && root.getAttribute('data-prerendered') !== root.getAttribute('data-language')) {
+        document.addEventListener('cv-rendered', () => showRoute(location.hash, true), { once: true });
+      }
+      return;
+    }
+    const focused = document.querySelector('.terminal.maxwide');
+    try {
+      history.replaceState({ ...history.state, route: focused?.id || null }, '');
+    } catch (e) {
+      // Sin History API no hay ruta inicial que recordar.
+    }
+    currentRoute = focused?.id || null;
+  });
 
 })();
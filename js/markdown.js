@@ -0,0 +1,246 @@
+/**
+ * @file Markdown de las notas de posts/: front-matter y un subconjunto de
+ * Markdown (títulos, párrafos, listas, citas, bloques de código, reglas,
+ * enlaces, imágenes, código, negrita y cursiva). No admite HTML en bruto:
+ * todo el texto pasa por `escapeHtml` de cv-render.js y los enlaces e
+ * imágenes solo aceptan URL http(s), mailto o relativas.
+ * Funciona en el navegador (`window.__markdown`) y en Node (`require`), donde
+ * lo usa scripts/build-posts.js para las páginas estáticas y los feeds.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./cv-render.js'));
+  } else {
+    root.__markdown = factory(root.__cvRender);
+  }
+})(typeof self !== 'undefined' ? self : this, function(render) {
+  'use strict';
+
+  const { escapeHtml } = render;
+
+  const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+  const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+  const unquote = (value) => value.replace(/^(["'])(.*)\1$/, '$2');
+
+  /**
+   * Separa el front-matter de una nota. Solo entiende `clave: valor`, con
+   * valores entre comillas opcionales y listas en línea (`[a, b]`).
+   * @param {string} text - Contenido del archivo.
+   * @returns {{attributes: Object<string, string|string[]>, body: string}}
+   */
+  function parseFrontMatter(text) {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    const match = FRONT_MATTER_PATTERN.exec(source);
+    if (!match) return { attributes: {}, body: source };
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach(line => {
+      const entry = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line.trim());
+      if (!entry) return;
+      const value = entry[2].trim();
+      const list = /^\[(.*)\]$/.exec(value);
+      attributes[entry[1]] = list
+        ? list[1].split(',').map(item => unquote(item.trim())).filter(Boolean)
+        : unquote(value);
+    });
+    return { attributes, body: source.slice(match[0].length) };
+  }
+
+  /**
+   * Indica si una URL se puede enlazar: http(s), mailto o relativa. Se
+   * descartan los caracteres de control y espacios con los que se suele
+   * disfrazar un `javascript:`.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isSafeUrl(url) {
+    const compact = String(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    const scheme = /^([a-z][a-z\d+.-]*):/.exec(compact);
+    return !scheme || SAFE_PROTOCOLS.includes(`${scheme[1]}:`);
+  }
+
+  // --- EN LÍNEA ---
+
+  // Marcador de un fragmento ya convertido (ver `renderSpans`).
+  const SLOT_PATTERN = /\u0000(\d+)\u0000/g;
+  // Destino de un enlace o imagen: admite un nivel de paréntesis equilibrados,
+  // como en `https://es.wikipedia.org/wiki/Ecuación_(matemáticas)`.
+  const DESTINATION = '\\(\\s*((?:[^\\s()]|\\([^\\s()]*\\))+)\\s*\\)';
+  const IMAGE_PATTERN = new RegExp(`!\\[([^\\]]*)\\]${DESTINATION}`, 'g');
+  const LINK_PATTERN = new RegExp(`\\[([^\\]]+)\\]${DESTINATION}`, 'g');
+
+  /**
+   * Convierte el Markdown de una línea en HTML con marcadores. El código, las
+   * imágenes y los enlaces se apartan en `slots` antes de aplicar el resto,
+   * para que sus textos y URL no se interpreten como negrita o cursiva; el
+   * texto de un enlace se convierte con la misma tabla, porque puede traer
+   * marcadores de código o imágenes, y sin enlaces, que no se pueden anidar.
+   * @param {string} text
+   * @param {string[]} slots - HTML de cada marcador `\u0000N\u0000`.
+   * @param {boolean} [links] - Falso dentro del texto de un enlace.
+   * @returns {string}
+   */
+  function renderSpans(text, slots, links = true) {
+    const keep = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+    const result = text
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+      .replace(IMAGE_PATTERN, (match, alt, src) =>
+        (isSafeUrl(src) ? keep(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy" />`) : match))
+      .replace(LINK_PATTERN, (match, label, href) => {
+        if (!links || !isSafeUrl(href)) return label;
+        const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener"' : '';
+        return keep(`<a href="${escapeHtml(href)}"${external}>${renderSpans(label, slots, false)}</a>`);
+      })
+      .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, href) =>
+        (links ? keep(`<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${escapeHtml(href)}</a>`) : href));
+
+    return escapeHtml(result)
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/ {2,}\n/g, '<br />\n');
+  }
+
+  /**
+   * Convierte el Markdown de una línea en HTML. Los caracteres nulos del
+   * texto se cambian por U+FFFD, como en CommonMark, para que no se
+   * confundan con los marcadores.
+   * @param {string} text
+   * @returns {string}
+   */
+  function renderInline(text) {
+    const slots = [];
+    const resolve = (html) => html.replace(SLOT_PATTERN, (match, index) => resolve(slots[Number(index)]));
+    return resolve(renderSpans(String(text).replace(/\u0000/g, '\uFFFD'), slots));
+  }
+
+  // --- BLOQUES ---
+
+  const isBlank = (line) => !line.trim();
+  const FENCE_PATTERN = /^ {0,3}(```|~~~)\s*([\w+-]*)\s*$/;
+  const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+  const QUOTE_PATTERN = /^ {0,3}>\s?/;
+  const ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])\s+/;
+
+  const startsBlock = (line) =>
+    FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) || ITEM_PATTERN.test(line);
+
+  /**
+   * Convierte una lista de líneas en bloques HTML.
+   * @param {string[]} lines
+   * @param {number} headingOffset - Niveles que se suman a los títulos.
+   * @returns {string[]}
+   */
+  function renderBlocks(lines, headingOffset) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      const fence = FENCE_PATTERN.exec(line);
+      if (fence) {
+        const code = [];
+        for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) code.push(lines[i]);
+        i++;
+        const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+        blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = HEADING_PATTERN.exec(line);
+      if (heading) {
+        const level = Math.min(6, heading[1].length + headingOffset);
+        blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (RULE_PATTERN.test(line)) {
+        blocks.push('<hr />');
+        i++;
+        continue;
+      }
+
+      if (QUOTE_PATTERN.test(line)) {
+        const quoted = [];
+        for (; i < lines.length && !isBlank(lines[i]); i++) quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+        blocks.push(`<blockquote>\n${renderBlocks(quoted, headingOffset).join('\n')}\n</blockquote>`);
+        continue;
+      }
+
+      const item = ITEM_PATTERN.exec(line);
+      if (item) {
+        const ordered = /\d/.test(item[2]);
+        const items = [];
+        let loose = false;
+        while (i < lines.length) {
+          const marker = ITEM_PATTERN.exec(lines[i]);
+          if (!marker || /\d/.test(marker[2]) !== ordered) break;
+          const indent = marker[0].length;
+          const content = [lines[i].slice(indent)];
+          for (i++; i < lines.length; i++) {
+            if (isBlank(lines[i])) {
+              // Un hueco sigue dentro del elemento si la línea siguiente está sangrada.
+              if (i + 1 < lines.length && /^\s{2,}\S/.test(lines[i + 1])) {
+                loose = true;
+                content.push('');
+                continue;
+              }
+              break;
+            }
+            if (/^\s{2,}\S/.test(lines[i])) content.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+            else if (ITEM_PATTERN.test(lines[i]) || startsBlock(lines[i])) break;
+            else content.push(lines[i]);
+          }
+          items.push(content);
+          // Una línea en blanco entre elementos de la misma lista la vuelve holgada.
+          const next = i + 1 < lines.length && isBlank(lines[i]) && ITEM_PATTERN.exec(lines[i + 1]);
+          if (next && /\d/.test(next[2]) === ordered) {
+            loose = true;
+            i++;
+          }
+        }
+        const start = ordered && parseInt(item[2], 10) !== 1 ? ` start="${parseInt(item[2], 10)}"` : '';
+        const tag = ordered ? 'ol' : 'ul';
+        const itemsHtml = items.map(content => {
+          const html = renderBlocks(content, headingOffset).join('\n');
+          // En las listas compactas el texto va sin <p>.
+          return `<li>${loose ? html : html.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+        });
+        blocks.push(`<${tag}${start}>\n${itemsHtml.join('\n')}\n</${tag}>`);
+        continue;
+      }
+
+      const paragraph = [];
+      for (; i < lines.length && !isBlank(lines[i]) && (!paragraph.length || !startsBlock(lines[i])); i++) {
+        paragraph.push(lines[i].replace(/^\s+/, ''));
+      }
+      blocks.push(`<p>${renderInline(paragraph.join('\n').trimEnd())}</p>`);
+    }
+    return blocks;
+  }
+
+  /**
+   * Convierte Markdown en HTML seguro.
+   * @param {string} source
+   * @param {{headingOffset?: number}} [options] - `headingOffset` baja los
+   *   títulos de nivel (con 2, `#` es <h3>) para que queden por debajo del
+   *   título de la ventana o de la página.
+   * @returns {string}
+   */
+  function renderMarkdown(source, { headingOffset = 0 } = {}) {
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return renderBlocks(lines, headingOffset).join('\n');
+  }
+
+  return { parseFrontMatter, renderMarkdown, renderInline, isSafeUrl };
+});
@@ -0,0 +1,96 @@
+/**
+ * @file Menús desplegables de la barra de herramientas.
+ * Cualquier botón con `aria-haspopup="menu"` y `aria-controls` abre y cierra
+ * la lista indicada; se navega con las flechas, Inicio y Fin, y se cierra con
+ * Escape, al hacer clic fuera o al elegir una opción. Cada módulo escucha los
+ * clics de sus propias opciones.
+ */
+
+(function() {
+  'use strict';
+
+  const ITEM_SELECTOR = '[role="menuitem"], [role="menuitemradio"]';
+
+  const getItems = (list) => Array.from(list.querySelectorAll(ITEM_SELECTOR)).filter(item => !item.disabled);
+
+  const getList = (button) => document.getElementById(button.getAttribute('aria-controls'));
+
+  /**
+   * Abre o cierra el menú de un botón.
+   * @param {HTMLElement} button - Botón que controla el menú.
+   * @param {boolean} open - Estado deseado.
+   * @param {'first'|'last'|null} [focus] - Opción que recibe el foco al abrir.
+   */
+  const setMenu = (button, open, focus = null) => {
+    const list = getList(button);
+    if (!list) return;
+    list.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+    if (open && focus) {
+      const items = getItems(list);
+      items[focus === 'last' ? items.length - 1 : 0]?.focus();
+    }
+  };
+
+  const getOpenButtons = () => Array.from(document.querySelectorAll('[aria-haspopup="menu"][aria-expanded="true"]'));
+
+  const closeAll = (except = null) => {
+    getOpenButtons().filter(button => button !== except).forEach(button => setMenu(button, false));
+  };
+
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[aria-haspopup="menu"][aria-controls]');
+    if (button) {
+      closeAll(button);
+      setMenu(button, button.getAttribute('aria-expanded') !== 'true');
+      return;
+    }
+    // Elegir una opción o hacer clic fuera cierra los menús abiertos.
+    if (event.target.closest(ITEM_SELECTOR) || !event.target.closest('[role="menu"]')) {
+      closeAll();
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    const button = event.target.closest?.('[aria-haspopup="menu"][aria-controls]');
+    if (button && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+      event.preventDefault();
+      closeAll(button);
+      setMenu(button, true, event.key === 'ArrowDown' ? 'first' : 'last');
+      return;
+    }
+
+    const list = event.target.closest?.('[role="menu"]');
+    if (!list) return;
+    const owner = document.querySelector(`[aria-controls="${list.id}"]`);
+    const items = getItems(list);
+    const index = items.indexOf(event.target);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        items[(index + 1) % items.length]?.focus();
+        break;
+      case 'ArrowUp':
+        items[(index - 1 + items.length) % items.length]?.focus();
+        break;
+      case 'Home':
+        items[0]?.focus();
+        break;
+      case 'End':
+        items[items.length - 1]?.focus();
+        break;
+      case 'Escape':
+        if (owner) {
+          setMenu(owner, false);
+          owner.focus();
+        }
+        break;
+      case 'Tab':
+        if (owner) setMenu(owner, false);
+        return;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+})();
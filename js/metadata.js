@@ -0,0 +1,161 @@
+/**
+ * @file Metadatos de la página a partir de cv-data.json: el título, la
+ * descripción y el JSON-LD `Person` completo de schema.org (formación,
+ * credenciales, experiencia, habilidades, idiomas, perfiles y publicaciones).
+ * Son funciones puras que comparten data-loader.js, que las aplica en el
+ * navegador al cambiar de idioma, y scripts/prerender.js.
+ * scripts/check-jsonld.js comprueba el resultado contra jsonld.schema.json.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./languages.js'), require('./periods.js'), require('./publications-render.js'));
+  } else {
+    root.__metadata = factory(root.__languages, root.__periods, root.__publicationsRender);
+  }
+})(typeof self !== 'undefined' ? self : this, function(languages, periods, publicationsRender) {
+  'use strict';
+
+  const SCHEMA_CONTEXT = 'https://schema.org';
+
+  const localize = (value, language) => languages.localize(value, language);
+
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+
+  // Un texto por valor distinto, p. ej. la misma institución en dos experiencias.
+  const organizations = (names, type) => unique(names).map(name => ({ '@type': type, name }));
+
+  // Una sección se omite si la validación encontró errores en ella.
+  const isValid = (errors, key) => !errors.some(({ path }) => path === '(raíz)' || path === key || path.startsWith(`${key}.`));
+
+  /**
+   * Título y descripción de la página en un idioma. La descripción es texto
+   * de interfaz, así que no depende de los datos.
+   * @param {object|null} data - cv-data.json; sin datos, el título queda vacío.
+   * @param {object} copy - Textos del idioma (translations.js).
+   * @returns {{title: string, description: string}}
+   */
+  function getPageMetadata(data, copy) {
+    return {
+      title: data?.person?.name || '',
+      description: copy.metaDescription || ''
+    };
+  }
+
+  // --- FORMACIÓN ---
+
+  // Las titulaciones con un año (o un periodo cerrado) en `status` están terminadas.
+  const getGraduationYear = (item, language) => {
+    const period = periods.parsePeriod(localize(item.status, language));
+    return period && !periods.isOngoing(period) ? period.end : null;
+  };
+
+  const buildCredentials = (education, language) => education.items
+    .filter(item => getGraduationYear(item, language))
+    .map(item => ({
+      '@type': 'EducationalOccupationalCredential',
+      name: localize(item.degree, language),
+      credentialCategory: 'degree',
+      dateCreated: String(getGraduationYear(item, language)),
+      recognizedBy: { '@type': 'EducationalOrganization', name: localize(item.institution, language) }
+    }));
+
+  // --- EXPERIENCIA ---
+
+  // Años que abarca una experiencia, según los de sus tareas.
+  const getExperiencePeriod = (item) =>
+    periods.getBounds(item.tasks.map(task => periods.parsePeriod(task.year)).filter(Boolean));
+
+  /**
+   * Instituciones de las experiencias actuales: las que siguen en curso o
+   * llegan al año más reciente de los datos, para que el resultado no dependa
+   * de la fecha en que se genera la página.
+   */
+  const getCurrentInstitutions = (experience, language) => {
+    const spans = experience.items.map(item => ({ item, period: getExperiencePeriod(item) }));
+    const ongoing = experience.items.filter(item => item.tasks.some(task => periods.isOngoing(periods.parsePeriod(task.year))));
+    const latest = Math.max(...spans.filter(({ period }) => period).map(({ period }) => period.end));
+    const current = ongoing.length ? ongoing : spans.filter(({ period }) => period && period.end === latest).map(({ item }) => item);
+    return (current.length ? current : experience.items.slice(0, 1)).map(item => localize(item.institution, language));
+  };
+
+  const buildOccupations = (experience, skills, language) => experience.items.map(item => {
+    const occupation = { '@type': 'Occupation', name: localize(item.rol, language) };
+    const used = skills.filter(skill => (skill.usedIn || []).includes(item.id)).map(skill => localize(skill.name, language));
+    if (used.length) occupation.skills = unique(used);
+    return occupation;
+  });
+
+  // --- HABILIDADES E IDIOMAS ---
+
+  const getSkills = (data) => (data.skills?.categories || []).flatMap(category => category.skills);
+
+  // Nombre de un idioma en el idioma de la página (`es` → "inglés" para `en`).
+  const getLanguageName = (code, language) => {
+    try {
+      return new Intl.DisplayNames([language], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  };
+
+  const buildLanguages = (skills, language) => skills
+    .filter(skill => skill.language)
+    .map(skill => ({ '@type': 'Language', name: getLanguageName(skill.language, language), alternateName: skill.language }));
+
+  // --- PERSONA ---
+
+  /**
+   * Construye el JSON-LD `Person` de la página en un idioma. Las secciones
+   * con errores de validación se dejan fuera; las publicaciones van como
+   * obras de las que la persona es autora (`@reverse.author`), de modo que
+   * la persona sigue siendo el nodo principal.
+   * @param {object} data - cv-data.json (al menos `person` válido).
+   * @param {string} language - Idioma de la página.
+   * @param {{description?: string, publications?: object[], errors?: {path: string}[]}} [options]
+   *   `publications` son las entradas de publications.bib (`bibtex.parseBibtex`)
+   *   y `errors`, los de `validateCv`.
+   * @returns {object}
+   */
+  function buildPersonSchema(data, language, { description = '', publications = [], errors = [] } = {}) {
+    const { person } = data;
+    const schema = {
+      '@context': SCHEMA_CONTEXT,
+      '@type': 'Person',
+      '@id': `${person.url}#person`,
+      name: person.name
+    };
+    const alternateNames = unique([person.alternateName, ...(person.aliases || [])]);
+    if (alternateNames.length) schema.alternateName = alternateNames;
+    schema.url = person.url;
+    if (person.image) schema.image = person.image;
+    if (description) schema.description = description;
+    schema.jobTitle = localize(person.jobTitle, language).split(/\s+·\s+/);
+
+    if (data.education && isValid(errors, 'education')) {
+      schema.alumniOf = organizations(data.education.items.map(item => localize(item.institution, language)), 'EducationalOrganization');
+      const credentials = buildCredentials(data.education, language);
+      if (credentials.length) schema.hasCredential = credentials;
+    }
+
+    const skills = data.skills && isValid(errors, 'skills') ? getSkills(data) : [];
+    if (data.experience?.items.length && isValid(errors, 'experience')) {
+      schema.worksFor = organizations(getCurrentInstitutions(data.experience, language), 'Organization');
+      schema.hasOccupation = buildOccupations(data.experience, skills, language);
+    }
+
+    const spoken = buildLanguages(skills, language);
+    if (spoken.length) schema.knowsLanguage = spoken;
+    const topics = unique(skills.filter(skill => !skill.language).map(skill => localize(skill.name, language)));
+    if (topics.length) schema.knowsAbout = topics;
+
+    const links = data.links && isValid(errors, 'links') ? data.links.items.map(link => link.url) : [];
+    const sameAs = unique([...(person.sameAs || []), ...links]);
+    if (sameAs.length) schema.sameAs = sameAs;
+
+    if (publications.length) schema['@reverse'] = { author: publications.map(publicationsRender.toCreativeWork) };
+    return schema;
+  }
+
+  return { getPageMetadata, buildPersonSchema };
+});
@@ -0,0 +1,40 @@
+/**
+ * @file Registra el service worker (sw.js) y muestra el indicador "sin
+ * conexión" de la barra de herramientas mientras el navegador no tenga red.
+ * Cuando el service worker recibe una versión nueva de los datos del CV,
+ * avisa con `{ type: 'data-updated', url }`; aquí se reenvía como el evento
+ * `cv-data-updated` del documento, que data-loader.js usa para volver a
+ * renderizar el CV.
+ */
+
+(function() {
+  'use strict';
+
+  const SCRIPT_URL = document.currentScript?.src || location.href;
+  const SW_URL = new URL('../sw.js', SCRIPT_URL).href;
+
+  const status = document.getElementById('offlineStatus');
+
+  const updateStatus = () => {
+    if (status) status.hidden = navigator.onLine !== false;
+  };
+
+  window.addEventListener('online', updateStatus);
+  window.addEventListener('offline', updateStatus);
+  updateStatus();
+
+  // Los service workers solo funcionan en https o localhost.
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type !== 'data-updated') return;
+    document.dispatchEvent(new CustomEvent('cv-data-updated', { detail: { url: event.data.url } }));
+  });
+
+  // Se registra al terminar la carga para no competir con la página por la red.
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SW_URL).catch(error => {
+      console.warn('No se pudo registrar el service worker; el sitio no funcionará sin conexión.', error);
+    });
+  });
+})();
@@ -0,0 +1,257 @@
+/**
+ * @file Selector de paleta de la barra de herramientas.
+ * Lista las paletas del esquema en pantalla con sus colores, más "Aleatoria",
+ * la elección del esquema (automático, claro u oscuro) y una opción para
+ * probar una paleta propia pegando su JSON. Al pasar el puntero o
+ * el foco por una opción la paleta se previsualiza; si se cierra el menú sin
+ * elegir, vuelve la que estaba. La apertura y el teclado los gestiona menu.js.
+ */
+
+(function() {
+  'use strict';
+
+  const palettes = window.__palettes;
+  const list = document.getElementById('paletteOptions');
+  if (!palettes || !list) return;
+
+  const dialog = document.getElementById('paletteDialog');
+  const form = dialog?.querySelector('form');
+  const textarea = document.getElementById('paletteJson');
+  const errorBox = document.getElementById('paletteError');
+  const removeButton = document.getElementById('removePalette');
+  const cancelButton = document.getElementById('cancelPalette');
+
+  const SCRIPT_URL = document.currentScript?.src || location.href;
+  const SCHEMA_URL = new URL('../palettes.schema.json', SCRIPT_URL).href;
+
+  // Los mismos colores que `.fetch-palette` en la ventana "about".
+  const SWATCH_COLORS = ['red', 'orange', 'yellow', 'green', 'cyan', 'blue', 'magenta'];
+
+  const getCopy = () => window.__getCopy?.().palettePicker || {};
+
+  const fillTemplate = (template = '', values = {}) =>
+    String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  // Paleta aplicada de verdad; la previsualización vuelve a ella.
+  let applied = document.documentElement.getAttribute('data-palette');
+
+  const endPreview = () => {
+    if (document.documentElement.getAttribute('data-palette') !== applied) {
+      document.documentElement.setAttribute('data-palette', applied);
+    }
+  };
+
+  // Previsualiza la paleta de la opción; "Aleatoria" y el resto muestran la aplicada.
+  const preview = (target) => {
+    const id = target.closest('[data-palette-id]')?.dataset.paletteId;
+    if (id && palettes.has(id)) document.documentElement.setAttribute('data-palette', id);
+    else endPreview();
+  };
+
+  const getScheme = () => document.documentElement.getAttribute('data-theme') || 'dark';
+
+  const isRandom = () => palettes.getPreference(getScheme()) === palettes.RANDOM;
+
+  const THEME_OPTIONS = ['auto', 'light', 'dark'];
+
+  // --- MENÚ ---
+
+  const createItem = (role, label, attributes = {}) => {
+    const item = document.createElement('li');
+    item.setAttribute('role', 'none');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('role', role);
+    Object.entries(attributes).forEach(([name, value]) => button.setAttribute(name, value));
+    const name = document.createElement('span');
+    name.className = 'palette-name';
+    name.textContent = label;
+    button.appendChild(name);
+    item.appendChild(button);
+    return { item, button };
+  };
+
+  const createSwatches = ({ colors }) => {
+    const swatches = document.createElement('span');
+    swatches.className = 'palette-swatches';
+    swatches.setAttribute('aria-hidden', 'true');
+    swatches.style.background = colors.bg;
+    SWATCH_COLORS.forEach(key => {
+      const swatch = document.createElement('span');
+      swatch.style.background = colors[key];
+      swatches.appendChild(swatch);
+    });
+    return swatches;
+  };
+
+  const createSeparator = () => {
+    const separator = document.createElement('li');
+    separator.setAttribute('role', 'separator');
+    return separator;
+  };
+
+  const renderMenu = () => {
+    const copy = getCopy();
+    const random = isRandom();
+    const themePreference = window.__getTheme?.().preference || 'auto';
+    list.innerHTML = '';
+
+    palettes.list(getScheme()).forEach(palette => {
+      const name = palette.name || palette.id;
+      const label = palette.custom ? fillTemplate(copy.customName, { name }) : name;
+      const { item, button } = createItem('menuitemradio', label, {
+        'aria-checked': String(!random && palette.id === applied),
+        'data-palette-id': palette.id
+      });
+      button.prepend(createSwatches(palette));
+      list.appendChild(item);
+    });
+
+    list.appendChild(createItem('menuitemradio', copy.random, {
+      'aria-checked': String(random),
+      'data-palette-id': palettes.RANDOM
+    }).item);
+
+    list.appendChild(createSeparator());
+    THEME_OPTIONS.forEach(option => {
+      list.appendChild(createItem('menuitemradio', copy.themes?.[option] || option, {
+        'aria-checked': String(option === themePreference),
+        'data-theme-option': option
+      }).item);
+    });
+
+    if (dialog) {
+      list.appendChild(createSeparator());
+      list.appendChild(createItem('menuitem', copy.custom, { 'data-palette-action': 'custom' }).item);
+    }
+  };
+
+  list.addEventListener('pointerover', (event) => preview(event.target));
+  list.addEventListener('focusin', (event) => preview(event.target));
+  list.addEventListener('pointerleave', endPreview);
+
+  list.addEventListener('click', (event) => {
+    const option = event.target.closest('[data-palette-id], [data-palette-action], [data-theme-option]');
+    if (!option) return;
+    if (option.dataset.themeOption) {
+      window.__setTheme?.(option.dataset.themeOption);
+      return;
+    }
+    if (option.dataset.paletteAction === 'custom') {
+      endPreview();
+      openDialog();
+      return;
+    }
+    window.__setPalette?.(option.dataset.paletteId);
+    // Con "Aleatoria" la paleta puede no cambiar, pero la marca sí.
+    renderMenu();
+  });
+
+  // menu.js oculta la lista al cerrar; si no se eligió nada, se deshace la previsualización.
+  new MutationObserver(() => {
+    if (list.hidden) endPreview();
+  }).observe(list, { attributes: true, attributeFilter: ['hidden'] });
+
+  // --- PALETA PERSONALIZADA ---
+
+  let schemaPromise = null;
+
+  /**
+   * Carga la definición de una paleta de palettes.schema.json. Si no está
+   * disponible se sigue adelante: palettes.js descarta los colores no válidos.
+   * @returns {Promise<object|null>}
+   */
+  const loadPaletteSchema = () => {
+    schemaPromise = schemaPromise || fetch(SCHEMA_URL, { cache: 'force-cache' })
+      .then(response => {
+        if (!response.ok) throw new Error(response.statusText);
+        return response.json();
+      })
+      .then(schema => ({ $ref: '#/definitions/palette', definitions: schema.definitions }))
+      .catch(error => {
+        console.warn('No se pudo cargar el esquema de las paletas; se omite la validación.', error);
+        return null;
+      });
+    return schemaPromise;
+  };
+
+  const showError = (message) => {
+    errorBox.textContent = message;
+    errorBox.hidden = !message;
+  };
+
+  // Sin <dialog> nativo, se muestra con el atributo `open`.
+  function openDialog() {
+    const current = palettes.get(applied);
+    const { custom, ...definition } = current || {};
+    textarea.value = current ? JSON.stringify(definition, null, 2) : '';
+    removeButton.hidden = !current?.custom;
+    showError('');
+    if (typeof dialog.showModal === 'function') dialog.showModal();
+    else dialog.setAttribute('open', '');
+    textarea.focus();
+    textarea.select();
+    loadPaletteSchema();
+  }
+
+  const closeDialog = () => {
+    if (typeof dialog.close === 'function') dialog.close();
+    else dialog.removeAttribute('open');
+    document.getElementById('togglePalette')?.focus();
+  };
+
+  /**
+   * Lee y valida el JSON del cuadro de texto.
+   * @returns {Promise<object|null>} La paleta, o null si no es válida.
+   */
+  const readPalette = async () => {
+    const copy = getCopy();
+    let palette;
+    try {
+      palette = JSON.parse(textarea.value);
+    } catch (error) {
+      showError(fillTemplate(copy.invalidJson, { message: error.message }));
+      return null;
+    }
+
+    const schema = await loadPaletteSchema();
+    const errors = schema && window.__cvValidator ? window.__cvValidator.validate(palette, schema) : [];
+    if (errors.length || typeof palette?.id !== 'string' || typeof palette.colors !== 'object') {
+      showError([copy.invalid, ...errors.map(({ path, message }) => `${path || '/'}: ${message}`)].join('\n'));
+      return null;
+    }
+    return palette;
+  };
+
+  form?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const palette = await readPalette();
+    if (!palette) return;
+    palettes.addCustom(palette);
+    window.__setPalette?.(palette.id);
+    closeDialog();
+  });
+
+  cancelButton?.addEventListener('click', closeDialog);
+
+  removeButton?.addEventListener('click', () => {
+    palettes.removeCustom(applied);
+    // Si la quitada reemplazaba a una del sitio, esa vuelve a estar disponible.
+    window.__setPalette?.(palettes.has(applied) ? applied : palettes.getDefault(getScheme()));
+    closeDialog();
+  });
+
+  // Escape en el <dialog> nativo ya lo cierra; este es para el respaldo.
+  dialog?.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && typeof dialog.showModal !== 'function') closeDialog();
+  });
+
+  document.addEventListener('site-palette-change', (event) => {
+    applied = event.detail.palette;
+    renderMenu();
+  });
+  document.addEventListener('site-theme-change', renderMenu);
+  document.addEventListener('site-language-change', renderMenu);
+
+  renderMenu();
+})();
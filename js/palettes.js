@@ -0,0 +1,198 @@
+/**
+ * @file Registro de paletas de colores.
+ * palettes.json es la única definición: scripts/prerender.js la incrusta en
+ * `<script id="palette-data">` y este módulo genera a partir de ella las
+ * variables CSS de cada `[data-palette]`. Cada paleta es clara u oscura
+ * (`scheme`); el esquema en pantalla sigue a `prefers-color-scheme` salvo que
+ * se elija uno a mano. También guarda las paletas personalizadas, el esquema
+ * elegido y la paleta elegida para cada esquema (un id o "random").
+ * En el navegador se carga sin `defer` en <head>, para aplicar la paleta antes
+ * del primer pintado, y expone el registro en `window.__palettes`; en Node
+ * exporta las funciones puras.
+ */
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__palettes = api.createRegistry(root.document);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const RANDOM = 'random';
+  const SCHEMES = ['dark', 'light'];
+  const DEFAULT_SCHEME = 'dark';
+  // La clave de la paleta oscura es la de antes de que hubiera paletas claras.
+  const PREFERENCE_KEYS = { dark: 'site-palette', light: 'site-palette-light' };
+  const SCHEME_KEY = 'site-theme';
+  const CUSTOM_KEY = 'site-custom-palettes';
+
+  // Variables CSS que define cada paleta, con el valor por defecto de las opcionales.
+  const COLOR_DEFAULTS = {
+    'bg': null, 'panel': null, 'panel-2': 'var(--panel)', 'border': null, 'text': null, 'muted': null,
+    'red': null, 'orange': null, 'yellow': null, 'green': null, 'cyan': null, 'blue': null, 'magenta': null,
+    'selection': 'color-mix(in srgb, var(--cyan) 25%, transparent)', 'link': 'var(--cyan)'
+  };
+
+  // Mismo formato que `definitions.color` de palettes.schema.json. Se comprueba
+  // también aquí para que una paleta guardada nunca inyecte CSS arbitrario.
+  const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|(rgb|rgba|hsl|hsla)\([0-9.,%\s/+-]+\)|[a-z]+)$/;
+  const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+  const getScheme = (palette) => (SCHEMES.includes(palette?.scheme) ? palette.scheme : DEFAULT_SCHEME);
+
+  /**
+   * Genera el bloque CSS de una paleta.
+   * `color-scheme` ajusta los controles nativos y las barras de desplazamiento.
+   * @param {{id: string, colors: Object<string, string>}} palette
+   * @returns {string}
+   */
+  function toCss(palette) {
+    if (!ID_PATTERN.test(palette.id)) return '';
+    const declarations = Object.keys(COLOR_DEFAULTS).map(key => {
+      const value = palette.colors?.[key];
+      const safeValue = typeof value === 'string' && COLOR_PATTERN.test(value) ? value : COLOR_DEFAULTS[key];
+      return safeValue ? `  --${key}: ${safeValue};` : null;
+    }).filter(Boolean);
+    declarations.push(`  color-scheme: ${getScheme(palette)};`);
+    // `:root[...]` gana a los colores por defecto de `:root` en main.css.
+    return `:root[data-palette="${palette.id}"] {\n${declarations.join('\n')}\n}`;
+  }
+
+  const readStorage = (key) => {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const writeStorage = (key, value) => {
+    try {
+      if (value === null) localStorage.removeItem(key);
+      else localStorage.setItem(key, value);
+    } catch (error) {
+      // Sin almacenamiento, la elección dura hasta recargar.
+    }
+  };
+
+  /**
+   * Crea el registro del navegador a partir de los datos incrustados en la página.
+   * @param {Document} doc
+   * @returns {object}
+   */
+  function createRegistry(doc) {
+    let definition = { default: { dark: 'one-dark', light: 'one-light' }, palettes: [] };
+    try {
+      definition = JSON.parse(doc.getElementById('palette-data').textContent);
+    } catch (error) {
+      console.error('No se pudieron leer las paletas de la página:', error);
+    }
+
+    let custom = [];
+    try {
+      custom = JSON.parse(readStorage(CUSTOM_KEY) || '[]').filter(palette => ID_PATTERN.test(palette?.id));
+    } catch (error) {
+      custom = [];
+    }
+
+    const style = doc.createElement('style');
+    style.id = 'palette-styles';
+    doc.head.appendChild(style);
+
+    /**
+     * Lista las paletas, todas o solo las de un esquema.
+     * @param {'dark'|'light'} [scheme]
+     * @returns {object[]}
+     */
+    const list = (scheme) => {
+      const byId = new Map();
+      definition.palettes.forEach(palette => byId.set(palette.id, { ...palette, scheme: getScheme(palette), custom: false }));
+      // Una personalizada con el mismo id que una del sitio la reemplaza.
+      custom.forEach(palette => byId.set(palette.id, { ...palette, scheme: getScheme(palette), custom: true }));
+      const palettes = Array.from(byId.values());
+      return scheme ? palettes.filter(palette => palette.scheme === scheme) : palettes;
+    };
+
+    const render = () => {
+      style.textContent = list().map(toCss).join('\n');
+    };
+
+    const get = (id) => list().find(palette => palette.id === id) || null;
+
+    const random = (scheme) => {
+      const palettes = list(scheme);
+      return palettes[Math.floor(Math.random() * palettes.length)]?.id || definition.default[scheme];
+    };
+
+    const prefersLight = doc.defaultView?.matchMedia?.('(prefers-color-scheme: light)');
+
+    render();
+
+    return {
+      RANDOM,
+      SCHEMES,
+      getDefault: (scheme = DEFAULT_SCHEME) => definition.default[scheme],
+      list,
+      get,
+      has: (id) => Boolean(get(id)),
+
+      /**
+       * Convierte una preferencia en un id de paleta del esquema: "random" da
+       * una al azar y una preferencia vacía o un id desconocido o de otro
+       * esquema, la paleta por defecto del esquema.
+       * @param {string|null} preference
+       * @param {'dark'|'light'} [scheme]
+       * @returns {string}
+       */
+      resolve: (preference, scheme = DEFAULT_SCHEME) => {
+        if (preference === RANDOM) return random(scheme);
+        return get(preference)?.scheme === scheme ? preference : definition.default[scheme];
+      },
+
+      getPreference: (scheme = DEFAULT_SCHEME) => readStorage(PREFERENCE_KEYS[scheme]),
+      setPreference: (preference, scheme = DEFAULT_SCHEME) => writeStorage(PREFERENCE_KEYS[scheme], preference),
+
+      /**
+       * Esquema elegido a mano, o null para seguir al sistema.
+       * @returns {'dark'|'light'|null}
+       */
+      getSchemePreference: () => {
+        const preference = readStorage(SCHEME_KEY);
+        return SCHEMES.includes(preference) ? preference : null;
+      },
+      setSchemePreference: (preference) => writeStorage(SCHEME_KEY, SCHEMES.includes(preference) ? preference : null),
+
+      /**
+       * Esquema que toca mostrar: el elegido o, sin elección, el del sistema.
+       * @param {'dark'|'light'|null} preference
+       * @returns {'dark'|'light'}
+       */
+      resolveScheme: (preference) =>
+        (SCHEMES.includes(preference) ? preference : prefersLight?.matches ? 'light' : 'dark'),
+
+      // main.js sigue los cambios del sistema mientras no haya un esquema elegido.
+      onSystemSchemeChange: (callback) => prefersLight?.addEventListener?.('change', callback),
+
+      /**
+       * Añade (o reemplaza) una paleta personalizada ya validada y la guarda.
+       * @param {object} palette
+       */
+      addCustom(palette) {
+        custom = [...custom.filter(other => other.id !== palette.id), palette];
+        writeStorage(CUSTOM_KEY, JSON.stringify(custom));
+        render();
+      },
+
+      removeCustom(id) {
+        custom = custom.filter(palette => palette.id !== id);
+        writeStorage(CUSTOM_KEY, custom.length ? JSON.stringify(custom) : null);
+        render();
+      }
+    };
+  }
+
+  return { RANDOM, SCHEMES, COLOR_DEFAULTS, toCss, createRegistry };
+});
@@ -0,0 +1,86 @@
+/**
+ * @file Periodos de cv-data.json: un año (`2024`), un intervalo
+ * (`2020-2021`) o un intervalo abierto, todavía en curso (`2024-`).
+ * De aquí salen el orden y la agrupación por años de la cronología, la
+ * detección de lo que sigue en curso y los rangos de las exportaciones.
+ * Funciona en el navegador (`window.__periods`) y en Node (`require`).
+ */
+
+(function(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__periods = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const PERIOD_PATTERN = /^(\d{4})(?:\s*[-–]\s*(\d{4})?)?$/;
+
+  /**
+   * Convierte un texto en periodo.
+   * @param {string} value - p. ej. `2024`, `2020-2021` o `2024-`.
+   * @returns {{start: number, end: number|null}|null} `end` es null si sigue
+   *   en curso; null si el texto no es un periodo (p. ej. "Mención meritoria")
+   *   o termina antes de empezar.
+   */
+  function parsePeriod(value) {
+    const match = PERIOD_PATTERN.exec(String(value ?? '').trim());
+    if (!match) return null;
+    const start = Number(match[1]);
+    if (match[2] === undefined) return { start, end: /[-–]$/.test(match[0]) ? null : start };
+    const end = Number(match[2]);
+    return end < start ? null : { start, end };
+  }
+
+  const isOngoing = (period) => Boolean(period) && period.end === null;
+
+  // Último año del periodo; los abiertos llegan hasta `fallback`.
+  const getEnd = (period, fallback = Infinity) => (period.end === null ? fallback : period.end);
+
+  /**
+   * Orden de más reciente a más antiguo: por año de inicio y, a igualdad, el
+   * que termina después (o sigue en curso) primero.
+   * @param {{start: number, end: number|null}} a
+   * @param {{start: number, end: number|null}} b
+   * @returns {number}
+   */
+  const comparePeriods = (a, b) => b.start - a.start || getEnd(b) - getEnd(a);
+
+  /**
+   * Años que abarcan varios periodos. Los abiertos llegan hasta el último
+   * año que aparece en los datos, de modo que el resultado no depende de la
+   * fecha en que se genera la página.
+   * @param {{start: number, end: number|null}[]} periods
+   * @returns {{start: number, end: number}|null}
+   */
+  function getBounds(periods) {
+    if (!periods.length) return null;
+    const start = Math.min(...periods.map(period => period.start));
+    const end = Math.max(...periods.map(period => getEnd(period, period.start)));
+    return { start, end };
+  }
+
+  /**
+   * Ordena elementos por su periodo y los agrupa por año de inicio. Los que
+   * no tienen periodo se descartan.
+   * @param {object[]} items
+   * @param {function(object): ({start: number, end: number|null}|null)} getPeriod
+   * @returns {{year: number, items: object[]}[]} Del año más reciente al más antiguo.
+   */
+  function groupByYear(items, getPeriod) {
+    return items
+      .map(item => ({ item, period: getPeriod(item) }))
+      .filter(({ period }) => period)
+      .sort((a, b) => comparePeriods(a.period, b.period))
+      .reduce((groups, { item, period }) => {
+        const last = groups[groups.length - 1];
+        if (last && last.year === period.start) last.items.push(item);
+        else groups.push({ year: period.start, items: [item] });
+        return groups;
+      }, []);
+  }
+
+  return { parsePeriod, isOngoing, getEnd, comparePeriods, getBounds, groupByYear };
+});
@@ -0,0 +1,91 @@
+/**
+ * @file Generadores del HTML de las notas de posts/: la lista de la ventana
+ * `posts/` y el contenido de cada nota. Como cv-render.js, son funciones puras
+ * que comparten js/posts.js en el navegador, scripts/prerender.js (la lista)
+ * y scripts/build-posts.js (las páginas estáticas de cada nota).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./cv-render.js'), require('./markdown.js'), require('./languages.js'));
+  } else {
+    root.__postsRender = factory(root.__cvRender, root.__markdown, root.__languages);
+  }
+})(typeof self !== 'undefined' ? self : this, function(render, markdown, languages) {
+  'use strict';
+
+  const { escapeHtml } = render;
+
+  // Los títulos de una nota (`#`) van por debajo del <h2> de su ventana.
+  const HEADING_OFFSET = 2;
+
+  // Las rutas salen desde la raíz del sitio para valer en todas las páginas de idioma.
+  const getPostUrl = (post) => `/posts/${post.slug}.html`;
+
+  /**
+   * Rutas de los feeds de un idioma, junto a su página (`/atom.xml`, `/en/atom.xml`).
+   * @param {string} language
+   * @returns {{atom: string, rss: string}}
+   */
+  const getFeedUrls = (language) => {
+    const base = `/${languages.getPagePath(language)}`;
+    return { atom: `${base}atom.xml`, rss: `${base}rss.xml` };
+  };
+
+  // Id de la ventana de una nota; js/posts.js la crea al abrirla.
+  const getWindowId = (post) => `post-${post.slug}`;
+
+  const generateMetaHtml = (post, language) => {
+    const date = `<time datetime="${escapeHtml(post.date)}">${escapeHtml(languages.formatDate(post.date, language))}</time>`;
+    const tags = (post.tags || []).map(tag => `<span class="post-tag">${escapeHtml(tag)}</span>`).join(' ');
+    return tags ? `${date} · ${tags}` : date;
+  };
+
+  /**
+   * Genera la lista de notas de la ventana `posts/`, de la más reciente a la
+   * más antigua. Las escritas en otro idioma llevan su código.
+   * @param {object[]} posts - Entradas de posts/index.json.
+   * @param {string} language - Idioma activo.
+   * @param {function(string): string} label - Texto de interfaz por clave de `posts`.
+   * @returns {string}
+   */
+  function generatePostListHtml(posts, language, label) {
+    const feeds = getFeedUrls(language);
+    const itemsHtml = posts.map(post => {
+      const other = post.language !== language ? ` <span class="badge post-language">${escapeHtml(post.language.toUpperCase())}</span>` : '';
+      return [
+        `  <li class="post-item" lang="${escapeHtml(post.language)}">`,
+        `    <a class="post-title" href="#${escapeHtml(getWindowId(post))}">${escapeHtml(post.title)}</a>${other}`,
+        `    <p class="post-meta">${generateMetaHtml(post, language)}</p>`,
+        ...(post.summary ? [`    <p class="post-summary">${escapeHtml(post.summary)}</p>`] : []),
+        '  </li>'
+      ].join('\n');
+    });
+    return [
+      `<h2 id="h-posts"># ${escapeHtml(label('title'))}</h2>`,
+      ...(posts.length ? ['<ul class="post-list">', ...itemsHtml, '</ul>'] : [`<p class="muted">${escapeHtml(label('empty'))}</p>`]),
+      `<p class="post-feeds">${escapeHtml(label('subscribe'))}: <a href="${feeds.atom}" type="application/atom+xml">Atom</a> · <a href="${feeds.rss}" type="application/rss+xml">RSS</a></p>`
+    ].join('\n');
+  }
+
+  /**
+   * Genera el contenido de una nota: título, fecha, etiquetas y cuerpo.
+   * @param {object} post - Entrada de posts/index.json.
+   * @param {string} body - Markdown de la nota, sin front-matter.
+   * @param {string} language - Idioma activo, para la fecha.
+   * @returns {string}
+   */
+  function generatePostHtml(post, body, language) {
+    return [
+      '<header class="post-header">',
+      `  <h2 id="${escapeHtml(getWindowId(post))}-title"># ${escapeHtml(post.title)}</h2>`,
+      `  <p class="post-meta">${generateMetaHtml(post, language)}</p>`,
+      '</header>',
+      `<div class="post-body" lang="${escapeHtml(post.language)}">`,
+      markdown.renderMarkdown(body, { headingOffset: HEADING_OFFSET }),
+      '</div>'
+    ].join('\n');
+  }
+
+  return { getPostUrl, getFeedUrls, getWindowId, generatePostListHtml, generatePostHtml };
+});
@@ -0,0 +1,152 @@
+/**
+ * @file Notas de posts/ en el escritorio.
+ * La lista de la ventana `posts/` sale de posts/index.json (la genera
+ * scripts/build-posts.js) y, en las páginas prerenderizadas, ya viene en el
+ * HTML. Cada nota se abre en su propia ventana, `#post-<slug>`, que se crea
+ * a partir de `#postWindowTemplate` cuando el enrutador de main.js la pide
+ * con `terminal-request`; el Markdown se descarga al abrirla. El HTML lo
+ * generan posts-render.js y markdown.js, los mismos que usan los scripts.
+ */
+
+(function() {
+  'use strict';
+
+  const postsRender = window.__postsRender;
+  const markdown = window.__markdown;
+  if (!postsRender || !markdown) return;
+
+  // Se resuelven respecto al script para que funcione desde cualquier ruta.
+  const SCRIPT_URL = document.currentScript?.src || location.href;
+  const INDEX_URL = new URL('../posts/index.json', SCRIPT_URL).href;
+  const WINDOW_PREFIX = 'post-';
+
+  const desk = document.getElementById('desk');
+  const template = document.getElementById('postWindowTemplate');
+
+  let posts = null;
+  // Markdown de cada nota ya descargada, por slug.
+  const bodies = new Map();
+
+  const getCurrentLanguage = () => document.documentElement.getAttribute('data-language');
+
+  const getCopy = () => window.__getCopy?.().posts || {};
+
+  const label = (key) => getCopy()[key] ?? '';
+
+  let indexPromise = null;
+
+  /**
+   * Carga la lista de notas una sola vez.
+   * @returns {Promise<object[]>}
+   */
+  const loadIndex = () => indexPromise || (indexPromise = fetch(INDEX_URL, { cache: 'no-cache' })
+    .then(response => {
+      if (!response.ok) throw new Error(response.statusText);
+      return response.json();
+    })
+    .then(index => {
+      posts = Array.isArray(index.posts) ? index.posts : [];
+      return posts;
+    }));
+
+  const findPost = (slug) => posts?.find(post => post.slug === slug) || null;
+
+  // --- LISTA ---
+
+  const renderList = () => {
+    const card = document.querySelector('#posts .card');
+    if (!card || !posts) return;
+    card.innerHTML = postsRender.generatePostListHtml(posts, getCurrentLanguage(), label);
+    document.dispatchEvent(new CustomEvent('posts-rendered'));
+  };
+
+  // --- VENTANAS DE NOTAS ---
+
+  const getSlug = (id) => (id.startsWith(WINDOW_PREFIX) ? id.slice(WINDOW_PREFIX.length) : null);
+
+  /**
+   * Rellena la ventana de una nota con su contenido, o con el aviso de carga
+   * o de error mientras no lo tiene.
+   * @param {HTMLElement} term - Ventana de la nota.
+   * @param {string} slug
+   */
+  const renderPost = (term, slug) => {
+    const article = term.querySelector('.post');
+    const post = findPost(slug);
+    const body = bodies.get(slug);
+    if (post && typeof body === 'string') {
+      article.innerHTML = postsRender.generatePostHtml(post, body, getCurrentLanguage());
+      article.setAttribute('aria-labelledby', `${postsRender.getWindowId(post)}-title`);
+      article.removeAttribute('aria-busy');
+      return;
+    }
+    const failed = body === null || (posts && !post);
+    const message = document.createElement('p');
+    message.className = 'muted';
+    message.textContent = label(failed ? 'loadError' : 'loading');
+    article.replaceChildren(message);
+    article.setAttribute('aria-busy', String(!failed));
+  };
+
+  const loadPost = async (term, slug) => {
+    try {
+      await loadIndex();
+      const post = findPost(slug);
+      if (!post) throw new Error(`No existe la nota ${slug}`);
+      const response = await fetch(new URL(`../${post.file}`, SCRIPT_URL).href, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(response.statusText);
+      bodies.set(slug, markdown.parseFrontMatter(await response.text()).body);
+    } catch (error) {
+      console.error('No se pudo cargar la nota:', error);
+      bodies.set(slug, null);
+    }
+    renderPost(term, slug);
+  };
+
+  /**
+   * Crea la ventana de una nota. Solo se crea para las notas de la lista,
+   * ya sea la cargada o la que trae el HTML prerenderizado.
+   * @param {string} slug
+   * @returns {HTMLElement|null}
+   */
+  const createPostWindow = (slug) => {
+    const id = `${WINDOW_PREFIX}${slug}`;
+    const listed = posts ? Boolean(findPost(slug)) : Boolean(document.querySelector(`#posts a[href="#${CSS.escape(id)}"]`));
+    if (!listed || !desk || !template) return null;
+
+    const term = template.content.firstElementChild.cloneNode(true);
+    const name = `posts/${slug}.md`;
+    term.id = id;
+    term.setAttribute('aria-label', name);
+    term.querySelector('.title').textContent = `osvo — ~/${name}`;
+    term.querySelector('.arg').textContent = name;
+    window.__translate?.(term);
+    desk.appendChild(term);
+    renderPost(term, slug);
+    document.dispatchEvent(new CustomEvent('terminal-added', { detail: { element: term } }));
+    loadPost(term, slug);
+    return term;
+  };
+
+  document.addEventListener('terminal-request', (event) => {
+    const slug = getSlug(event.detail.id);
+    if (slug) createPostWindow(slug);
+  });
+
+  // La lista y las notas abiertas cambian de idioma con el resto del CV.
+  document.addEventListener('site-language-change', () => {
+    renderList();
+    desk?.querySelectorAll(':scope > .post-window').forEach(term => renderPost(term, getSlug(term.id)));
+  });
+
+  // --- INICIO ---
+
+  loadIndex()
+    .then(() => {
+      // Una página prerenderizada en el idioma activo ya trae la lista.
+      if (document.documentElement.getAttribute('data-prerendered') !== getCurrentLanguage()) renderList();
+    })
+    .catch(error => {
+      console.error('No se pudo cargar la lista de notas:', error);
+    });
+})();
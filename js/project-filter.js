@@ -0,0 +1,61 @@
+/**
+ * @file Filtro de las tarjetas de proyectos por etiqueta.
+ * cv-render.js genera los botones (`data-tag`) ocultos; aquí se muestran y se
+ * ocultan las tarjetas que no llevan la etiqueta elegida. El filtro se
+ * mantiene al volver a renderizar el CV mientras la etiqueta exista en el
+ * nuevo idioma; si no, se vuelve a mostrar todo.
+ */
+
+(function() {
+  'use strict';
+
+  // Etiqueta elegida; la cadena vacía muestra todos los proyectos.
+  let selected = '';
+
+  const getCard = () => document.querySelector('#projects .card');
+
+  const getTags = (item) => Array.from(item.querySelectorAll('.project-tag'), tag => tag.textContent);
+
+  /**
+   * Aplica la etiqueta elegida a los botones y a las tarjetas.
+   * @param {HTMLElement} card - `.card` de la ventana de proyectos.
+   */
+  const applyFilter = (card) => {
+    const filters = card.querySelector('.project-filters');
+    if (!filters) return;
+    const buttons = Array.from(filters.querySelectorAll('[data-tag]'));
+    if (!buttons.some(button => button.dataset.tag === selected)) selected = '';
+    filters.hidden = false;
+    buttons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.tag === selected));
+    });
+    card.querySelectorAll('.project-card').forEach(item => {
+      item.hidden = Boolean(selected) && !getTags(item).includes(selected);
+    });
+  };
+
+  const setFilter = (tag) => {
+    selected = tag;
+    const card = getCard();
+    if (card) applyFilter(card);
+  };
+
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('.project-filters [data-tag]');
+    if (button) setFilter(button.dataset.tag);
+  });
+
+  // Un proyecto enlazado (p. ej. desde una habilidad) que el filtro oculta
+  // se muestra quitando el filtro antes de que main.js lo resalte.
+  document.addEventListener('route-reveal', (event) => {
+    if (event.detail.element.closest('.project-card[hidden]')) setFilter('');
+  });
+
+  document.addEventListener('cv-rendered', () => {
+    const card = getCard();
+    if (card) applyFilter(card);
+  });
+
+  const card = getCard();
+  if (card) applyFilter(card);
+})();
@@ -0,0 +1,241 @@
+/**
+ * @file Generadores de la ventana `publications.bib` a partir de las entradas
+ * de publications.bib (ver bibtex.js): la lista agrupada por tipo y año, la
+ * referencia en estilo APA y las obras del JSON-LD. Como cv-render.js, son
+ * funciones puras que comparten data-loader.js, js/publications.js y
+ * scripts/prerender.js.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./cv-render.js'), require('./bibtex.js'));
+  } else {
+    root.__publicationsRender = factory(root.__cvRender, root.__bibtex);
+  }
+})(typeof self !== 'undefined' ? self : this, function(render, bibtex) {
+  'use strict';
+
+  const { escapeHtml } = render;
+  const { toPlainText, parseNames } = bibtex;
+
+  // Orden de los grupos; los tipos que no están aquí van a `misc`.
+  const TYPE_ORDER = ['article', 'inproceedings', 'incollection', 'book', 'phdthesis', 'mastersthesis', 'techreport', 'misc'];
+  const TYPE_ALIASES = { conference: 'inproceedings', inbook: 'incollection', unpublished: 'misc', online: 'misc' };
+
+  // Tipo de schema.org de cada grupo en el JSON-LD.
+  const SCHEMA_TYPES = { book: 'Book', phdthesis: 'Thesis', mastersthesis: 'Thesis' };
+
+  // APA lista hasta 20 autores; con más, los 19 primeros, “…” y el último.
+  const APA_MAX_AUTHORS = 20;
+
+  const getGroup = (entry) => {
+    const type = TYPE_ALIASES[entry.type] || entry.type;
+    return TYPE_ORDER.includes(type) ? type : 'misc';
+  };
+
+  const field = (entry, name) => toPlainText(entry.fields[name]);
+
+  // Id del elemento de la lista, usable en rutas (`#publications/pub-clave`).
+  const getPublicationId = (entry) => `pub-${entry.key.replace(/[^\w-]+/g, '-')}`;
+
+  /**
+   * Enlaces de una entrada: DOI, arXiv y la URL propia si no repite ninguno.
+   * @param {object} entry
+   * @returns {{type: 'doi'|'arxiv'|'url', href: string, text: string}[]}
+   */
+  function getLinks(entry) {
+    const links = [];
+    const doi = field(entry, 'doi').replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, '');
+    if (doi) links.push({ type: 'doi', href: `https://doi.org/${doi}`, text: doi });
+
+    const archive = (entry.fields.archiveprefix || entry.fields.eprinttype || '').toLowerCase();
+    const arxiv = entry.fields.arxiv || (archive === 'arxiv' ? entry.fields.eprint : '');
+    const arxivId = toPlainText(arxiv).replace(/^(?:arxiv:|https?:\/\/arxiv\.org\/abs\/)/i, '');
+    if (arxivId) links.push({ type: 'arxiv', href: `https://arxiv.org/abs/${arxivId}`, text: `arXiv:${arxivId}` });
+
+    const url = field(entry, 'url');
+    if (/^https?:\/\//i.test(url) && !links.some(link => link.href === url)) links.push({ type: 'url', href: url, text: url });
+    return links;
+  }
+
+  // --- APA ---
+
+  const initials = (first) => first
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(name => name.split('-').map(part => `${part[0]}.`).join('-'))
+    .join(' ');
+
+  const formatAuthor = ({ first, last }) => (first ? `${last}, ${initials(first)}` : last);
+
+  const formatAuthors = (names) => {
+    const others = names.some(name => name.others);
+    const authors = names.filter(name => !name.others).map(formatAuthor);
+    if (!authors.length) return '';
+    if (authors.length > APA_MAX_AUTHORS) {
+      return `${authors.slice(0, APA_MAX_AUTHORS - 1).join(', ')}, … ${authors[authors.length - 1]}`;
+    }
+    if (others) return `${authors.join(', ')}, et al.`;
+    if (authors.length === 1) return authors[0];
+    return `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}`;
+  };
+
+  // El punto final no se repite si el texto ya acaba en signo de puntuación.
+  const sentence = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+  /**
+   * Partes de la referencia APA de una entrada; las de `italic` van en cursiva.
+   * @param {object} entry
+   * @param {function(string): string} label - Texto de interfaz por clave de `publications`.
+   * @returns {{text: string, italic?: boolean}[]}
+   */
+  function getApaParts(entry, label) {
+    const group = getGroup(entry);
+    const links = getLinks(entry);
+    const parts = [];
+    const add = (text, italic = false) => {
+      if (text) parts.push(italic ? { text, italic } : { text });
+    };
+
+    const authors = formatAuthors(parseNames(entry.fields.author || entry.fields.editor));
+    const year = field(entry, 'year') || label('apa.noDate');
+    const title = field(entry, 'title');
+    const pages = field(entry, 'pages');
+    const publisher = field(entry, 'publisher') || field(entry, 'institution') || field(entry, 'organization');
+    const italicTitle = !['article', 'inproceedings', 'incollection'].includes(group);
+
+    // Sin autores, el título ocupa su lugar y la fecha va tras él: `addDate`
+    // se llama donde termina el título con lo que lo acompaña.
+    if (authors) add(`${sentence(authors)} (${year}). `);
+    const addDate = () => {
+      if (!authors) add(` (${year}).`);
+    };
+    add(italicTitle ? title : sentence(title), italicTitle);
+    if (!italicTitle) addDate();
+
+    if (group === 'article') {
+      const journal = field(entry, 'journal');
+      const volume = field(entry, 'volume');
+      const number = field(entry, 'number');
+      if (journal) {
+        add(' ');
+        add(volume ? `${journal}, ${volume}` : journal, true);
+        add(`${number ? `(${number})` : ''}${pages ? `, ${pages}` : ''}.`);
+      }
+    } else if (group === 'inproceedings' || group === 'incollection') {
+      const booktitle = field(entry, 'booktitle');
+      if (booktitle) {
+        add(` ${label('apa.in')} `);
+        add(booktitle, true);
+        add(`${pages ? ` (${label('apa.pages')} ${pages})` : ''}.`);
+      }
+      if (publisher) add(` ${sentence(publisher)}`);
+    } else if (group === 'phdthesis' || group === 'mastersthesis') {
+      const school = field(entry, 'school');
+      const kind = label(group === 'phdthesis' ? 'apa.phdThesis' : 'apa.mastersThesis');
+      add(` [${school ? `${kind}, ${school}` : kind}].`);
+      addDate();
+    } else {
+      const source = publisher || field(entry, 'howpublished') || (links.some(link => link.type === 'arxiv') ? 'arXiv' : '');
+      if (group === 'techreport' && field(entry, 'number')) add(` (${field(entry, 'number')})`);
+      add('.');
+      addDate();
+      if (source) add(` ${sentence(source)}`);
+    }
+
+    const link = links.find(item => item.type !== 'url') || links[0];
+    if (link) add(` ${link.href}`);
+    return parts;
+  }
+
+  /**
+   * Referencia APA de una entrada en texto plano, para copiarla.
+   * @param {object} entry
+   * @param {function(string): string} label - Texto de interfaz por clave de `publications`.
+   * @returns {string}
+   */
+  const formatApa = (entry, label) => getApaParts(entry, label).map(part => part.text).join('');
+
+  const formatApaHtml = (entry, label) => getApaParts(entry, label)
+    .map(({ text, italic }) => (italic ? `<i>${escapeHtml(text)}</i>` : escapeHtml(text)))
+    .join('');
+
+  // --- HTML ---
+
+  const generatePublicationHtml = (entry, label) => {
+    const links = getLinks(entry);
+    const linksHtml = links.map(link =>
+      `<a href="${escapeHtml(link.href)}" target="_blank" rel="noopener">${escapeHtml(label(`links.${link.type}`))}</a>`).join(' · ');
+    return [
+      `  <li id="${escapeHtml(getPublicationId(entry))}" class="publication">`,
+      `    <p class="publication-citation">${formatApaHtml(entry, label)}</p>`,
+      ...(linksHtml ? [`    <p class="publication-links">${linksHtml}</p>`] : []),
+      '    <div class="publication-actions" hidden>',
+      `      <button class="btn" type="button" data-copy="bibtex" data-key="${escapeHtml(entry.key)}">${escapeHtml(label('copyBibtex'))}</button>`,
+      `      <button class="btn" type="button" data-copy="apa" data-key="${escapeHtml(entry.key)}">${escapeHtml(label('copyApa'))}</button>`,
+      '    </div>',
+      '  </li>'
+    ].join('\n');
+  };
+
+  /**
+   * Genera la ventana de publicaciones: un grupo por tipo (en el orden de
+   * `TYPE_ORDER`) y, dentro, un bloque por año, del más reciente al más
+   * antiguo. Los botones de copiar van ocultos hasta que js/publications.js
+   * comprueba que el navegador puede usar el portapapeles.
+   * @param {object[]} entries - Entradas de `bibtex.parseBibtex`.
+   * @param {function(string): string} label - Texto de interfaz por clave de `publications`.
+   * @returns {string}
+   */
+  function generatePublicationsHtml(entries, label) {
+    const lines = [`<h2 id="h-pubs"># ${escapeHtml(label('title'))}</h2>`];
+    if (!entries.length) {
+      lines.push(`<p class="muted">${escapeHtml(label('empty'))}</p>`);
+      return lines.join('\n');
+    }
+    TYPE_ORDER.forEach(group => {
+      const items = entries.filter(entry => getGroup(entry) === group);
+      if (!items.length) return;
+      const years = [...new Set(items.map(entry => field(entry, 'year')))]
+        .sort((a, b) => (Number(b) || Infinity) - (Number(a) || Infinity));
+      lines.push(`<h3 class="publication-group">${escapeHtml(label(`types.${group}`))}</h3>`);
+      years.forEach(year => {
+        lines.push(
+          `<h4 class="publication-year">${escapeHtml(year || label('apa.noDate'))}</h4>`,
+          '<ul class="publication-list">',
+          ...items.filter(entry => field(entry, 'year') === year).map(entry => generatePublicationHtml(entry, label)),
+          '</ul>'
+        );
+      });
+    });
+    return lines.join('\n');
+  }
+
+  // --- JSON-LD ---
+
+  /**
+   * Obra de schema.org de una entrada, para el `@reverse.author` del JSON-LD
+   * de la persona (ver metadata.js).
+   * @param {object} entry - Entrada de `bibtex.parseBibtex`.
+   * @returns {object}
+   */
+  function toCreativeWork(entry) {
+    const links = getLinks(entry);
+    const doi = links.find(link => link.type === 'doi');
+    const container = field(entry, 'journal') || field(entry, 'booktitle');
+    const publisher = field(entry, 'publisher') || field(entry, 'school') || field(entry, 'institution');
+    const authors = parseNames(entry.fields.author).filter(name => !name.others)
+      .map(({ first, last }) => ({ '@type': 'Person', name: [first, last].filter(Boolean).join(' ') }));
+    const work = { '@type': SCHEMA_TYPES[getGroup(entry)] || 'ScholarlyArticle', headline: field(entry, 'title') };
+    if (authors.length) work.author = authors;
+    if (field(entry, 'year')) work.datePublished = field(entry, 'year');
+    if (container) work.isPartOf = { '@type': field(entry, 'journal') ? 'Periodical' : 'CreativeWork', name: container };
+    if (publisher) work.publisher = { '@type': 'Organization', name: publisher };
+    if (doi) work.identifier = { '@type': 'PropertyValue', propertyID: 'DOI', value: doi.text };
+    if (links.length) work.url = links[0].href;
+    if (links.length > 1) work.sameAs = links.slice(1).map(link => link.href);
+    return work;
+  }
+
+  return { TYPE_ORDER, getPublicationId, getLinks, formatApa, generatePublicationsHtml, toCreativeWork };
+});
@@ -0,0 +1,56 @@
+/**
+ * @file Botones "Copiar BibTeX" y "Copiar APA" de la ventana de publicaciones.
+ * publications-render.js los genera ocultos; aquí se muestran si el navegador
+ * permite escribir en el portapapeles. La entrada se toma de las que cargó
+ * data-loader.js (`window.__getPublications`) y se copia como BibTeX con las
+ * macros resueltas o como referencia APA en el idioma activo.
+ */
+
+(function() {
+  'use strict';
+
+  const bibtex = window.__bibtex;
+  const publicationsRender = window.__publicationsRender;
+  if (!bibtex || !publicationsRender || !navigator.clipboard?.writeText) return;
+
+  // Tiempo que el botón muestra el resultado antes de volver a su texto.
+  const FEEDBACK_DURATION = 2000;
+  const feedbackTimers = new WeakMap();
+
+  const getCopy = () => window.__getCopy?.() || {};
+
+  const label = (key) => window.__languages.lookup(getCopy(), `publications.${key}`,
+    document.documentElement.getAttribute('data-language')) ?? '';
+
+  const showActions = () => {
+    document.querySelectorAll('#publications .publication-actions').forEach(actions => {
+      actions.hidden = false;
+    });
+  };
+
+  const showFeedback = (button, text) => {
+    if (!feedbackTimers.has(button)) button.dataset.label = button.textContent;
+    button.textContent = text;
+    clearTimeout(feedbackTimers.get(button));
+    feedbackTimers.set(button, setTimeout(() => {
+      button.textContent = button.dataset.label;
+      feedbackTimers.delete(button);
+    }, FEEDBACK_DURATION));
+  };
+
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('#publications [data-copy]');
+    if (!button) return;
+    const entry = (window.__getPublications?.() || []).find(item => item.key === button.dataset.key);
+    if (!entry) return;
+    const text = button.dataset.copy === 'bibtex' ? bibtex.formatEntry(entry) : publicationsRender.formatApa(entry, label);
+    navigator.clipboard.writeText(text)
+      .then(() => showFeedback(button, label('copied')))
+      .catch(() => showFeedback(button, label('copyFailed')));
+  });
+
+  // data-loader.js vuelve a generar la lista, con los botones ocultos, al
+  // cambiar de idioma.
+  document.addEventListener('cv-rendered', showActions);
+  showActions();
+})();
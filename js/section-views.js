@@ -0,0 +1,100 @@
+/**
+ * @file Vistas alternativas de una ventana: la lista de habilidades por nivel
+ * o por categorías, y la experiencia como lista o como cronología.
+ * cv-render.js genera todas las vistas (`data-view-panel`) y sus botones
+ * (`data-view`) ocultos; aquí se muestran los botones y se aplica la vista
+ * elegida, también cuando el CV se vuelve a renderizar (por ejemplo, al
+ * cambiar de idioma). La elección de cada ventana se guarda en localStorage.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'section-views';
+  // Antes solo la ventana de habilidades tenía vistas y se guardaban aparte.
+  const LEGACY_SKILLS_KEY = 'skills-view';
+
+  const saveViews = (views) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+    } catch (error) {
+      // La vista cambia igualmente aunque no se pueda guardar.
+    }
+  };
+
+  /**
+   * Lee las vistas guardadas y pasa a ellas, una sola vez, la de la ventana
+   * de habilidades guardada con la clave antigua.
+   * @returns {Object<string, string>} Vista por id de ventana.
+   */
+  const readViews = () => {
+    let views = {};
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (stored && typeof stored === 'object') views = stored;
+      const legacy = localStorage.getItem(LEGACY_SKILLS_KEY);
+      if (legacy !== null) {
+        if (!views.skills) views.skills = legacy;
+        localStorage.removeItem(LEGACY_SKILLS_KEY);
+        saveViews(views);
+      }
+    } catch (error) {
+      // Sin almacenamiento (o con datos dañados) cada ventana empieza en su primera vista.
+    }
+    return views;
+  };
+
+  const views = readViews();
+
+  const getCard = (element) => element.closest('.terminal')?.querySelector('.card');
+
+  const getViews = (card) => Array.from(card.querySelectorAll('[data-view]'), button => button.dataset.view);
+
+  /**
+   * Muestra una vista de la ventana y oculta las demás. Una vista que ya no
+   * existe se cambia por la primera.
+   * @param {HTMLElement} card - `.card` de la ventana.
+   */
+  const applyView = (card) => {
+    const available = getViews(card);
+    if (!available.length) return;
+    const term = card.closest('.terminal');
+    const view = available.includes(views[term.id]) ? views[term.id] : available[0];
+    card.querySelector('.section-views')?.removeAttribute('hidden');
+    card.querySelectorAll('[data-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === view));
+    });
+    card.querySelectorAll('[data-view-panel]').forEach(panel => {
+      panel.hidden = panel.dataset.viewPanel !== view;
+    });
+  };
+
+  const applyAll = () => {
+    document.querySelectorAll('.terminal .card').forEach(card => {
+      if (card.querySelector('.section-views')) applyView(card);
+    });
+  };
+
+  const setView = (card, view, persist = true) => {
+    views[card.closest('.terminal').id] = view;
+    if (persist) saveViews(views);
+    applyView(card);
+  };
+
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('.section-views [data-view]');
+    const card = button && getCard(button);
+    if (card) setView(card, button.dataset.view);
+  });
+
+  // Cambia a la vista que contiene el elemento que va a resaltar el
+  // enrutador de main.js, si está oculta. No cambia la preferencia guardada.
+  document.addEventListener('route-reveal', (event) => {
+    const panel = event.detail.element.closest('[data-view-panel][hidden]');
+    const card = panel && getCard(panel);
+    if (card) setView(card, panel.dataset.viewPanel, false);
+  });
+
+  document.addEventListener('cv-rendered', applyAll);
+  applyAll();
+})();
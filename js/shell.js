@@ -0,0 +1,328 @@
+/**
+ * @file Terminal interactiva de la ventana `sections/`.
+ * Convierte el prompt decorativo en una línea de comandos real cuyos comandos
+ * (ls, cd, cat, open, close, min, max, theme, lang, share, reset, clear, help)
+ * llaman al gestor de ventanas, a las paletas de main.js, al cambio de idioma
+ * de i18n.js y al estado guardado de desk-state.js.
+ */
+
+(function() {
+  'use strict';
+
+  const shellWindow = document.getElementById('sections');
+  const screen = shellWindow?.querySelector('.screen');
+  if (!screen) return;
+
+  const getLanguages = () => (window.__languages?.list() || []).map(language => language.code);
+  // `theme` acepta también un esquema de colores; "auto" sigue al sistema.
+  const THEME_OPTIONS = ['light', 'dark', 'auto'];
+  const HISTORY_LIMIT = 50;
+  const ROOT_PATH = '~/';
+
+  const getCopy = () => window.__getCopy?.().shell || {};
+
+  const fillTemplate = (template = '', values = {}) =>
+    String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  // --- SECCIONES Y ARCHIVOS ---
+  // Las secciones se descubren a partir de los enlaces del índice, así que una
+  // ventana nueva queda disponible en la terminal con solo enlazarla allí.
+  const getSections = () =>
+    Array.from(screen.querySelectorAll('.card a[href^="#"]'))
+      .map(anchor => anchor.getAttribute('href').slice(1))
+      .filter(id => document.getElementById(id));
+
+  const getFileName = (id) => document.getElementById(id)?.getAttribute('aria-label') || `${id}/`;
+
+  const getFiles = () => getSections().map(getFileName).filter(name => !name.endsWith('/'));
+
+  const normalizePath = (arg = '') => arg.replace(/^~?\/?/, '').replace(/^\.\//, '').replace(/\/$/, '');
+
+  const resolveSection = (arg) => {
+    const name = normalizePath(arg);
+    return getSections().find(id => id === name || normalizePath(getFileName(id)) === name) || null;
+  };
+
+  // --- ESTADO ---
+  let cwd = null;
+  const history = [];
+  let historyIndex = 0;
+  let draft = '';
+
+  // --- DOM ---
+  const createPrompt = () => {
+    const prompt = document.createElement('span');
+    prompt.className = 'prompt';
+    prompt.innerHTML = '<span class="user">osvo</span>@<span class="host">cv</span>:<span class="path"></span>$';
+    prompt.querySelector('.path').textContent = cwd ? `${ROOT_PATH}${cwd}` : ROOT_PATH;
+    return prompt;
+  };
+
+  const output = document.createElement('div');
+  output.className = 'shell-output';
+  output.setAttribute('aria-live', 'polite');
+
+  const form = document.createElement('form');
+  form.className = 'line shell-form';
+  form.setAttribute('autocomplete', 'off');
+
+  const input = document.createElement('input');
+  input.className = 'shell-input';
+  input.type = 'text';
+  input.spellcheck = false;
+  input.setAttribute('autocapitalize', 'off');
+  input.setAttribute('autocomplete', 'off');
+
+  let inputPrompt = createPrompt();
+  form.append(inputPrompt, ' ', input);
+  screen.append(output, form);
+
+  const refreshPrompt = () => {
+    const prompt = createPrompt();
+    inputPrompt.replaceWith(prompt);
+    inputPrompt = prompt;
+  };
+
+  const refreshLabels = () => {
+    input.setAttribute('aria-label', getCopy().inputLabel || 'shell');
+  };
+
+  const print = (text, className = '') => {
+    const line = document.createElement('span');
+    line.className = `line ${className}`.trim();
+    line.textContent = text;
+    output.appendChild(line);
+    return line;
+  };
+
+  const printError = (key, values) => print(fillTemplate(getCopy()[key], values), 'shell-error');
+
+  const printUsage = (usage) => printError('usage', { usage });
+
+  const printSectionLinks = (ids) => {
+    const line = print('');
+    ids.forEach((id, index) => {
+      const anchor = document.createElement('a');
+      anchor.href = `#${id}`;
+      anchor.textContent = `${id}/`;
+      if (index > 0) line.append('  ');
+      line.appendChild(anchor);
+    });
+  };
+
+  const echo = (commandLine) => {
+    const line = document.createElement('span');
+    line.className = 'line';
+    const command = document.createElement('span');
+    command.className = 'cmd';
+    command.textContent = commandLine;
+    line.append(createPrompt(), ' ', command);
+    output.appendChild(line);
+  };
+
+  // --- COMANDOS ---
+  // El foco se queda en la línea de comandos para seguir escribiendo.
+  const open = (id) => window.__openFocusScroll?.(id, true, { focus: false });
+
+  const windowCommand = (action, usage) => (args) => {
+    const target = args[0] ? resolveSection(args[0]) : cwd;
+    if (!args[0] && !cwd) return printUsage(usage);
+    if (!target) return printError('noSuchSection', { name: args[0] });
+    window.__toggleWindow?.(target, action, true);
+  };
+
+  const commands = {
+    ls(args) {
+      if (!args[0]) {
+        if (cwd) return print(getFileName(cwd), 'file');
+        return printSectionLinks(getSections());
+      }
+      const target = resolveSection(args[0]);
+      if (!target) return printError('noSuchSection', { name: args[0] });
+      print(getFileName(target), 'file');
+    },
+
+    cd(args) {
+      const arg = args[0];
+      if (!arg || arg === '~' || arg === '..' || arg === '/' || arg === ROOT_PATH) {
+        cwd = null;
+        open('sections');
+        return;
+      }
+      const target = resolveSection(arg);
+      if (!target) return printError('noSuchSection', { name: arg });
+      cwd = target === 'sections' ? null : target;
+      open(target);
+    },
+
+    cat(args) {
+      if (!args[0]) return printUsage('cat <file>');
+      const target = resolveSection(args[0]);
+      if (!target) return printError('noSuchFile', { name: args[0] });
+      open(target);
+    },
+
+    open(args) {
+      const target = args[0] ? resolveSection(args[0]) : cwd;
+      if (!args[0] && !cwd) return printUsage('open <section>');
+      if (!target) return printError('noSuchSection', { name: args[0] });
+      open(target);
+    },
+
+    close: windowCommand('close', 'close <section>'),
+    min: windowCommand('minimize', 'min <section>'),
+    max: windowCommand('maximize', 'max <section>'),
+
+    theme(args) {
+      const palettes = window.__getPalettes?.() || [];
+      if (!args[0]) return print([...palettes.map(p => p.id), 'random'].join('  '));
+      if (THEME_OPTIONS.includes(args[0])) return window.__setTheme?.(args[0]);
+      if (!window.__setPalette?.(args[0])) printError('unknownPalette', { name: args[0] });
+    },
+
+    lang(args) {
+      if (!args[0]) return print(document.documentElement.getAttribute('data-language') || getLanguages()[0]);
+      // Vale cualquier variante de un idioma disponible: `lang pt-BR` elige `pt`.
+      const language = window.__languages?.resolve(args[0]);
+      if (!language) return printError('unknownLanguage', { name: args[0] });
+      window.__setLanguage?.(language);
+    },
+
+    share() {
+      const url = window.__deskState?.getShareUrl() || location.href;
+      const copy = getCopy();
+      const printLink = (label) => {
+        const line = print(`${label} `);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.textContent = url;
+        line.appendChild(anchor);
+      };
+      if (!navigator.clipboard?.writeText) return printLink(copy.shareReady);
+      navigator.clipboard.writeText(url)
+        .then(() => printLink(copy.shareCopied))
+        .catch(() => printLink(copy.shareReady));
+    },
+
+    reset() {
+      window.__deskState?.reset();
+      print(getCopy().resetDone);
+    },
+
+    clear() {
+      output.textContent = '';
+    },
+
+    help() {
+      const copy = getCopy();
+      print(copy.helpIntro);
+      const names = Object.keys(commands);
+      const width = Math.max(...names.map(name => name.length));
+      names.forEach(name => print(`  ${name.padEnd(width)}  ${fillTemplate(copy.help?.[name], { languages: getLanguages().join(', ') })}`, 'muted'));
+    }
+  };
+
+  const run = (commandLine) => {
+    const [name, ...args] = commandLine.trim().split(/\s+/);
+    if (!name) return;
+    // Solo los comandos propios: `toString` o `__proto__` vienen de Object.prototype.
+    if (!Object.hasOwn(commands, name)) {
+      printError('notFound', { command: name });
+      return;
+    }
+    commands[name](args);
+    refreshPrompt();
+  };
+
+  // --- AUTOCOMPLETADO ---
+  const getCandidates = (commandName) => {
+    switch (commandName) {
+      case 'theme': return [...(window.__getPalettes?.() || []).map(p => p.id), 'random', ...THEME_OPTIONS];
+      case 'lang': return getLanguages();
+      case 'cat': return getFiles();
+      case 'share':
+      case 'reset':
+      case 'clear':
+      case 'help': return [];
+      default: return getSections();
+    }
+  };
+
+  const commonPrefix = (words) => words.reduce((prefix, word) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === word[i]) i++;
+    return prefix.slice(0, i);
+  });
+
+  const complete = () => {
+    const value = input.value;
+    const tokens = value.split(/\s+/);
+    const current = tokens[tokens.length - 1];
+    const candidates = (tokens.length === 1 ? Object.keys(commands) : Object.hasOwn(commands, tokens[0]) ? getCandidates(tokens[0]) : [])
+      .filter(candidate => candidate.startsWith(current));
+    if (!candidates.length) return;
+
+    const head = value.slice(0, value.length - current.length);
+    if (candidates.length === 1) {
+      input.value = `${head}${candidates[0]} `;
+      return;
+    }
+    const prefix = commonPrefix(candidates);
+    if (prefix.length > current.length) {
+      input.value = `${head}${prefix}`;
+    } else {
+      echo(value);
+      print(candidates.join('  '));
+    }
+  };
+
+  // --- MANEJADORES DE EVENTOS ---
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const commandLine = input.value;
+    input.value = '';
+    echo(commandLine);
+    if (commandLine.trim()) {
+      if (history[history.length - 1] !== commandLine) history.push(commandLine);
+      if (history.length > HISTORY_LIMIT) history.shift();
+    }
+    historyIndex = history.length;
+    draft = '';
+    run(commandLine);
+    input.scrollIntoView({ block: 'nearest' });
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowUp' && historyIndex > 0) {
+      event.preventDefault();
+      if (historyIndex === history.length) draft = input.value;
+      historyIndex--;
+      input.value = history[historyIndex];
+    } else if (event.key === 'ArrowDown' && historyIndex < history.length) {
+      event.preventDefault();
+      historyIndex++;
+      input.value = historyIndex === history.length ? draft : history[historyIndex];
+    } else if (event.key === 'Tab' && input.value.trim()) {
+      // Con la línea vacía, Tab conserva su función de mover el foco.
+      event.preventDefault();
+      complete();
+    }
+  });
+
+  // Los enlaces que imprime `ls` se comportan como los del índice.
+  output.addEventListener('click', (event) => {
+    const anchor = event.target.closest('a[href^="#"]');
+    if (!anchor) return;
+    event.preventDefault();
+    open(anchor.getAttribute('href').slice(1));
+  });
+
+  screen.addEventListener('click', (event) => {
+    if (event.target.closest('a, button, input')) return;
+    if (window.getSelection?.().toString()) return;
+    input.focus({ preventScroll: true });
+  });
+
+  document.addEventListener('site-language-change', refreshLabels);
+  refreshLabels();
+})();
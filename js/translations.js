@@ -0,0 +1,431 @@
+/**
+ * @file Textos de la interfaz en cada idioma.
+ * Los usan i18n.js en el navegador y scripts/prerender.js al generar las
+ * páginas estáticas; el contenido del CV vive en cv-data.json.
+ * Cada diccionario es un idioma (su clave es una etiqueta BCP-47, p. ej. `pt`
+ * o `pt-BR`) y puede estar incompleto: las claves que falten se toman de su
+ * cadena de respaldo (js/languages.js). `languageButton` y `languageTitle`
+ * describen el otro idioma cuando solo hay dos; con más, el botón abre un menú.
+ */
+
+(function(root, factory) {
+  const translations = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = translations;
+  } else {
+    root.__translations = translations;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  return {
+    es: {
+      metaDescription: 'Juan Camilo Osorio Oviedo: experiencia, educación y enlaces.',
+      languageName: 'Español',
+      ogLocale: 'es_CO',
+      skip: 'Saltar al contenido',
+      backToIndex: 'Volver al índice',
+      paletteTitle: 'Cambiar paleta de colores',
+      languageButton: 'EN',
+      languageTitle: 'Ver en inglés',
+      languageMenuTitle: 'Elegir el idioma',
+      windowManager: {
+        desktopButton: 'Escritorio',
+        desktopTitle: 'Alternar el modo escritorio: ventanas que se pueden mover y redimensionar',
+        taskbarLabel: 'Ventanas minimizadas',
+        restore: 'Restaurar {name}'
+      },
+      palettePicker: {
+        random: 'Aleatoria',
+        themes: {
+          auto: 'Según el sistema',
+          light: 'Claro',
+          dark: 'Oscuro'
+        },
+        custom: 'Personalizada…',
+        customName: '{name} (tuya)',
+        dialogTitle: 'Paleta personalizada',
+        dialogHelp: 'Pega una paleta en JSON con el formato de palettes.json: id, name y colors.',
+        jsonLabel: 'JSON de la paleta',
+        apply: 'Probar',
+        cancel: 'Cancelar',
+        remove: 'Quitar esta paleta',
+        invalidJson: 'No es un JSON válido: {message}',
+        invalid: 'La paleta no es válida.'
+      },
+      commandPalette: {
+        title: 'Buscar en el CV',
+        label: 'Texto a buscar',
+        placeholder: 'Escribe para buscar en el CV…',
+        results: 'Resultados',
+        count: '{count} resultados',
+        empty: 'Nada coincide con «{query}»'
+      },
+      backgroundMenu: {
+        button: 'Fondo',
+        title: 'Elegir el efecto de fondo',
+        effects: {
+          glitch: 'Glitch',
+          'glitch-interactive': 'Glitch interactivo',
+          rain: 'Lluvia',
+          life: 'Juego de la vida',
+          off: 'Sin efecto'
+        }
+      },
+      exportMenu: {
+        button: 'Exportar',
+        title: 'Descargar el CV en otro formato',
+        formats: {
+          json: 'JSON Resume',
+          md: 'Markdown',
+          txt: 'Texto plano',
+          tex: 'LaTeX (moderncv)'
+        }
+      },
+      offline: {
+        badge: 'sin conexión',
+        title: 'Sin conexión: se muestra la última versión guardada del CV'
+      },
+      windowControls: {
+        close: 'Cerrar',
+        minimize: 'Minimizar',
+        maximize: 'Maximizar ancho'
+      },
+      windowStates: {
+        closed: 'cerrada',
+        minimized: 'minimizada',
+        maxwide: 'max'
+      },
+      windowAnnouncements: {
+        closed: '{name}: ventana cerrada',
+        minimized: '{name}: ventana minimizada',
+        maxwide: '{name}: ventana maximizada',
+        restored: '{name}: ventana restaurada'
+      },
+      about: {
+        heading: 'Sobre {name}',
+        nameKey: 'Nombre',
+        roleKey: 'Rol',
+        focusKey: 'Enfoque',
+        stackKey: 'Tecnologías',
+        locationKey: 'Ubicación',
+        emailKey: 'Correo',
+        codeRoleKey: 'rol',
+        interestsKey: 'intereses',
+        codeLocationKey: 'ubicación',
+        codeEmailKey: 'correo',
+        emailSubject: 'Contacto desde CV'
+      },
+      experience: {
+        viewLabel: 'Vista de la experiencia',
+        list: 'Lista',
+        timeline: 'Cronología',
+        ongoing: 'en curso'
+      },
+      skills: {
+        viewLabel: 'Vista de las habilidades',
+        list: 'Por nivel',
+        grouped: 'Por categoría',
+        levels: {
+          1: 'básico',
+          2: 'intermedio',
+          3: 'competente',
+          4: 'avanzado',
+          5: 'experto'
+        },
+        usedIn: 'se usa en'
+      },
+      posts: {
+        title: 'Notas',
+        empty: 'Todavía no hay notas.',
+        subscribe: 'Suscribirse',
+        loading: 'Cargando la nota…',
+        loadError: 'No se pudo cargar la nota.',
+        backToCv: 'Abrir en el CV',
+        feedTitle: 'Notas'
+      },
+      publications: {
+        title: 'Publicaciones',
+        empty: 'Todavía no hay publicaciones.',
+        copyBibtex: 'Copiar BibTeX',
+        copyApa: 'Copiar APA',
+        copied: 'Copiado',
+        copyFailed: 'No se pudo copiar',
+        types: {
+          article: 'Artículos',
+          inproceedings: 'Ponencias',
+          incollection: 'Capítulos de libro',
+          book: 'Libros',
+          phdthesis: 'Tesis doctorales',
+          mastersthesis: 'Tesis de maestría',
+          techreport: 'Informes técnicos',
+          misc: 'Otros'
+        },
+        links: {
+          doi: 'DOI',
+          arxiv: 'arXiv',
+          url: 'Enlace'
+        },
+        apa: {
+          noDate: 's. f.',
+          in: 'En',
+          pages: 'pp.',
+          mastersThesis: 'Tesis de maestría',
+          phdThesis: 'Tesis doctoral'
+        }
+      },
+      projects: {
+        filterLabel: 'Filtrar proyectos por etiqueta',
+        all: 'Todos',
+        stack: 'Tecnologías',
+        language: 'Lenguaje',
+        stars: 'Estrellas',
+        license: 'Licencia',
+        lastCommit: 'Último commit',
+        status: {
+          active: 'activo',
+          maintained: 'mantenido',
+          completed: 'terminado',
+          archived: 'archivado'
+        }
+      },
+      sectionError: {
+        title: 'Error en {section}',
+        message: 'Los datos de esta sección no son válidos:'
+      },
+      shell: {
+        inputLabel: 'Línea de comandos',
+        helpIntro: 'Comandos disponibles:',
+        help: {
+          ls: 'lista las secciones o los archivos de una sección',
+          cd: 'entra en una sección y abre su ventana',
+          cat: 'abre la ventana de un archivo',
+          open: 'abre una ventana',
+          close: 'cierra una ventana',
+          min: 'minimiza una ventana',
+          max: 'maximiza una ventana',
+          theme: 'cambia la paleta (o random) o el esquema: light, dark o auto',
+          lang: 'cambia el idioma ({languages})',
+          share: 'copia un enlace que reproduce esta vista',
+          reset: 'restablece la disposición de las ventanas',
+          clear: 'limpia la terminal',
+          help: 'muestra esta ayuda'
+        },
+        notFound: 'comando no encontrado: {command}',
+        noSuchSection: 'no existe la sección: {name}',
+        noSuchFile: 'no existe el archivo: {name}',
+        unknownPalette: 'paleta desconocida: {name}',
+        unknownLanguage: 'idioma no disponible: {name}',
+        usage: 'uso: {usage}',
+        shareCopied: 'Enlace copiado al portapapeles:',
+        shareReady: 'Enlace a esta vista:',
+        resetDone: 'Disposición restablecida.'
+      },
+      footer: 'Hecho con HTML, CSS y JavaScript.'
+    },
+    en: {
+      metaDescription: 'Juan Camilo Osorio Oviedo: experience, education, projects, and links.',
+      languageName: 'English',
+      ogLocale: 'en_US',
+      skip: 'Skip to content',
+      backToIndex: 'Back to index',
+      paletteTitle: 'Change color palette',
+      languageButton: 'ES',
+      languageTitle: 'View in Spanish',
+      languageMenuTitle: 'Choose the language',
+      windowManager: {
+        desktopButton: 'Desktop',
+        desktopTitle: 'Toggle desktop mode: movable, resizable windows',
+        taskbarLabel: 'Minimized windows',
+        restore: 'Restore {name}'
+      },
+      palettePicker: {
+        random: 'Random',
+        themes: {
+          auto: 'Match system',
+          light: 'Light',
+          dark: 'Dark'
+        },
+        custom: 'Custom…',
+        customName: '{name} (yours)',
+        dialogTitle: 'Custom palette',
+        dialogHelp: 'Paste a palette as JSON in the palettes.json format: id, name and colors.',
+        jsonLabel: 'Palette JSON',
+        apply: 'Try it',
+        cancel: 'Cancel',
+        remove: 'Remove this palette',
+        invalidJson: 'Not valid JSON: {message}',
+        invalid: 'The palette is not valid.'
+      },
+      commandPalette: {
+        title: 'Search the CV',
+        label: 'Search text',
+        placeholder: 'Type to search the CV…',
+        results: 'Results',
+        count: '{count} results',
+        empty: 'Nothing matches “{query}”'
+      },
+      backgroundMenu: {
+        button: 'Background',
+        title: 'Choose the background effect',
+        effects: {
+          glitch: 'Glitch',
+          'glitch-interactive': 'Interactive glitch',
+          rain: 'Rain',
+          life: 'Game of Life',
+          off: 'No effect'
+        }
+      },
+      exportMenu: {
+        button: 'Export',
+        title: 'Download the CV in another format',
+        formats: {
+          json: 'JSON Resume',
+          md: 'Markdown',
+          txt: 'Plain text',
+          tex: 'LaTeX (moderncv)'
+        }
+      },
+      offline: {
+        badge: 'offline',
+        title: 'Offline: showing the last saved version of the CV'
+      },
+      windowControls: {
+        close: 'Close',
+        minimize: 'Minimize',
+        maximize: 'Maximize width'
+      },
+      windowStates: {
+        closed: 'closed',
+        minimized: 'minimized',
+        maxwide: 'max'
+      },
+      windowAnnouncements: {
+        closed: '{name}: window closed',
+        minimized: '{name}: window minimized',
+        maxwide: '{name}: window maximized',
+        restored: '{name}: window restored'
+      },
+      about: {
+        heading: 'About {name}',
+        nameKey: 'Name',
+        roleKey: 'Role',
+        focusKey: 'Focus',
+        stackKey: 'Stack',
+        locationKey: 'Location',
+        emailKey: 'Email',
+        codeRoleKey: 'role',
+        interestsKey: 'interests',
+        codeLocationKey: 'location',
+        codeEmailKey: 'email',
+        emailSubject: 'Contact from CV'
+      },
+      experience: {
+        viewLabel: 'Experience view',
+        list: 'List',
+        timeline: 'Timeline',
+        ongoing: 'ongoing'
+      },
+      skills: {
+        viewLabel: 'Skills view',
+        list: 'By level',
+        grouped: 'By category',
+        levels: {
+          1: 'basic',
+          2: 'intermediate',
+          3: 'proficient',
+          4: 'advanced',
+          5: 'expert'
+        },
+        usedIn: 'used in'
+      },
+      posts: {
+        title: 'Notes',
+        empty: 'No notes yet.',
+        subscribe: 'Subscribe',
+        loading: 'Loading the note…',
+        loadError: 'The note could not be loaded.',
+        backToCv: 'Open in the CV',
+        feedTitle: 'Notes'
+      },
+      publications: {
+        title: 'Publications',
+        empty: 'No publications yet.',
+        copyBibtex: 'Copy BibTeX',
+        copyApa: 'Copy APA',
+        copied: 'Copied',
+        copyFailed: 'Could not copy',
+        types: {
+          article: 'Journal articles',
+          inproceedings: 'Conference papers',
+          incollection: 'Book chapters',
+          book: 'Books',
+          phdthesis: 'Doctoral dissertations',
+          mastersthesis: "Master's theses",
+          techreport: 'Technical reports',
+          misc: 'Other'
+        },
+        links: {
+          doi: 'DOI',
+          arxiv: 'arXiv',
+          url: 'Link'
+        },
+        apa: {
+          noDate: 'n.d.',
+          in: 'In',
+          pages: 'pp.',
+          mastersThesis: "Master's thesis",
+          phdThesis: 'Doctoral dissertation'
+        }
+      },
+      projects: {
+        filterLabel: 'Filter projects by tag',
+        all: 'All',
+        stack: 'Stack',
+        language: 'Language',
+        stars: 'Stars',
+        license: 'License',
+        lastCommit: 'Last commit',
+        status: {
+          active: 'active',
+          maintained: 'maintained',
+          completed: 'completed',
+          archived: 'archived'
+        }
+      },
+      sectionError: {
+        title: 'Error in {section}',
+        message: 'The data for this section is not valid:'
+      },
+      shell: {
+        inputLabel: 'Command line',
+        helpIntro: 'Available commands:',
+        help: {
+          ls: 'list the sections or the files in a section',
+          cd: 'enter a section and open its window',
+          cat: 'open the window of a file',
+          open: 'open a window',
+          close: 'close a window',
+          min: 'minimize a window',
+          max: 'maximize a window',
+          theme: 'change the palette (or random) or the scheme: light, dark or auto',
+          lang: 'change the language ({languages})',
+          share: 'copy a link that reproduces this view',
+          reset: 'reset the window layout',
+          clear: 'clear the terminal',
+          help: 'show this help'
+        },
+        notFound: 'command not found: {command}',
+        noSuchSection: 'no such section: {name}',
+        noSuchFile: 'no such file: {name}',
+        unknownPalette: 'unknown palette: {name}',
+        unknownLanguage: 'language not available: {name}',
+        usage: 'usage: {usage}',
+        shareCopied: 'Link copied to the clipboard:',
+        shareReady: 'Link to this view:',
+        resetDone: 'Layout reset.'
+      },
+      footer: 'Built with HTML, CSS, and JavaScript.'
+    }
+  };
+});
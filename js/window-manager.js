@@ -0,0 +1,332 @@
+/**
+ * @file Gestor de ventanas del modo escritorio.
+ * En el modo escritorio cada ventana se arrastra por su `.topbar`, cambia de
+ * tamaño desde los bordes y pasa al frente al recibir un clic o el foco. Las
+ * ventanas minimizadas se listan en la barra de tareas para restaurarlas. En
+ * pantallas estrechas (560px o menos) se vuelve a la cuadrícula de siempre.
+ * Las acciones de ventana siguen pasando por `window.__toggleWindow` (main.js),
+ * así que `refreshTitleState` y `data-state` funcionan igual en ambos modos.
+ */
+
+(function() {
+  'use strict';
+
+  const desk = document.getElementById('desk');
+  if (!desk) return;
+
+  const toggleButton = document.getElementById('toggleDesktop');
+  const taskbar = document.getElementById('taskbar');
+  const taskList = taskbar?.querySelector('.taskbar-list');
+
+  const NARROW_QUERY = window.matchMedia('(max-width: 560px)');
+  const EDGE_SIZE = 6;
+  const MIN_WIDTH = 280;
+  const MIN_HEIGHT = 120;
+  // Margen que se deja bajo la ventana más baja para poder soltar otras debajo.
+  const DESK_PADDING = 40;
+
+  let desktopEnabled = false;
+  let topZ = 1;
+  // Posiciones que se aplicarán la próxima vez que se active el modo escritorio.
+  let savedBoxes = null;
+
+  const getWindows = () => Array.from(desk.querySelectorAll(':scope > .terminal'));
+
+  const isActive = () => desk.classList.contains('desktop');
+
+  const getCopy = () => window.__getCopy?.().windowManager || {};
+
+  const fillTemplate = (template = '', values = {}) =>
+    String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+  // --- ORDEN DE APILADO ---
+
+  /**
+   * Pone una ventana por encima de las demás.
+   * @param {HTMLElement} term - La ventana.
+   */
+  const raise = (term) => {
+    if (!isActive() || Number(term.style.zIndex) === topZ) return;
+    term.style.zIndex = String(++topZ);
+    notifyChange();
+  };
+
+  // desk-state.js guarda la disposición cada vez que cambia.
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent('desk-layout-change'));
+  }
+
+  // --- POSICIONES ---
+
+  const fitDesk = () => {
+    const bottom = Math.max(0, ...getWindows().map(term => term.offsetTop + term.offsetHeight));
+    desk.style.minHeight = `${bottom + DESK_PADDING}px`;
+  };
+
+  const setBox = (term, { x, y, width, height }) => {
+    if (x !== undefined) term.style.left = `${Math.round(x)}px`;
+    if (y !== undefined) term.style.top = `${Math.round(y)}px`;
+    if (width !== undefined) term.style.width = `${Math.round(width)}px`;
+    if (height !== undefined) term.style.height = height === null ? '' : `${Math.round(height)}px`;
+  };
+
+  /**
+   * Lee la posición de cada ventana, de la más baja a la más alta en el apilado.
+   * @returns {{id: string, x: number, y: number, width: number, height?: number}[]}
+   */
+  const readBoxes = () => getWindows()
+    .sort((a, b) => Number(a.style.zIndex) - Number(b.style.zIndex))
+    .map(term => {
+      const box = { id: term.id, x: parseFloat(term.style.left) || 0, y: parseFloat(term.style.top) || 0, width: parseFloat(term.style.width) || 0 };
+      if (term.style.height) box.height = parseFloat(term.style.height);
+      return box;
+    });
+
+  /**
+   * Activa el modo escritorio conservando la posición que cada ventana tenía
+   * en la cuadrícula, para que el cambio no mueva nada en pantalla.
+   */
+  const activate = () => {
+    const boxes = getWindows().map(term => term.getBoundingClientRect());
+    desk.classList.add('desktop');
+    document.body.classList.add('desktop-mode');
+    const origin = desk.getBoundingClientRect();
+
+    getWindows().forEach((term, index) => {
+      const box = boxes[index];
+      setBox(term, { x: box.left - origin.left, y: box.top - origin.top, width: box.width });
+      term.style.zIndex = String(index + 1);
+    });
+    topZ = getWindows().length;
+
+    (savedBoxes || []).forEach(({ id, ...box }) => {
+      const term = document.getElementById(id);
+      if (!term || !desk.contains(term)) return;
+      setBox(term, { ...box, height: box.height ?? null });
+      term.style.zIndex = String(++topZ);
+    });
+    savedBoxes = null;
+    fitDesk();
+  };
+
+  const deactivate = () => {
+    // Al pasar a pantalla estrecha se recuerdan las posiciones para volver a ellas.
+    if (desktopEnabled) savedBoxes = readBoxes();
+    desk.classList.remove('desktop');
+    document.body.classList.remove('desktop-mode');
+    desk.style.minHeight = '';
+    getWindows().forEach(term => {
+      ['left', 'top', 'width', 'height', 'zIndex'].forEach(property => { term.style[property] = ''; });
+    });
+  };
+
+  // El modo escritorio solo se aplica si está elegido y la pantalla es ancha.
+  const syncMode = () => {
+    const shouldBeActive = desktopEnabled && !NARROW_QUERY.matches;
+    if (shouldBeActive && !isActive()) activate();
+    if (!shouldBeActive && isActive()) deactivate();
+    toggleButton?.setAttribute('aria-pressed', String(desktopEnabled));
+  };
+
+  /**
+   * Elige entre el modo escritorio y la cuadrícula.
+   * @param {boolean} [enabled] - Estado deseado; si se omite, se alterna.
+   */
+  const setDesktop = (enabled = !desktopEnabled) => {
+    desktopEnabled = Boolean(enabled);
+    syncMode();
+    notifyChange();
+  };
+
+  /**
+   * Devuelve la disposición actual del escritorio.
+   * @returns {{desktop: boolean, boxes: object[]}}
+   */
+  const getLayout = () => ({
+    desktop: desktopEnabled,
+    boxes: isActive() ? readBoxes() : savedBoxes || []
+  });
+
+  /**
+   * Aplica una disposición guardada con `getLayout`.
+   * @param {{desktop: boolean, boxes?: object[]}} layout
+   */
+  const setLayout = ({ desktop, boxes = [] }) => {
+    desktopEnabled = false;
+    syncMode();
+    savedBoxes = boxes.length ? boxes : null;
+    setDesktop(desktop);
+  };
+
+  // --- ARRASTRAR Y REDIMENSIONAR ---
+
+  /**
+   * Indica qué bordes de la ventana están bajo el puntero. El borde superior
+   * queda fuera porque ahí está la barra que sirve para arrastrar.
+   * @returns {string} Combinación de 'e', 's' y 'w', o cadena vacía.
+   */
+  const getEdges = (term, event) => {
+    const box = term.getBoundingClientRect();
+    let edges = '';
+    if (event.clientY > box.bottom - EDGE_SIZE) edges += 's';
+    if (event.clientX > box.right - EDGE_SIZE) edges += 'e';
+    else if (event.clientX < box.left + EDGE_SIZE) edges += 'w';
+    return edges;
+  };
+
+  const EDGE_CURSORS = { s: 'ns-resize', e: 'ew-resize', w: 'ew-resize', se: 'nwse-resize', sw: 'nesw-resize' };
+
+  let gesture = null;
+
+  desk.addEventListener('pointerdown', (event) => {
+    const term = event.target.closest('.terminal');
+    if (!term || !isActive() || event.button !== 0) return;
+    raise(term);
+
+    const edges = term.classList.contains('maxwide') ? '' : getEdges(term, event);
+    const onTopbar = event.target.closest('.topbar') && !event.target.closest('button, a, input');
+    if (!edges && !onTopbar) return;
+
+    event.preventDefault();
+    term.setPointerCapture?.(event.pointerId);
+    gesture = {
+      term,
+      edges,
+      startX: event.clientX,
+      startY: event.clientY,
+      box: { x: term.offsetLeft, y: term.offsetTop, width: term.offsetWidth, height: term.offsetHeight }
+    };
+    term.classList.add(edges ? 'resizing' : 'dragging');
+  });
+
+  desk.addEventListener('pointermove', (event) => {
+    if (!gesture) {
+      const term = isActive() && event.target.closest('.terminal');
+      if (term) term.style.cursor = term.classList.contains('maxwide') ? '' : EDGE_CURSORS[getEdges(term, event)] || '';
+      return;
+    }
+
+    const { term, edges, box } = gesture;
+    const dx = event.clientX - gesture.startX;
+    const dy = event.clientY - gesture.startY;
+
+    if (!edges) {
+      const maxX = Math.max(0, desk.clientWidth - term.offsetWidth);
+      setBox(term, { x: Math.min(maxX, Math.max(0, box.x + dx)), y: Math.max(0, box.y + dy) });
+      return;
+    }
+    if (edges.includes('e')) {
+      setBox(term, { width: Math.min(desk.clientWidth - box.x, Math.max(MIN_WIDTH, box.width + dx)) });
+    }
+    if (edges.includes('w')) {
+      const width = Math.max(MIN_WIDTH, Math.min(box.width - dx, box.x + box.width));
+      setBox(term, { x: box.x + box.width - width, width });
+    }
+    if (edges.includes('s')) {
+      setBox(term, { height: Math.max(MIN_HEIGHT, box.height + dy) });
+    }
+  });
+
+  const endGesture = () => {
+    if (!gesture) return;
+    gesture.term.classList.remove('dragging', 'resizing');
+    gesture = null;
+    fitDesk();
+    notifyChange();
+  };
+
+  desk.addEventListener('pointerup', endGesture);
+  desk.addEventListener('pointercancel', endGesture);
+
+  // El foco de teclado también trae la ventana al frente.
+  desk.addEventListener('focusin', (event) => {
+    const term = event.target.closest('.terminal');
+    if (term) raise(term);
+  });
+
+  // --- BARRA DE TAREAS ---
+
+  const getWindowName = (term) => term.getAttribute('aria-label') || term.id;
+
+  const renderTaskbar = () => {
+    if (!taskbar || !taskList) return;
+    const copy = getCopy();
+    const minimized = getWindows().filter(term => term.classList.contains('minimized'));
+    taskList.innerHTML = '';
+    minimized.forEach(term => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn taskbar-item';
+      button.dataset.window = term.id;
+      button.textContent = getWindowName(term);
+      button.title = fillTemplate(copy.restore, { name: getWindowName(term) });
+      item.appendChild(button);
+      taskList.appendChild(item);
+    });
+    taskbar.hidden = minimized.length === 0;
+  };
+
+  taskList?.addEventListener('click', (event) => {
+    const id = event.target.closest('[data-window]')?.dataset.window;
+    const term = id && document.getElementById(id);
+    if (!term) return;
+    window.__toggleWindow?.(id, 'minimize', false);
+    raise(term);
+    term.querySelector('.dot')?.focus({ preventScroll: isActive() });
+  });
+
+  // Cualquier cambio de estado (dots, terminal, atajos) actualiza la barra y,
+  // en modo escritorio, la altura del escritorio y el orden de apilado.
+  const observeWindow = (term) => {
+    new MutationObserver(() => {
+      renderTaskbar();
+      if (!isActive()) return;
+      if (term.classList.contains('maxwide')) raise(term);
+      fitDesk();
+    }).observe(term, { attributes: true, attributeFilter: ['class'] });
+  };
+
+  getWindows().forEach(observeWindow);
+
+  // Una ventana nueva se coloca en cascada sobre la que está al frente.
+  const CASCADE_OFFSET = 32;
+
+  document.addEventListener('terminal-added', (event) => {
+    const term = event.detail.element;
+    if (!desk.contains(term)) return;
+    observeWindow(term);
+    if (!isActive()) return;
+    const top = getWindows()
+      .filter(other => other !== term)
+      .sort((a, b) => Number(b.style.zIndex) - Number(a.style.zIndex))[0];
+    const width = Math.min(desk.clientWidth, top ? top.offsetWidth : desk.clientWidth / 2);
+    const x = top ? Math.min(top.offsetLeft + CASCADE_OFFSET, Math.max(0, desk.clientWidth - width)) : 0;
+    setBox(term, { x, y: top ? top.offsetTop + CASCADE_OFFSET : 0, width });
+    raise(term);
+    fitDesk();
+    notifyChange();
+  });
+
+  toggleButton?.addEventListener('click', () => setDesktop());
+  NARROW_QUERY.addEventListener?.('change', syncMode);
+  document.addEventListener('site-language-change', () => {
+    renderTaskbar();
+    // El contenido cambia de longitud con el idioma.
+    if (isActive()) fitDesk();
+  });
+
+  renderTaskbar();
+  syncMode();
+
+  window.__windowManager = {
+    isDesktop: () => desktopEnabled,
+    setDesktop,
+    getLayout,
+    setLayout,
+    raise: (id) => {
+      const term = document.getElementById(id);
+      if (term) raise(term);
+    }
+  };
+})();
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * @file Genera todo lo que sale de las notas de posts/*.md:
+ *   - posts/index.json: el índice que leen la ventana `posts/` y prerender.js.
+ *   - posts/<nota>.html: una página estática por nota, que es su URL pública.
+ *   - atom.xml y rss.xml junto a la página de cada idioma (`/`, `/en/`), con
+ *     las notas escritas en ese idioma.
+ * Las URL de las notas en sitemap.xml las pone scripts/build-sitemap.js.
+ * El front-matter de cada nota se valida contra posts.schema.json y su idioma
+ * debe ser uno de js/translations.js. El HTML sale de js/markdown.js, que
+ * escapa todo el texto.
+ * Uso: node scripts/build-posts.js [--check]
+ * Con --check no escribe nada y termina con código 1 si algún archivo está desactualizado.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../js/cv-render.js');
+const { validate } = require('../js/cv-validator.js');
+const markdown = require('../js/markdown.js');
+const postsRender = require('../js/posts-render.js');
+const translations = require('../js/translations.js');
+const languages = require('../js/languages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const POSTS_DIR = path.join(ROOT, 'posts');
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+// En XML basta con el mismo escape que en HTML.
+const escapeXml = escapeHtml;
+
+const toIsoDate = (date) => `${date}T00:00:00Z`;
+const toRfc822 = (date) => new Date(toIsoDate(date)).toUTCString();
+
+/**
+ * Lee y valida las notas de posts/.
+ * @param {object} schema - posts.schema.json.
+ * @returns {{posts: {entry: object, body: string}[], errors: string[]}}
+ */
+function readPosts(schema) {
+  const available = Object.keys(translations);
+  const frontMatterSchema = { ...schema, $ref: '#/definitions/frontMatter' };
+  const errors = [];
+  const posts = fs.readdirSync(POSTS_DIR)
+    .filter(name => name.endsWith('.md'))
+    .sort()
+    .flatMap(name => {
+      const file = `posts/${name}`;
+      const slug = name.slice(0, -3);
+      const { attributes, body } = markdown.parseFrontMatter(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+      const problems = validate(attributes, frontMatterSchema).map(({ path: errorPath, message }) => `${errorPath}: ${message}`);
+      if (!SLUG_PATTERN.test(slug)) problems.push('el nombre del archivo solo puede tener minúsculas, cifras y guiones');
+      if (attributes.language && !available.includes(attributes.language)) {
+        problems.push(`language: ${JSON.stringify(attributes.language)} no es ninguno de ${available.join(', ')}`);
+      }
+      if (problems.length) {
+        errors.push(...problems.map(problem => `${file} › ${problem}`));
+        return [];
+      }
+      const { title, date, language, tags, summary } = attributes;
+      return [{ entry: { slug, file, title, date, language, tags, ...(summary ? { summary } : {}) }, body }];
+    });
+  posts.sort((a, b) => b.entry.date.localeCompare(a.entry.date) || a.entry.slug.localeCompare(b.entry.slug));
+  return { posts, errors };
+}
+
+/**
+ * Página estática de una nota. Usa los estilos del sitio, sin scripts, y
+ * enlaza con la ventana de la nota en el CV.
+ */
+function renderPostPage(post, body, data, copy) {
+  const url = new URL(postsRender.getPostUrl(post), data.person.url).href;
+  const feeds = postsRender.getFeedUrls(post.language);
+  const back = `/${languages.getPagePath(post.language)}#${postsRender.getWindowId(post)}`;
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(post.language)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="color-scheme" content="dark light" />
+  <title>${escapeHtml(post.title)} — ${escapeHtml(data.person.name)}</title>
+${post.summary ? `  <meta name="description" content="${escapeHtml(post.summary)}" />\n` : ''}  <meta property="og:title" content="${escapeHtml(post.title)}" />
+  <meta property="og:url" content="${escapeHtml(url)}" />
+  <meta property="og:type" content="article" />
+  <link rel="canonical" href="${escapeHtml(url)}" />
+  <link rel="alternate" type="application/atom+xml" href="${feeds.atom}" />
+  <link rel="icon" href="/favicon.ico" type="image/x-icon">
+  <link rel="stylesheet" href="/styles/main.css">
+</head>
+<body>
+  <main class="post-page">
+    <article class="terminal post-window" aria-labelledby="${postsRender.getWindowId(post)}-title">
+      <div class="topbar">
+        <div class="dots" aria-hidden="true"><span class="dot red"></span><span class="dot yellow"></span><span class="dot green"></span></div>
+        <div class="title">osvo — ~/${escapeHtml(post.file)}</div>
+        <div class="actions"></div>
+      </div>
+      <div class="screen">
+        <span class="line"><span class="prompt"><span class="user">osvo</span>@<span class="host">cv</span>:<span class="path">~/</span>$</span> <span class="cmd">cat</span> <span class="arg">${escapeHtml(post.file)}</span></span>
+        <div class="card post">
+${postsRender.generatePostHtml(post, body, post.language)}
+        </div>
+        <p class="post-back"><a href="${back}">← ${escapeHtml(languages.lookup(copy, 'posts.backToCv', post.language))}</a></p>
+      </div>
+    </article>
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Feed Atom de las notas de un idioma. La fecha de actualización es la de
+ * la nota más reciente, para que el archivo no cambie si no cambian las notas.
+ */
+function renderAtom(posts, language, data, copy) {
+  const site = data.person.url;
+  const feedUrl = new URL(postsRender.getFeedUrls(language).atom, site).href;
+  const pageUrl = new URL(`/${languages.getPagePath(language)}`, site).href;
+  const entries = posts.map(({ entry, html }) => {
+    const url = new URL(postsRender.getPostUrl(entry), site).href;
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link href="${escapeXml(url)}" />`,
+      `    <id>${escapeXml(url)}</id>`,
+      `    <published>${toIsoDate(entry.date)}</published>`,
+      `    <updated>${toIsoDate(entry.date)}</updated>`,
+      ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}" />`),
+      ...(entry.summary ? [`    <summary>${escapeXml(entry.summary)}</summary>`] : []),
+      `    <content type="html">${escapeXml(html)}</content>`,
+      '  </entry>'
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(language)}">`,
+    `  <title>${escapeXml(`${copy.posts.feedTitle} — ${data.person.name}`)}</title>`,
+    `  <link href="${escapeXml(pageUrl)}" />`,
+    `  <link rel="self" href="${escapeXml(feedUrl)}" />`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <updated>${toIsoDate(posts[0]?.entry.date || '1970-01-01')}</updated>`,
+    `  <author><name>${escapeXml(data.person.name)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/** Feed RSS 2.0 de las notas de un idioma, con el mismo contenido que el Atom. */
+function renderRss(posts, language, data, copy) {
+  const site = data.person.url;
+  const feedUrl = new URL(postsRender.getFeedUrls(language).rss, site).href;
+  const pageUrl = new URL(`/${languages.getPagePath(language)}`, site).href;
+  const items = posts.map(({ entry, html }) => {
+    const url = new URL(postsRender.getPostUrl(entry), site).href;
+    return [
+      '    <item>',
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+      `      <pubDate>${toRfc822(entry.date)}</pubDate>`,
+      ...entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+      `      <description>${escapeXml(html)}</description>`,
+      '    </item>'
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(`${copy.posts.feedTitle} — ${data.person.name}`)}</title>`,
+    `    <link>${escapeXml(pageUrl)}</link>`,
+    `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <description>${escapeXml(copy.metaDescription)}</description>`,
+    `    <language>${escapeXml(language)}</language>`,
+    ...(posts.length ? [`    <lastBuildDate>${toRfc822(posts[0].entry.date)}</lastBuildDate>`] : []),
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const schema = readJson('posts.schema.json');
+  const data = readJson('cv-data.json');
+
+  const { posts, errors } = readPosts(schema);
+  if (errors.length) {
+    errors.forEach(error => console.error(`  ✗ ${error}`));
+    console.error(`\nposts/: ${errors.length} error(es).`);
+    process.exit(1);
+  }
+  posts.forEach(post => {
+    post.html = markdown.renderMarkdown(post.body);
+  });
+
+  const outputs = new Map();
+  const index = { $schema: '../posts.schema.json', posts: posts.map(post => post.entry) };
+  outputs.set('posts/index.json', `${JSON.stringify(index, null, 2)}\n`);
+
+  posts.forEach(({ entry, body }) => {
+    const copy = languages.mergeCopy(translations, entry.language);
+    outputs.set(`posts/${entry.slug}.html`, renderPostPage(entry, body, data, copy));
+  });
+
+  languages.describe(translations).languages.forEach(({ code, path: pagePath }) => {
+    const copy = languages.mergeCopy(translations, code);
+    const own = posts.filter(post => post.entry.language === code);
+    outputs.set(`${pagePath}atom.xml`, renderAtom(own, code, data, copy));
+    outputs.set(`${pagePath}rss.xml`, renderRss(own, code, data, copy));
+  });
+
+  // Páginas de notas que ya no tienen su .md.
+  const stale = fs.readdirSync(POSTS_DIR)
+    .filter(name => name.endsWith('.html') && !outputs.has(`posts/${name}`))
+    .map(name => `posts/${name}`);
+
+  let outdated = 0;
+  outputs.forEach((content, file) => {
+    const target = path.join(ROOT, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    if (current === content) {
+      console.log(`  ✓ ${file}`);
+    } else if (check) {
+      outdated++;
+      console.error(`  ✗ ${file} está desactualizado`);
+    } else {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      console.log(`  ✎ ${file}`);
+    }
+  });
+  stale.forEach(file => {
+    if (check) {
+      outdated++;
+      console.error(`  ✗ ${file} ya no tiene nota`);
+    } else {
+      fs.unlinkSync(path.join(ROOT, file));
+      console.log(`  ✎ ${file} (borrada)`);
+    }
+  });
+
+  if (outdated) {
+    console.error('\nEjecuta node scripts/build-posts.js y confirma los cambios.');
+    process.exit(1);
+  }
+}
+
+main();
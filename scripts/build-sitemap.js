@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * @file Genera sitemap.xml: la página de cada idioma y el enlace profundo de
+ * cada ventana (`/#experience`, `/en/#experience`…), cada uno con sus
+ * alternativas `xhtml:link hreflang` en todos los idiomas de
+ * js/translations.js (más `x-default`), y la página de cada nota de
+ * posts/index.json con su fecha. Las ventanas se toman de las `.terminal`
+ * de index.html; las URL, de `person.url` en cv-data.json. Las páginas van
+ * sin `lastmod`: el resultado solo depende de los archivos, para que
+ * `--check` dé lo mismo antes y después de confirmar los cambios.
+ * Uso: node scripts/build-sitemap.js [--check]
+ * Con --check no escribe nada y termina con código 1 si sitemap.xml está desactualizado.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../js/cv-render.js');
+const postsRender = require('../js/posts-render.js');
+const translations = require('../js/translations.js');
+const languages = require('../js/languages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITEMAP = 'sitemap.xml';
+// La ventana índice es la propia página, sin enlace profundo.
+const INDEX_WINDOW = 'sections';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+// En XML basta con el mismo escape que en HTML.
+const escapeXml = escapeHtml;
+
+/**
+ * Ids de las ventanas de la página, en el orden de index.html.
+ * @param {string} html
+ * @returns {string[]}
+ */
+const getWindowIds = (html) => [...html.matchAll(/<div class="terminal\b[^"]*" id="([\w-]+)"/g)]
+  .map(match => match[1])
+  .filter(id => id !== INDEX_WINDOW);
+
+const renderUrl = (loc, { alternates = [], lastmod = '' } = {}) => [
+  '  <url>',
+  `    <loc>${escapeXml(loc)}</loc>`,
+  ...(lastmod ? [`    <lastmod>${escapeXml(lastmod)}</lastmod>`] : []),
+  ...alternates.map(({ hreflang, href }) =>
+    `    <xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}" />`),
+  '  </url>'
+].join('\n');
+
+/**
+ * Genera el sitemap completo.
+ * @param {string} site - URL de la raíz del sitio.
+ * @param {string[]} windowIds - Ventanas con enlace profundo.
+ * @param {object[]} posts - Notas de posts/index.json.
+ * @returns {string}
+ */
+function renderSitemap(site, windowIds, posts) {
+  const definition = languages.describe(translations);
+  const hashes = ['', ...windowIds.map(id => `#${id}`)];
+  const urls = hashes.flatMap(hash => definition.languages.map(({ code }) => {
+    const { canonical, alternates } = languages.getLanguageLinks(definition, code, site, hash);
+    return renderUrl(canonical, { alternates });
+  }));
+  posts.forEach(entry => {
+    urls.push(renderUrl(new URL(postsRender.getPostUrl(entry), site).href, { lastmod: entry.date }));
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const data = readJson('cv-data.json');
+  const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const postsIndex = fs.existsSync(path.join(ROOT, 'posts', 'index.json')) ? readJson('posts/index.json') : { posts: [] };
+
+  const sitemap = renderSitemap(data.person.url, getWindowIds(template), postsIndex.posts);
+  const target = path.join(ROOT, SITEMAP);
+  const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+  if (current === sitemap) {
+    console.log(`  ✓ ${SITEMAP}`);
+  } else if (check) {
+    console.error(`  ✗ ${SITEMAP} está desactualizado`);
+    console.error('\nEjecuta node scripts/build-sitemap.js y confirma los cambios.');
+    process.exit(1);
+  } else {
+    fs.writeFileSync(target, sitemap);
+    console.log(`  ✎ ${SITEMAP}`);
+  }
+}
+
+main();
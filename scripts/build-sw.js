@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * @file Escribe en sw.js la lista de archivos que el service worker precarga
+ * (la página de cada idioma, styles/main.css, los de js/ y los favicons) y
+ * su versión, un hash del contenido de todos ellos. Así cualquier cambio en
+ * esos archivos da una versión nueva, el navegador instala el worker otra
+ * vez y las cachés anteriores se borran.
+ * Uso: node scripts/build-sw.js [--check]
+ * Con --check no escribe nada y termina con código 1 si sw.js está desactualizado.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const translations = require('../js/translations.js');
+const languages = require('../js/languages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SW_FILE = 'sw.js';
+const STATIC_FILES = ['styles/main.css', 'favicon.ico', 'favicon-48.png'];
+const REGION = /^([ \t]*)(\/\/ --- precache:start[^\n]*\n)[\s\S]*?\n([ \t]*\/\/ --- precache:end ---)/m;
+
+/**
+ * Archivos que se precargan: la URL con la que los pide el navegador y su
+ * archivo en el repositorio. Las páginas se piden por su carpeta (`en/`).
+ * @returns {{url: string, file: string}[]}
+ */
+function getShellFiles() {
+  const pages = languages.describe(translations).languages
+    .map(({ path: pagePath }) => ({ url: pagePath || './', file: `${pagePath}index.html` }));
+  const scripts = fs.readdirSync(path.join(ROOT, 'js'))
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => ({ url: `js/${name}`, file: `js/${name}` }));
+  return [...pages, ...STATIC_FILES.map(file => ({ url: file, file })), ...scripts];
+}
+
+/**
+ * Versión de la precarga: hash de las rutas y el contenido de los archivos.
+ * @param {{url: string, file: string}[]} files
+ * @returns {string}
+ */
+function getVersion(files) {
+  const hash = crypto.createHash('sha256');
+  files.forEach(({ url, file }) => {
+    hash.update(`${url}\0`);
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+    hash.update('\0');
+  });
+  return hash.digest('hex').slice(0, 10);
+}
+
+function renderRegion(files, indent) {
+  return [
+    `${indent}const VERSION = '${getVersion(files)}';`,
+    `${indent}const SHELL_URLS = [`,
+    files.map(({ url }) => `${indent}  '${url}'`).join(',\n'),
+    `${indent}];`
+  ].join('\n');
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const target = path.join(ROOT, SW_FILE);
+  const current = fs.readFileSync(target, 'utf8');
+  if (!REGION.test(current)) {
+    console.error(`Falta la región "precache" en ${SW_FILE}.`);
+    process.exit(1);
+  }
+  const files = getShellFiles();
+  const missing = files.filter(({ file }) => !fs.existsSync(path.join(ROOT, file)));
+  if (missing.length) {
+    missing.forEach(({ file }) => console.error(`  ✗ falta ${file}`));
+    console.error('\nGenera las páginas con node scripts/prerender.js antes de actualizar el service worker.');
+    process.exit(1);
+  }
+
+  const updated = current.replace(REGION, (all, indent, start, end) =>
+    `${indent}${start}${renderRegion(files, indent)}\n${end}`);
+
+  if (updated === current) {
+    console.log(`  ✓ ${SW_FILE} (${files.length} archivos)`);
+  } else if (check) {
+    console.error(`  ✗ ${SW_FILE} está desactualizado`);
+    console.error('\nEjecuta node scripts/build-sw.js y confirma los cambios.');
+    process.exit(1);
+  } else {
+    fs.writeFileSync(target, updated);
+    console.log(`  ✎ ${SW_FILE} (${files.length} archivos)`);
+  }
+}
+
+main();
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * @file Comprueba el JSON-LD de la página en cada idioma: lo genera con
+ * js/metadata.js a partir de cv-data.json y publications.bib, lo valida
+ * contra jsonld.schema.json (las propiedades y tipos de valor que schema.org
+ * espera para Person, Occupation, EducationalOccupationalCredential, etc.) y
+ * comprueba que las páginas prerenderizadas traigan el mismo. También lo
+ * genera con las publicaciones de prueba de scripts/fixtures/publications.bib,
+ * porque publications.bib puede estar vacío, y con datos fijos que
+ * cv-data.json no tiene (sin formación, sin enlaces, un solo idioma…).
+ * Uso: node scripts/check-jsonld.js
+ * Termina con código 1 si hay errores, para poder usarlo en CI.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('../js/cv-validator.js');
+const { parseBibtex } = require('../js/bibtex.js');
+const metadata = require('../js/metadata.js');
+const translations = require('../js/translations.js');
+const languages = require('../js/languages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+// El JSON-LD que trae una página, o null si no tiene.
+const readPageJsonLd = (file) => {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const json = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)?.[1];
+  return json ? JSON.parse(json) : null;
+};
+
+const FIXTURE_BIB = 'scripts/fixtures/publications.bib';
+
+const readBib = (file) => parseBibtex(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const validateJsonLd = (jsonLd, schema) =>
+  validate(jsonLd, schema).map(({ path: errorPath, message }) => `${errorPath}: ${message}`);
+
+/**
+ * Muestra el resultado de un caso.
+ * @param {string} name
+ * @param {string[]} problems
+ * @returns {number} El número de problemas.
+ */
+function report(name, problems) {
+  if (!problems.length) {
+    console.log(`  ✓ ${name}`);
+  } else {
+    console.error(`  ✗ ${name}`);
+    problems.forEach(problem => console.error(`      ${problem}`));
+  }
+  return problems.length;
+}
+
+/**
+ * JSON-LD de cv-data.json y publications.bib en cada idioma, que además
+ * debe coincidir con el de su página prerenderizada.
+ * @param {object} data
+ * @param {object} schema - jsonld.schema.json.
+ * @returns {number} El número de problemas.
+ */
+function checkPages(data, schema) {
+  const bibFile = path.join(ROOT, 'publications.bib');
+  const publications = fs.existsSync(bibFile) ? readBib('publications.bib').entries : [];
+  let total = 0;
+
+  languages.describe(translations).languages.forEach(({ code, path: pagePath }) => {
+    const copy = languages.mergeCopy(translations, code);
+    const { description } = metadata.getPageMetadata(data, copy);
+    const expected = metadata.buildPersonSchema(data, code, { description, publications });
+    const problems = validateJsonLd(expected, schema);
+
+    const page = `${pagePath}index.html`;
+    if (!fs.existsSync(path.join(ROOT, page))) {
+      problems.push(`falta ${page}; genera las páginas con node scripts/prerender.js`);
+    } else {
+      const embedded = readPageJsonLd(page);
+      if (!embedded) problems.push(`${page} no trae JSON-LD`);
+      else if (JSON.stringify(embedded) !== JSON.stringify(expected)) {
+        problems.push(`el JSON-LD de ${page} no coincide con cv-data.json; regenera las páginas con node scripts/prerender.js`);
+      }
+    }
+    total += report(code, problems);
+  });
+  return total;
+}
+
+/**
+ * Publicaciones de prueba: un artículo con DOI y arXiv, una entrada @misc
+ * sin autor y una entrada mal formada que se descarta.
+ * @param {object} data
+ * @param {object} schema - jsonld.schema.json.
+ * @returns {number} El número de problemas.
+ */
+function checkPublicationsFixture(data, schema) {
+  const { entries, errors } = readBib(FIXTURE_BIB);
+  const problems = [];
+  if (errors.length !== 1) problems.push(`se esperaba 1 error de lectura y hay ${errors.length}`);
+  const keys = entries.map(entry => entry.key).join(', ');
+  if (keys !== 'doe2023adaptive, dataset2021') problems.push(`entradas leídas: ${keys || 'ninguna'}`);
+
+  const jsonLd = metadata.buildPersonSchema(data, languages.DEFAULT_LANGUAGE, { publications: entries });
+  problems.push(...validateJsonLd(jsonLd, schema));
+  const [article, misc] = jsonLd['@reverse']?.author || [];
+  if (article?.identifier?.value !== '10.1234/jel.2023.045') problems.push('el artículo no lleva su DOI como identifier');
+  if (!article?.sameAs?.includes('https://arxiv.org/abs/2301.01234')) problems.push('el artículo no enlaza a arXiv en sameAs');
+  if (!misc || 'author' in misc) problems.push('la entrada sin autor debe generarse sin `author`');
+  return report(FIXTURE_BIB, problems);
+}
+
+// Datos mínimos para los casos fijos; cada caso los modifica.
+const BASE_DATA = {
+  person: {
+    name: 'Ana Pérez',
+    url: 'https://example.org/',
+    jobTitle: { es: 'Docente · Investigadora', en: 'Lecturer · Researcher' }
+  },
+  education: {
+    title: 'Educación',
+    items: [{ institution: 'Universidad de Ejemplo', degree: { es: 'Maestría', en: 'Master' }, status: '2019' }]
+  },
+  experience: {
+    title: 'Experiencia',
+    items: [{ id: 'expLab', institution: 'Laboratorio de Ejemplo', rol: 'Investigadora', tasks: [{ year: '2020-', description: 'Análisis' }] }]
+  },
+  skills: {
+    title: 'Habilidades',
+    categories: [{
+      id: 'main',
+      name: 'Principal',
+      skills: [{ name: 'Python', usedIn: ['expLab'] }, { name: 'Español', language: 'es' }, { name: 'English', language: 'en' }]
+    }]
+  },
+  links: { title: 'Enlaces', items: [{ name: 'GitHub', url: 'https://github.com/example' }] }
+};
+
+const PUBLICATION_BIB = `@book{perez2022, author = {P{\\'e}rez, Ana}, title = {Un libro}, publisher = {Editorial}, year = 2022}`;
+
+const withData = (changes) => ({ ...BASE_DATA, ...changes });
+
+/**
+ * Casos fijos de `buildPersonSchema`: los datos de entrada y una función que
+ * devuelve los problemas del JSON-LD que generan, además de validarlo.
+ */
+const PERSON_CASES = [
+  ['sin formación', { data: withData({ education: undefined }) }, (jsonLd) => [
+    ...('alumniOf' in jsonLd || 'hasCredential' in jsonLd ? ['sin formación no debe haber alumniOf ni hasCredential'] : []),
+    ...(jsonLd.hasOccupation?.[0]?.skills?.join() !== 'Python' ? ['hasOccupation debe citar las habilidades de usedIn'] : [])
+  ]],
+  ['sin enlaces', { data: withData({ links: undefined }) }, (jsonLd) =>
+    ('sameAs' in jsonLd ? ['sin enlaces ni person.sameAs no debe haber sameAs'] : [])],
+  ['un solo idioma', {
+    data: withData({ skills: { ...BASE_DATA.skills, categories: [{ id: 'langs', name: 'Idiomas', skills: [{ name: 'Español', language: 'es' }] }] } })
+  }, (jsonLd) => [
+    ...(jsonLd.knowsLanguage?.map(item => item.alternateName).join() !== 'es' ? ['knowsLanguage debe tener solo `es`'] : []),
+    ...('knowsAbout' in jsonLd ? ['sin otras habilidades no debe haber knowsAbout'] : [])
+  ]],
+  ['una publicación', { data: BASE_DATA, publications: parseBibtex(PUBLICATION_BIB).entries }, (jsonLd) => {
+    const works = jsonLd['@reverse']?.author || [];
+    return works.length === 1 && works[0]['@type'] === 'Book' && works[0].author?.[0]?.name === 'Ana Pérez'
+      ? []
+      : [`se esperaba un Book de Ana Pérez en @reverse.author: ${JSON.stringify(works)}`];
+  }],
+  ['errores en una sección', { data: BASE_DATA, errors: [{ path: 'experience.items[0].rol' }] }, (jsonLd) =>
+    ('worksFor' in jsonLd || 'hasOccupation' in jsonLd ? ['una sección con errores debe quedar fuera'] : [])]
+];
+
+/**
+ * Genera el JSON-LD de los casos fijos en cada idioma y lo valida.
+ * @param {object} schema - jsonld.schema.json.
+ * @returns {number} El número de problemas.
+ */
+function checkPersonCases(schema) {
+  const codes = languages.describe(translations).languages.map(({ code }) => code);
+  return PERSON_CASES.reduce((total, [name, { data, publications = [], errors = [] }, check]) => {
+    const problems = codes.flatMap(code => {
+      const jsonLd = metadata.buildPersonSchema(data, code, { publications, errors });
+      return [...validateJsonLd(jsonLd, schema), ...check(jsonLd)].map(problem => `${code}: ${problem}`);
+    });
+    return total + report(name, problems);
+  }, 0);
+}
+
+function main() {
+  const data = readJson('cv-data.json');
+  const schema = readJson('jsonld.schema.json');
+  const total = checkPages(data, schema) + checkPublicationsFixture(data, schema) + checkPersonCases(schema);
+
+  if (total) {
+    console.error(`\nJSON-LD: ${total} problema(s).`);
+    process.exit(1);
+  }
+  console.log('\nJSON-LD: sin errores.');
+}
+
+main();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * @file Casos de regresión de js/markdown.js: convierte textos fijos y
+ * compara el HTML con el esperado. Cubre los casos que han fallado antes
+ * (código o imágenes dentro del texto de un enlace, URL con paréntesis,
+ * caracteres nulos) y los que protegen de HTML o URL peligrosas.
+ * Uso: node scripts/check-markdown.js
+ * Termina con código 1 si algún caso falla, para poder usarlo en CI.
+ */
+
+'use strict';
+
+const { renderInline, renderMarkdown } = require('../js/markdown.js');
+
+const EXTERNAL = 'target="_blank" rel="noopener"';
+
+const CASES = [
+  // En línea
+  ['código en un enlace', renderInline, '[`a`](http://x)', `<a href="http://x" ${EXTERNAL}><code>a</code></a>`],
+  ['imagen en un enlace', renderInline, '[![logo](img/a.png)](https://b.org)',
+    `<a href="https://b.org" ${EXTERNAL}><img src="img/a.png" alt="logo" loading="lazy" /></a>`],
+  ['enlace automático en un enlace', renderInline, '[ver <https://a.org>](/b)', '<a href="/b">ver https://a.org</a>'],
+  ['énfasis en un enlace', renderInline, '**[a *b*](/c)**', '<strong><a href="/c">a <em>b</em></a></strong>'],
+  ['caracteres nulos en el texto', renderInline, 'x\u00000\u0000y', 'x\uFFFD0\uFFFDy'],
+  ['URL con paréntesis', renderInline, '[Ecuación](https://es.wikipedia.org/wiki/Ecuación_(matemáticas)) y más',
+    `<a href="https://es.wikipedia.org/wiki/Ecuación_(matemáticas)" ${EXTERNAL}>Ecuación</a> y más`],
+  ['imagen con paréntesis', renderInline, '![a](img/b_(c).png)', '<img src="img/b_(c).png" alt="a" loading="lazy" />'],
+  ['enlace javascript:', renderInline, '[x](javascript:alert(1)) después', 'x después'],
+  ['enlace javascript: disfrazado', renderInline, '[x](java\u0001script:alert(1))', 'x'],
+  ['imagen javascript:', renderInline, '![x](javascript:alert(1))', '!x'],
+  ['HTML en el texto', renderInline, '<img src=x onerror=alert(1)>', '&lt;img src=x onerror=alert(1)&gt;'],
+  ['Markdown dentro de código', renderInline, '`[a](b) **c**`', '<code>[a](b) **c**</code>'],
+  // Bloques
+  ['títulos desplazados', (text) => renderMarkdown(text, { headingOffset: 2 }), '# A\n\ntexto', '<h3>A</h3>\n<p>texto</p>'],
+  ['lista compacta', renderMarkdown, '- a\n- [b](/c)', '<ul>\n<li>a</li>\n<li><a href="/c">b</a></li>\n</ul>'],
+  ['bloque de código', renderMarkdown, '```js\n<b>\n```', '<pre><code class="language-js">&lt;b&gt;</code></pre>']
+];
+
+function main() {
+  let failed = 0;
+  CASES.forEach(([name, render, input, expected]) => {
+    const actual = render(input);
+    if (actual === expected) {
+      console.log(`  ✓ ${name}`);
+      return;
+    }
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(`      entrada:  ${JSON.stringify(input)}`);
+    console.error(`      esperado: ${JSON.stringify(expected)}`);
+    console.error(`      obtenido: ${JSON.stringify(actual)}`);
+  });
+
+  if (failed) {
+    console.error(`\nMarkdown: ${failed} de ${CASES.length} caso(s) fallan.`);
+    process.exit(1);
+  }
+  console.log(`\nMarkdown: ${CASES.length} casos sin errores.`);
+}
+
+main();
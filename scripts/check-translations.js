@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * @file Compara los diccionarios de js/translations.js con el del idioma por
+ * defecto y muestra, con su ruta, las claves que faltan, las que sobran, las
+ * vacías, las que cambian de tipo y las que usan marcadores (`{name}`)
+ * distintos. Las variantes regionales (p. ej. `pt-BR` junto a `pt`) pueden
+ * omitir claves: las toman del idioma base.
+ * Uso: node scripts/check-translations.js
+ * Termina con código 1 si hay diferencias, para poder usarlo en CI.
+ */
+
+'use strict';
+
+const translations = require('../js/translations.js');
+const { DEFAULT_LANGUAGE } = require('../js/languages.js');
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Aplana un diccionario en un mapa de rutas (`shell.help.lang`) a valores.
+ * Los objetos anidados también figuran, para detectar cambios de tipo.
+ * @param {object} dictionary
+ * @param {string} [prefix]
+ * @returns {Map<string, *>}
+ */
+function flatten(dictionary, prefix = '') {
+  const entries = new Map();
+  Object.entries(dictionary).forEach(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    entries.set(keyPath, value);
+    if (isPlainObject(value)) flatten(value, keyPath).forEach((nested, nestedPath) => entries.set(nestedPath, nested));
+  });
+  return entries;
+}
+
+const getPlaceholders = (text) => Array.from(new Set(String(text).match(/\{\w+\}/g) || [])).sort();
+
+const describeType = (value) =>
+  (isPlainObject(value) ? 'objeto' : Array.isArray(value) ? 'lista' : typeof value === 'string' ? 'texto' : typeof value);
+
+/**
+ * Compara un diccionario con el de referencia.
+ * @param {Map<string, *>} reference - Rutas del idioma por defecto.
+ * @param {Map<string, *>} entries - Rutas del idioma a comprobar.
+ * @param {boolean} partial - El idioma puede omitir claves.
+ * @returns {string[]} Un mensaje por problema.
+ */
+function compare(reference, entries, partial) {
+  const problems = [];
+  const isNested = (keyPath, map) => {
+    const dot = keyPath.lastIndexOf('.');
+    return dot > 0 && !isPlainObject(map.get(keyPath.slice(0, dot)));
+  };
+
+  reference.forEach((expected, keyPath) => {
+    // Una clave bajo un objeto que ya falta o cambió de tipo se informa una sola vez.
+    if (isNested(keyPath, entries)) return;
+    if (!entries.has(keyPath)) {
+      if (!partial) problems.push(`falta ${keyPath}`);
+      return;
+    }
+    const value = entries.get(keyPath);
+    if (describeType(value) !== describeType(expected)) {
+      problems.push(`${keyPath}: es ${describeType(value)}; en ${DEFAULT_LANGUAGE}, ${describeType(expected)}`);
+      return;
+    }
+    if (typeof value !== 'string') return;
+    const expectedPlaceholders = getPlaceholders(expected).join(', ');
+    const placeholders = getPlaceholders(value).join(', ');
+    if (placeholders !== expectedPlaceholders) {
+      problems.push(`${keyPath}: marcadores ${placeholders || '(ninguno)'}; en ${DEFAULT_LANGUAGE}, ${expectedPlaceholders || '(ninguno)'}`);
+    }
+  });
+
+  entries.forEach((value, keyPath) => {
+    if (!reference.has(keyPath) && !isNested(keyPath, reference)) problems.push(`sobra ${keyPath}`);
+  });
+  return problems;
+}
+
+// Las vacías se buscan en todos los idiomas, también en el de referencia.
+const findEmpty = (entries) => Array.from(entries)
+  .filter(([, value]) => typeof value === 'string' && !value.trim())
+  .map(([keyPath]) => `${keyPath} está vacía`);
+
+function main() {
+  const reference = translations[DEFAULT_LANGUAGE];
+  if (!reference) {
+    console.error(`No hay diccionario para el idioma por defecto (${DEFAULT_LANGUAGE}).`);
+    process.exit(1);
+  }
+  const referenceEntries = flatten(reference);
+  const codes = Object.keys(translations);
+  let total = 0;
+
+  codes.forEach(code => {
+    const entries = flatten(translations[code]);
+    // Una variante regional solo necesita lo que cambia respecto a su idioma base.
+    const partial = codes.some(other => other !== code && code.toLowerCase().startsWith(`${other.toLowerCase()}-`));
+    const problems = [
+      ...(code === DEFAULT_LANGUAGE ? [] : compare(referenceEntries, entries, partial)),
+      ...findEmpty(entries)
+    ];
+    total += problems.length;
+    if (!problems.length) {
+      console.log(`  ✓ ${code}`);
+      return;
+    }
+    console.error(`  ✗ ${code}`);
+    problems.forEach(problem => console.error(`      ${problem}`));
+  });
+
+  if (total) {
+    console.error(`\njs/translations.js: ${total} problema(s).`);
+    process.exit(1);
+  }
+  console.log(`\njs/translations.js: ${codes.length} idiomas sin diferencias.`);
+}
+
+main();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * @file Exporta cv-data.json a otros formatos o importa un CV de JSON Resume.
+ * Uso:
+ *   node scripts/export-cv.js <json|md|txt|tex> [--lang es|en] [--out archivo]
+ *   node scripts/export-cv.js --import resume.json [--lang es|en] [--out archivo]
+ * Sin --out, el resultado se escribe en la salida estándar.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { FORMATS, exportCv, fromJsonResume } = require('../js/cv-export.js');
+const { DEFAULT_LANGUAGE } = require('../js/cv-render.js');
+const { validateCv } = require('../js/cv-validator.js');
+const translations = require('../js/translations.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return fail(`No se pudo leer ${path.relative(process.cwd(), file)}: ${error.message}`);
+  }
+};
+
+/**
+ * Lee las opciones de la línea de comandos.
+ * @param {string[]} argv - Argumentos sin `node` ni el nombre del script.
+ * @returns {{format: string|null, language: string, out: string|null, importFile: string|null}}
+ */
+function parseArgs(argv) {
+  const options = { format: null, language: DEFAULT_LANGUAGE, out: null, importFile: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--lang') options.language = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--import') options.importFile = argv[++i];
+    else if (!arg.startsWith('--') && !options.format) options.format = arg;
+    else fail(`Opción desconocida: ${arg}`);
+  }
+  return options;
+}
+
+const write = (content, out) => {
+  if (!out) {
+    process.stdout.write(content);
+    return;
+  }
+  fs.writeFileSync(path.resolve(out), content);
+  console.error(`  ✎ ${out}`);
+};
+
+function main() {
+  const { format, language, out, importFile } = parseArgs(process.argv.slice(2));
+  const schema = readJson(path.join(ROOT, 'cv-data.schema.json'));
+
+  if (!translations[language]) {
+    fail(`Idioma desconocido: ${language}. Disponibles: ${Object.keys(translations).join(', ')}`);
+  }
+
+  if (importFile) {
+    const data = { $schema: './cv-data.schema.json', ...fromJsonResume(readJson(path.resolve(importFile)), language) };
+    // El resultado se escribe aunque falten datos, para completarlo a mano.
+    validateCv(data, schema).forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    write(`${JSON.stringify(data, null, 2)}\n`, out);
+    return;
+  }
+
+  if (!FORMATS[format]) {
+    fail(`Uso: node scripts/export-cv.js <${Object.keys(FORMATS).join('|')}> [--lang es|en] [--out archivo]\n` +
+      '     node scripts/export-cv.js --import resume.json [--lang es|en] [--out archivo]');
+  }
+
+  const data = readJson(path.join(ROOT, 'cv-data.json'));
+  const errors = validateCv(data, schema);
+  if (errors.length) {
+    errors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    fail('\ncv-data.json no es válido; ejecuta node scripts/validate-cv.js para más detalles.');
+  }
+
+  write(exportCv(data, format, language, translations[language]).content, out);
+}
+
+main();
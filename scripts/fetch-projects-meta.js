@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * @file Rellena projects-meta.json con los datos de los repositorios de los
+ * proyectos de cv-data.json (campo `repository`): lenguaje principal,
+ * estrellas, fecha del último commit y licencia. scripts/prerender.js lo
+ * incrusta en las páginas para las tarjetas de proyectos; si no existe, las
+ * tarjetas se muestran sin estos datos.
+ * Los datos salen de un proveedor intercambiable:
+ *   - github: la API de GitHub (usa GITHUB_TOKEN si está definido).
+ *   - fixture: respuestas de la API guardadas en un archivo, para trabajar
+ *     sin conexión (por defecto scripts/fixtures/github-api.json).
+ * Uso: node scripts/fetch-projects-meta.js [--provider github|fixture] [--fixture archivo] [--out archivo]
+ * Un repositorio que no se puede consultar conserva los datos que ya tenía y
+ * el script termina con código 1.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('../js/cv-validator.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const API_URL = 'https://api.github.com';
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'github-api.json');
+const DEFAULT_OUT = path.join(ROOT, 'projects-meta.json');
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return fail(`No se pudo leer ${path.relative(process.cwd(), file)}: ${error.message}`);
+  }
+};
+
+/**
+ * Lee las opciones de la línea de comandos.
+ * @param {string[]} argv - Argumentos sin `node` ni el nombre del script.
+ * @returns {{provider: string, fixture: string, out: string}}
+ */
+function parseArgs(argv) {
+  const options = { provider: 'github', fixture: DEFAULT_FIXTURE, out: DEFAULT_OUT };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--provider') options.provider = argv[++i];
+    else if (arg === '--fixture') options.fixture = path.resolve(argv[++i]);
+    else if (arg === '--out') options.out = path.resolve(argv[++i]);
+    else fail(`Opción desconocida: ${arg}`);
+  }
+  return options;
+}
+
+// --- PROVEEDORES ---
+// Cada proveedor responde a las mismas rutas de la API de GitHub
+// (`/repos/propietario/nombre`), de modo que el resto del script no sabe de
+// dónde salen los datos.
+
+function createGithubProvider() {
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    'User-Agent': 'osvo.github.io fetch-projects-meta'
+  };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  return {
+    name: 'github',
+    async get(apiPath) {
+      const response = await fetch(`${API_URL}${apiPath}`, { headers });
+      if (!response.ok) throw new Error(`${apiPath}: ${response.status} ${response.statusText}`);
+      return response.json();
+    }
+  };
+}
+
+function createFixtureProvider(file) {
+  const responses = readJson(file);
+  return {
+    name: 'fixture',
+    async get(apiPath) {
+      if (!(apiPath in responses)) throw new Error(`${apiPath} no está en ${path.relative(process.cwd(), file)}`);
+      return responses[apiPath];
+    }
+  };
+}
+
+const PROVIDERS = {
+  github: () => createGithubProvider(),
+  fixture: (options) => createFixtureProvider(options.fixture)
+};
+
+/**
+ * Consulta los datos de un repositorio. Los campos que la API no trae
+ * (p. ej. un repositorio sin licencia) se omiten.
+ * @param {{get: function(string): Promise<object>}} provider
+ * @param {string} repository - `propietario/nombre`.
+ * @returns {Promise<{language?: string, stars?: number, lastCommit?: string, license?: string}>}
+ */
+async function fetchRepository(provider, repository) {
+  const repo = await provider.get(`/repos/${repository}`);
+  const commits = await provider.get(`/repos/${repository}/commits?per_page=1`);
+  const date = commits[0]?.commit?.committer?.date || repo.pushed_at;
+  const license = repo.license?.spdx_id;
+  const meta = {
+    language: repo.language || undefined,
+    stars: Number.isInteger(repo.stargazers_count) ? repo.stargazers_count : undefined,
+    lastCommit: date ? date.slice(0, 10) : undefined,
+    // GitHub usa NOASSERTION para las licencias que no reconoce.
+    license: license && license !== 'NOASSERTION' ? license : undefined
+  };
+  return Object.fromEntries(Object.entries(meta).filter(([, value]) => value !== undefined));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!PROVIDERS[options.provider]) {
+    fail(`Proveedor desconocido: ${options.provider} (${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const provider = PROVIDERS[options.provider](options);
+
+  const repositories = [...new Set((readJson(path.join(ROOT, 'cv-data.json')).projects?.items || [])
+    .map(item => item.repository)
+    .filter(Boolean))];
+  const previous = fs.existsSync(options.out) ? readJson(options.out).repositories || {} : {};
+
+  const result = {};
+  let failed = 0;
+  for (const repository of repositories) {
+    try {
+      result[repository] = await fetchRepository(provider, repository);
+      console.log(`  ✓ ${repository}`);
+    } catch (error) {
+      failed++;
+      console.error(`  ✗ ${repository}: ${error.message}`);
+      if (previous[repository]) result[repository] = previous[repository];
+    }
+  }
+
+  if (repositories.length && failed === repositories.length) fail('\nNo se pudo consultar ningún repositorio; no se escribe nada.');
+
+  const meta = { $schema: './projects-meta.schema.json', provider: provider.name, repositories: result };
+  const errors = validate(meta, readJson(path.join(ROOT, 'projects-meta.schema.json')));
+  if (errors.length) {
+    errors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    fail('\nLos datos obtenidos no cumplen projects-meta.schema.json; no se escribe nada.');
+  }
+
+  fs.writeFileSync(options.out, `${JSON.stringify(meta, null, 2)}\n`);
+  console.log(`  ✎ ${path.relative(process.cwd(), options.out)}`);
+  if (failed) fail(`\n${failed} repositorio(s) sin actualizar.`);
+}
+
+main().catch(error => fail(`No se pudieron obtener los datos de los proyectos: ${error.message}`));
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * @file Genera una página estática por idioma a partir de index.html.
+ * Reutiliza los generadores de js/cv-render.js y los textos de
+ * js/translations.js para rellenar las regiones `<!-- prerender:... -->`,
+ * los elementos con `data-i18n`/`data-i18n-attr`, los metadatos, el JSON-LD,
+ * las paletas de palettes.json, los datos de projects-meta.json (si existe;
+ * lo genera scripts/fetch-projects-meta.js), la lista de notas de
+ * posts/index.json (la genera scripts/build-posts.js), las publicaciones de
+ * publications.bib y la lista de idiomas. Cada diccionario de translations.js
+ * genera su página: el idioma por defecto en la raíz y los demás en
+ * `<código>/index.html`.
+ * Uso: node scripts/prerender.js [--check]
+ * Con --check no escribe nada y termina con código 1 si alguna página está desactualizada.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const render = require('../js/cv-render.js');
+const postsRender = require('../js/posts-render.js');
+const publicationsRender = require('../js/publications-render.js');
+const bibtex = require('../js/bibtex.js');
+const metadata = require('../js/metadata.js');
+const { validate, validateCv } = require('../js/cv-validator.js');
+const translations = require('../js/translations.js');
+const languages = require('../js/languages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATE = path.join(ROOT, 'index.html');
+
+// Página de cada idioma; el idioma por defecto ocupa la raíz del sitio.
+const LANGUAGES = languages.describe(translations);
+const PAGES = Object.fromEntries(LANGUAGES.languages.map(({ code, path: pagePath }) => [code, `${pagePath}index.html`]));
+
+const SECTIONS = Object.keys(render.SECTION_DATA_KEYS);
+const { escapeHtml } = render;
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+/**
+ * Quita la sangría común de un bloque y le aplica la indicada.
+ * @param {string} html - Bloque de HTML.
+ * @param {string} indent - Sangría de destino.
+ * @returns {string}
+ */
+function reindent(html, indent) {
+  const lines = html.split('\n').filter(line => line.trim());
+  const common = Math.min(...lines.map(line => line.match(/^ */)[0].length));
+  return lines.map(line => indent + line.slice(common).trimEnd()).join('\n');
+}
+
+/**
+ * Sustituye el contenido de una región `<!-- prerender:name -->`.
+ * @param {string} html - Documento completo.
+ * @param {string} name - Nombre de la región.
+ * @param {string} content - HTML nuevo.
+ * @returns {string}
+ */
+function replaceRegion(html, name, content) {
+  const pattern = new RegExp(`([ \\t]*)<!-- prerender:${name} -->[\\s\\S]*?<!-- /prerender:${name} -->`);
+  if (!pattern.test(html)) throw new Error(`Falta la región "prerender:${name}" en index.html`);
+  return html.replace(pattern, (match, indent) =>
+    `${indent}<!-- prerender:${name} -->\n${reindent(content, indent)}\n${indent}<!-- /prerender:${name} -->`);
+}
+
+/**
+ * Fija un atributo dentro de una etiqueta de apertura.
+ * @param {string} tag - Etiqueta completa, p. ej. `<html lang="es">`.
+ * @param {string} name - Nombre del atributo.
+ * @param {string} value - Valor sin escapar.
+ * @returns {string}
+ */
+function setAttribute(tag, name, value) {
+  const escaped = escapeHtml(value);
+  const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+  if (pattern.test(tag)) return tag.replace(pattern, (match, start, end) => `${start}${escaped}${end}`);
+  return tag.replace(/\s*(\/?)>$/, (match, slash) => ` ${name}="${escaped}"${slash ? ' /' : ''}>`);
+}
+
+/**
+ * Equivalente de `translateElements` de i18n.js sobre el HTML en texto.
+ * `data-i18n` solo se aplica a elementos cuyo contenido es texto plano.
+ * @param {string} html - Documento completo.
+ * @param {object} copy - Textos del idioma.
+ * @param {string} language
+ * @returns {string}
+ */
+function translateMarkup(html, copy, language) {
+  const withText = html.replace(
+    /(<([a-z][\w-]*)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/gi,
+    (match, open, tagName, key, text, close) => {
+      const value = languages.lookup(copy, key, language);
+      return typeof value === 'string' ? `${open}${escapeHtml(value)}${close}` : match;
+    });
+
+  return withText.replace(/<[a-z][\w-]*\b[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/gi, (tag, bindings) =>
+    bindings.split(';').reduce((result, binding) => {
+      const [attribute, key] = binding.split(':').map(part => part.trim());
+      const value = languages.lookup(copy, key, language);
+      return attribute && typeof value === 'string' ? setAttribute(result, attribute, value) : result;
+    }, tag));
+}
+
+function renderMeta(data, language, copy) {
+  const { title, description } = metadata.getPageMetadata(data, copy);
+  const links = languages.getLanguageLinks(LANGUAGES, language, data.person.url);
+  const feeds = postsRender.getFeedUrls(language);
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(links.canonical)}" />`,
+    ...links.alternates.map(({ hreflang, href }) => `<link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(href)}" />`),
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(links.canonical)}" />`,
+    `<meta property="og:locale" content="${escapeHtml(links.locale)}" />`,
+    ...links.localeAlternates.map(locale => `<meta property="og:locale:alternate" content="${escapeHtml(locale)}" />`),
+    '<meta property="og:type" content="website" />',
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(copy.posts.feedTitle)}" href="${feeds.atom}" />`,
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(copy.posts.feedTitle)}" href="${feeds.rss}" />`
+  ].join('\n');
+}
+
+// Las paletas van como JSON en la página para que js/palettes.js las lea sin
+// esperar a la red; `<` se escapa para que el JSON no pueda cerrar el <script>.
+function renderPalettes(palettes) {
+  const { $schema, ...definition } = palettes;
+  const json = JSON.stringify(definition).replace(/</g, '\\u003c');
+  return `<script type="application/json" id="palette-data">${json}</script>`;
+}
+
+// Igual que las paletas: js/languages.js la lee en <head> para elegir el idioma.
+function renderLanguages() {
+  const json = JSON.stringify(LANGUAGES).replace(/</g, '\\u003c');
+  return `<script type="application/json" id="language-data">${json}</script>`;
+}
+
+// Los datos de los repositorios también van en la página: data-loader.js los
+// usa al volver a renderizar los proyectos y, sin archivo, la página recibe null.
+function renderProjectsMeta(projectsMeta) {
+  const json = JSON.stringify(projectsMeta && { repositories: projectsMeta.repositories }).replace(/</g, '\\u003c');
+  return `<script type="application/json" id="projects-meta">${json}</script>`;
+}
+
+// El JSON-LD sale entero de cv-data.json y publications.bib; `<` se escapa
+// como en las paletas.
+function renderJsonLd(data, publications, language, copy) {
+  const { description } = metadata.getPageMetadata(data, copy);
+  const schema = metadata.buildPersonSchema(data, language, { description, publications });
+  const json = JSON.stringify(schema, null, 2).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+/**
+ * Reescribe las rutas relativas para una página situada en un subdirectorio.
+ * @param {string} html - Documento completo.
+ * @param {number} depth - Niveles por debajo de la raíz.
+ * @returns {string}
+ */
+function rebaseUrls(html, depth) {
+  if (!depth) return html;
+  const prefix = '../'.repeat(depth);
+  return html.replace(/(\s(?:href|src)=")(?![a-z][a-z\d+.-]*:|\/|#)([^"]*)"/gi,
+    (match, start, url) => `${start}${prefix}${url}"`);
+}
+
+/**
+ * Genera el HTML de la página de un idioma.
+ * @param {string} template - Contenido de index.html.
+ * @param {object} data - cv-data.json.
+ * @param {object} palettes - palettes.json.
+ * @param {object|null} projectsMeta - projects-meta.json, o null si no existe.
+ * @param {object[]} posts - Notas de posts/index.json.
+ * @param {object[]} publications - Entradas de publications.bib.
+ * @param {string} language - Idioma de la página.
+ * @returns {string}
+ */
+function renderPage(template, data, palettes, projectsMeta, posts, publications, language) {
+  const copy = languages.mergeCopy(translations, language);
+  const page = PAGES[language];
+
+  let html = template.replace(/<html\b[^>]*>/, tag =>
+    ['lang', 'data-language', 'data-prerendered'].reduce((result, name) => setAttribute(result, name, language), tag));
+
+  html = replaceRegion(html, 'meta', renderMeta(data, language, copy));
+  html = replaceRegion(html, 'palettes', renderPalettes(palettes));
+  html = replaceRegion(html, 'languages', renderLanguages());
+  html = replaceRegion(html, 'projects-meta', renderProjectsMeta(projectsMeta));
+  html = replaceRegion(html, 'jsonld', renderJsonLd(data, publications, language, copy));
+
+  const sections = render.renderSections(data, language, copy, [], { projectsMeta });
+  SECTIONS.forEach(key => {
+    html = replaceRegion(html, key, sections[key]);
+  });
+  html = replaceRegion(html, 'publications', publicationsRender.generatePublicationsHtml(publications, key => languages.lookup(copy, `publications.${key}`, language) ?? ''));
+  html = replaceRegion(html, 'posts', postsRender.generatePostListHtml(posts, language, key => languages.lookup(copy, `posts.${key}`, language) ?? ''));
+
+  html = translateMarkup(html, copy, language);
+  return rebaseUrls(html, page.split('/').length - 1);
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const data = readJson('cv-data.json');
+  const errors = validateCv(data, readJson('cv-data.schema.json'));
+  if (errors.length) {
+    errors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    console.error('\ncv-data.json no es válido; ejecuta node scripts/validate-cv.js para más detalles.');
+    process.exit(1);
+  }
+
+  const palettes = readJson('palettes.json');
+  const paletteErrors = validate(palettes, readJson('palettes.schema.json'));
+  if (!paletteErrors.length) {
+    Object.entries(palettes.default).forEach(([scheme, id]) => {
+      const found = palettes.palettes.find(palette => palette.id === id);
+      if (!found || (found.scheme || 'dark') !== scheme) {
+        paletteErrors.push({ path: `default.${scheme}`, message: `no hay ninguna paleta ${JSON.stringify(id)} con scheme ${JSON.stringify(scheme)}` });
+      }
+    });
+  }
+  if (paletteErrors.length) {
+    paletteErrors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    console.error('\npalettes.json no es válido.');
+    process.exit(1);
+  }
+
+  const projectsMeta = fs.existsSync(path.join(ROOT, 'projects-meta.json')) ? readJson('projects-meta.json') : null;
+  const metaErrors = projectsMeta ? validate(projectsMeta, readJson('projects-meta.schema.json')) : [];
+  if (metaErrors.length) {
+    metaErrors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    console.error('\nprojects-meta.json no es válido; vuelve a generarlo con node scripts/fetch-projects-meta.js.');
+    process.exit(1);
+  }
+
+  const postsIndex = fs.existsSync(path.join(ROOT, 'posts', 'index.json')) ? readJson('posts/index.json') : { posts: [] };
+  const postsErrors = validate(postsIndex, readJson('posts.schema.json'));
+  if (postsErrors.length) {
+    postsErrors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+    console.error('\nposts/index.json no es válido; vuelve a generarlo con node scripts/build-posts.js.');
+    process.exit(1);
+  }
+
+  const bibFile = path.join(ROOT, 'publications.bib');
+  const { entries: publications, errors: bibErrors } = fs.existsSync(bibFile)
+    ? bibtex.parseBibtex(fs.readFileSync(bibFile, 'utf8'))
+    : { entries: [], errors: [] };
+  if (bibErrors.length) {
+    bibErrors.forEach(({ line, message }) => console.error(`  ✗ publications.bib:${line}: ${message}`));
+    console.error('\npublications.bib tiene errores; ejecuta node scripts/validate-cv.js para más detalles.');
+    process.exit(1);
+  }
+
+  const template = fs.readFileSync(TEMPLATE, 'utf8');
+  let stale = 0;
+
+  Object.keys(PAGES).forEach(language => {
+    const file = path.join(ROOT, PAGES[language]);
+    const html = renderPage(template, data, palettes, projectsMeta, postsIndex.posts, publications, language);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+    if (current === html) {
+      console.log(`  ✓ ${PAGES[language]}`);
+    } else if (check) {
+      stale++;
+      console.error(`  ✗ ${PAGES[language]} está desactualizada`);
+    } else {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, html);
+      console.log(`  ✎ ${PAGES[language]}`);
+    }
+  });
+
+  if (stale) {
+    console.error('\nEjecuta node scripts/prerender.js y confirma los cambios.');
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * @file Valida cv-data.json contra cv-data.schema.json desde la línea de comandos,
+ * junto con los ids y las referencias entre secciones, y comprueba que
+ * publications.bib se pueda leer.
+ * Uso: node scripts/validate-cv.js [ruta/al/cv-data.json] [--bib ruta/al/publications.bib]
+ * Termina con código 1 si hay errores, para poder usarlo en CI.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { validateCv } = require('../js/cv-validator.js');
+const { parseBibtex } = require('../js/bibtex.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`No se pudo leer ${path.relative(process.cwd(), file)}: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const args = process.argv.slice(2);
+const bibArg = args.includes('--bib') ? args[args.indexOf('--bib') + 1] : null;
+const [dataArg] = args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--bib');
+const bibFile = path.resolve(bibArg || path.join(ROOT, 'publications.bib'));
+
+const dataFile = path.resolve(dataArg || path.join(ROOT, 'cv-data.json'));
+const schema = readJson(path.join(ROOT, 'cv-data.schema.json'));
+const errors = validateCv(readJson(dataFile), schema);
+let failed = false;
+
+if (errors.length) {
+  errors.forEach(({ path: errorPath, message }) => console.error(`  ✗ ${errorPath}: ${message}`));
+  console.error(`\n${path.relative(process.cwd(), dataFile)}: ${errors.length} error(es).`);
+  failed = true;
+} else {
+  console.log(`${path.relative(process.cwd(), dataFile)}: sin errores.`);
+}
+
+// publications.bib es opcional, salvo que se pida con --bib; si existe,
+// todas sus entradas deben leerse.
+if (bibArg && !fs.existsSync(bibFile)) {
+  console.error(`No se encontró ${path.relative(process.cwd(), bibFile)}.`);
+  failed = true;
+} else if (fs.existsSync(bibFile)) {
+  const { entries, errors: bibErrors } = parseBibtex(fs.readFileSync(bibFile, 'utf8'));
+  const bibName = path.relative(process.cwd(), bibFile);
+  if (bibErrors.length) {
+    bibErrors.forEach(({ line, message }) => console.error(`  ✗ ${bibName}:${line}: ${message}`));
+    console.error(`\n${bibName}: ${bibErrors.length} error(es).`);
+    failed = true;
+  } else {
+    console.log(`${bibName}: ${entries.length} entrada(s), sin errores.`);
+  }
+}
+
+if (failed) process.exit(1);
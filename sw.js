@@ -0,0 +1,176 @@
+/**
+ * @file Service worker del sitio: permite abrir el CV sin conexión.
+ *
+ * - La interfaz (las páginas de cada idioma, styles/main.css, js/ y los
+ *   favicons) se precarga al instalar en una caché con la versión en el
+ *   nombre y se sirve desde ella. La lista y la versión las escribe
+ *   scripts/build-sw.js, que cambia la versión cuando cambia cualquiera de
+ *   esos archivos; el navegador instala entonces el worker nuevo, que toma el
+ *   control enseguida y borra las cachés anteriores al activarse.
+ * - Los datos del CV (cv-data.json, su esquema y publications.bib) se sirven
+ *   con stale-while-revalidate: la copia guardada al momento y, en segundo
+ *   plano, la de la red. Si la nueva es distinta, se avisa a las páginas con
+ *   `{ type: 'data-updated', url }`; js/offline.js se lo pasa a
+ *   data-loader.js, que vuelve a renderizar el CV.
+ * - El resto de peticiones del sitio va primero a la red y se guarda para
+ *   cuando no haya conexión.
+ * Lo registra js/offline.js; tiene que estar en la raíz para controlar todo
+ * el sitio.
+ */
+
+(function() {
+  'use strict';
+
+  // --- precache:start (generado por scripts/build-sw.js) ---
+  const VERSION = '103cdd9ca1';
+  const SHELL_URLS = [
+    './',
+    'en/',
+    'styles/main.css',
+    'favicon.ico',
+    'favicon-48.png',
+    'js/background-env.js',
+    'js/background-glitch.js',
+    'js/background-life.js',
+    'js/background-menu.js',
+    'js/background-rain.js',
+    'js/background-worker.js',
+    'js/background.js',
+    'js/bibtex.js',
+    'js/command-palette.js',
+    'js/cv-export.js',
+    'js/cv-render.js',
+    'js/cv-validator.js',
+    'js/data-loader.js',
+    'js/desk-state.js',
+    'js/export-menu.js',
+    'js/i18n.js',
+    'js/keyboard.js',
+    'js/languages.js',
+    'js/main.js',
+    'js/markdown.js',
+    'js/menu.js',
+    'js/metadata.js',
+    'js/offline.js',
+    'js/palette-picker.js',
+    'js/palettes.js',
+    'js/periods.js',
+    'js/posts-render.js',
+    'js/posts.js',
+    'js/project-filter.js',
+    'js/publications-render.js',
+    'js/publications.js',
+    'js/section-views.js',
+    'js/shell.js',
+    'js/translations.js',
+    'js/window-manager.js'
+  ];
+  // --- precache:end ---
+
+  const DATA_URLS = ['cv-data.json', 'cv-data.schema.json', 'publications.bib'];
+
+  const CACHE_PREFIX = 'osvo-cv-';
+  const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+  const DATA_CACHE = `${CACHE_PREFIX}data-${VERSION}`;
+  // Lo demás que se guarda al vuelo: notas, imágenes, posts/index.json…
+  const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${VERSION}`;
+
+  const toUrl = (path) => new URL(path, self.registration.scope).href;
+  const shellUrls = new Set(SHELL_URLS.map(toUrl));
+  const dataUrls = new Set(DATA_URLS.map(toUrl));
+
+  // Las páginas se guardan sin la búsqueda: `?lang=en` abre la misma página.
+  const withoutSearch = (url) => url.split(/[?#]/)[0];
+
+  const notifyClients = async (message) => {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+  };
+
+  // --- ESTRATEGIAS ---
+
+  async function fromShell(request) {
+    const cached = await caches.match(withoutSearch(request.url), { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+  }
+
+  /**
+   * Responde con la copia guardada, si la hay, y la actualiza desde la red.
+   * @param {FetchEvent} event
+   * @param {string} url - URL sin búsqueda, clave de la caché.
+   * @returns {Promise<Response>}
+   */
+  async function staleWhileRevalidate(event, url) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(url);
+    const previous = cached ? await cached.clone().text() : null;
+
+    const refresh = fetch(event.request, { cache: 'no-cache' }).then(async (response) => {
+      if (!response.ok) return response;
+      const text = await response.clone().text();
+      await cache.put(url, response.clone());
+      if (previous !== null && previous !== text) await notifyClients({ type: 'data-updated', url });
+      return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {
+      // Sin conexión: se queda la copia guardada.
+    }));
+    return cached;
+  }
+
+  async function networkFirst(request) {
+    try {
+      const response = await fetch(request);
+      if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      const cached = await caches.match(request);
+      if (cached) return cached;
+      throw error;
+    }
+  }
+
+  // --- CICLO DE VIDA ---
+
+  self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      // `reload` evita guardar copias viejas de la caché HTTP del navegador.
+      await shell.addAll([...shellUrls].map(url => new Request(url, { cache: 'reload' })));
+      // Los datos son opcionales: si fallan, se guardarán en la primera visita.
+      const data = await caches.open(DATA_CACHE);
+      await Promise.all([...dataUrls].map(url => data.add(new Request(url, { cache: 'no-cache' })).catch(() => {})));
+      await self.skipWaiting();
+    })());
+  });
+
+  self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+      const current = new Set([SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE]);
+      const names = await caches.keys();
+      await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.has(name))
+        .map(name => caches.delete(name)));
+      await self.clients.claim();
+    })());
+  });
+
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    const url = withoutSearch(request.url);
+
+    if (dataUrls.has(url)) {
+      event.respondWith(staleWhileRevalidate(event, url));
+    } else if (shellUrls.has(url)) {
+      event.respondWith(fromShell(request));
+    } else {
+      event.respondWith(networkFirst(request));
+    }
+  });
+})();